@@ -0,0 +1,203 @@
+// ar.js
+// Placing the system in an AR session: a reticle follows the WebXR hit test, a tap puts the
+// system there and pins it with an anchor (so it stays put while the device refines its
+// picture of the room), two fingers pinch to scale and twist to rotate. Reposition mode picks
+// it up again; it also starts by itself when tracking of the anchor is lost.
+
+const MIN_SCALE = 0.01;
+const MAX_SCALE = 3;
+const SURFACE_OFFSET = 0.01; // Metres above the surface, against z-fighting with the camera feed
+
+// Enables an XR feature if the browser has it; null otherwise
+const tryEnableFeature = (featuresManager, name, options) => {
+    try {
+        return featuresManager.enableFeature(name, 'latest', options, true, false);
+    } catch (e) {
+        console.warn(`WebXR feature ${name} not available:`, e);
+        return null;
+    }
+};
+
+/**
+ * Sets up AR placement. Call before entering a session; it only acts in 'immersive-ar' sessions.
+ * @param {object} xr - The default XR experience (scene.createDefaultXRExperienceAsync).
+ * @param {BABYLON.TransformNode} root - Scene root to place; it is reparented for the session.
+ * @param {object} [options]
+ * @param {string} [options.overlay] - Selector of the element shown over the camera feed (dom-overlay).
+ * @param {function} [options.onStatus] - Called with a hint for the player whenever the state changes.
+ * @param {function} [options.onScale] - Called with the scale whenever a pinch changes it.
+ * @returns {object} Placement: reposition(), setScale(scale), and getters for mode
+ *   ('searching', 'placing' or 'placed'), scale and anchored.
+ */
+export function createARPlacement(xr, root, options = {}) {
+    const scene = root.getScene();
+    const onStatus = options.onStatus || (() => {});
+    const onScale = options.onScale || (() => {});
+    const featuresManager = xr.baseExperience.featuresManager;
+    const hitTest = tryEnableFeature(featuresManager, BABYLON.WebXRHitTest.Name);
+    const anchors = tryEnableFeature(featuresManager, BABYLON.WebXRAnchorSystem.Name);
+    if (options.overlay) tryEnableFeature(featuresManager, BABYLON.WebXRDomOverlay.Name, { element: options.overlay });
+
+    // The anchor (or the hit pose) drives this node; scale and twist stay on the root below it
+    const placement = new BABYLON.TransformNode('arPlacement', scene);
+    placement.rotationQuaternion = new BABYLON.Quaternion();
+
+    const reticle = BABYLON.MeshBuilder.CreateTorus('arReticle', { diameter: 0.15, thickness: 0.01, tessellation: 32 }, scene);
+    const reticleMaterial = new BABYLON.StandardMaterial('arReticleMat', scene);
+    reticleMaterial.emissiveColor = new BABYLON.Color3(0.3, 1, 0.4);
+    reticleMaterial.disableLighting = true;
+    reticle.material = reticleMaterial;
+    reticle.isPickable = false;
+    reticle.rotationQuaternion = new BABYLON.Quaternion();
+    reticle.setEnabled(false);
+
+    let mode = 'searching';
+    let lastHit = null;
+    let anchor = null;
+    let scale = 1;
+    let twist = 0; // Radians about the surface normal
+    let gesture = null; // { distance, angle, scale, twist } when two fingers went down
+
+    const applyTransform = () => {
+        root.scaling.setAll(scale);
+        root.rotationQuaternion = BABYLON.Quaternion.RotationAxis(BABYLON.Axis.Y, twist);
+    };
+
+    const setMode = (next) => {
+        mode = next;
+        if (hitTest) hitTest.paused = next === 'placed';
+        reticle.setEnabled(next === 'placing');
+        root.setEnabled(next !== 'searching');
+        onStatus({
+            searching: hitTest ? 'Move the device slowly to find a surface...' : 'Surface detection not available',
+            placing: 'Tap to place the system here.',
+            placed: 'Pinch to resize, twist to rotate. Reposition to move it.'
+        }[next]);
+    };
+
+    if (hitTest) {
+        hitTest.onHitTestResultObservable.add(results => {
+            lastHit = results.length ? results[0] : null;
+            if (mode === 'placed') return;
+            if (!lastHit) {
+                if (mode !== 'searching') setMode('searching');
+                return;
+            }
+            if (mode === 'searching') setMode('placing');
+            // The system hovers where it will land
+            reticle.position.copyFrom(lastHit.position);
+            reticle.rotationQuaternion.copyFrom(lastHit.rotationQuaternion);
+            placement.position.copyFrom(lastHit.position);
+            placement.rotationQuaternion.copyFrom(lastHit.rotationQuaternion);
+        });
+    }
+    if (anchors) {
+        anchors.onAnchorRemovedObservable.add(removed => {
+            if (removed !== anchor) return;
+            anchor = null;
+            if (mode === 'placed') {
+                setMode(lastHit ? 'placing' : 'searching');
+                onStatus('Lost track of the surface. Tap to place the system again.');
+            }
+        });
+    }
+
+    const releaseAnchor = () => {
+        if (anchor) {
+            const old = anchor;
+            anchor = null;
+            old.remove();
+        }
+    };
+
+    const place = async () => {
+        if (mode !== 'placing' || !lastHit) return;
+        const hit = lastHit;
+        setMode('placed');
+        if (!anchors) return; // Stays at the hit pose
+        try {
+            const created = await anchors.addAnchorPointUsingHitTestResultAsync(hit);
+            if (mode !== 'placed') return created.remove(); // Picked up again meanwhile
+            anchor = created;
+            anchor.attachedNode = placement;
+        } catch (e) {
+            console.warn('Could not create an anchor; the system stays at the tapped pose.', e);
+        }
+    };
+
+    // Screen touches are transient 'screen' input sources; their rays give the finger positions
+    const ray = new BABYLON.Ray(BABYLON.Vector3.Zero(), BABYLON.Vector3.Forward());
+    const direction = new BABYLON.Vector3();
+    const touchPoint = (controller) => {
+        controller.getWorldPointerRayToRef(ray);
+        BABYLON.Vector3.TransformNormalToRef(ray.direction, xr.baseExperience.camera.getViewMatrix(), direction);
+        return { x: direction.x / direction.z, y: direction.y / direction.z };
+    };
+    const updateGesture = () => {
+        const touches = xr.input.controllers.filter(c => c.inputSource.targetRayMode === 'screen');
+        if (mode !== 'placed' || touches.length !== 2) {
+            gesture = null;
+            return;
+        }
+        const a = touchPoint(touches[0]);
+        const b = touchPoint(touches[1]);
+        const distance = Math.hypot(b.x - a.x, b.y - a.y);
+        const angle = Math.atan2(b.y - a.y, b.x - a.x);
+        if (!gesture) {
+            gesture = { distance, angle, scale, twist };
+            return;
+        }
+        scale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, gesture.scale * distance / Math.max(gesture.distance, 1e-4)));
+        twist = gesture.twist - (angle - gesture.angle);
+        applyTransform();
+        onScale(scale);
+    };
+
+    let active = false; // In an AR session (VR sessions are left alone)
+    let frameObserver = null;
+    const onSelect = () => place();
+    xr.baseExperience.onStateChangedObservable.add(state => {
+        const session = xr.baseExperience.sessionManager.session;
+        if (state === BABYLON.WebXRState.IN_XR && xr.baseExperience.sessionManager.sessionMode === 'immersive-ar') {
+            active = true;
+            root.parent = placement;
+            root.position.set(0, SURFACE_OFFSET, 0);
+            scale = root.scaling.x;
+            twist = 0;
+            applyTransform();
+            session.addEventListener('select', onSelect);
+            frameObserver = xr.baseExperience.sessionManager.onXRFrameObservable.add(updateGesture);
+            setMode('searching');
+        } else if (state === BABYLON.WebXRState.NOT_IN_XR && active) {
+            active = false;
+            if (session) session.removeEventListener('select', onSelect);
+            xr.baseExperience.sessionManager.onXRFrameObservable.remove(frameObserver);
+            releaseAnchor();
+            reticle.setEnabled(false);
+            lastHit = null;
+            gesture = null;
+            mode = 'searching';
+            root.parent = null;
+            root.setEnabled(true);
+        }
+    });
+
+    return {
+        get mode() { return mode; },
+        get scale() { return scale; },
+        get anchored() { return anchor !== null; },
+
+        /** Picks the system up again: it follows the hit test until the next tap. */
+        reposition() {
+            if (mode !== 'placed') return;
+            releaseAnchor();
+            setMode(lastHit ? 'placing' : 'searching');
+        },
+
+        /** Sets the scale (clamped), e.g. from a slider. */
+        setScale(value) {
+            scale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, value));
+            applyTransform();
+        }
+    };
+}
@@ -0,0 +1,157 @@
+// assets.js
+// Texture loading for the scene. Every request settles, loaded or not: a missing file falls
+// through to the next candidate and finally to null (callers substitute createFallbackTexture),
+// so one bad path can no longer stall startup. Progress is reported for the loading screen,
+// and files named with a resolution prefix (2k_, 4k_, 8k_) are swapped for the variant that
+// suits the device.
+
+import { hashString, seededRandom } from './random.js';
+
+/** Resolution variants, smallest first. `prefix` is how texture files are named. */
+export const TEXTURE_TIERS = [
+    { name: '2k', prefix: '2k_', size: 2048 },
+    { name: '4k', prefix: '4k_', size: 4096 },
+    { name: '8k', prefix: '8k_', size: 8192 }
+];
+
+const TIER_PREFIX = /^([248])k_(.+)$/i;
+
+/**
+ * Picks the texture tier for this device.
+ * @param {BABYLON.Engine} engine - Used for the GPU's maximum texture size.
+ * @param {string} [requested] - '2k', '4k' or '8k' (e.g. from ?textures=2k); still capped by the GPU.
+ * @returns {object} One of TEXTURE_TIERS.
+ */
+export function pickTextureTier(engine, requested) {
+    const maxSize = engine.getCaps().maxTextureSize;
+    // navigator.deviceMemory (GB, Chromium only) keeps phones and small laptops off 8k
+    const memory = navigator.deviceMemory ?? 8;
+    const explicit = TEXTURE_TIERS.find(tier => tier.name === requested);
+    const limit = Math.min(maxSize, explicit ? explicit.size : memory < 4 ? 2048 : memory < 8 ? 4096 : 8192);
+    return TEXTURE_TIERS.filter(tier => tier.size <= limit).pop() || TEXTURE_TIERS[0];
+}
+
+/**
+ * Files to try for a texture, best first: the tier's variant, then smaller ones, then the
+ * name as written. Names without a resolution prefix are used as they are.
+ * @param {string} file - File name from the system definition, e.g. '2k_earth_specular_map.png'.
+ * @param {object} tier - One of TEXTURE_TIERS.
+ * @returns {string[]}
+ */
+export function textureCandidates(file, tier) {
+    const slash = file.lastIndexOf('/') + 1;
+    const match = file.slice(slash).match(TIER_PREFIX);
+    if (!match) return [file];
+    const variants = TEXTURE_TIERS
+        .filter(t => t.size <= tier.size)
+        .reverse()
+        .map(t => file.slice(0, slash) + t.prefix + match[2]);
+    return variants.includes(file) ? variants : [...variants, file];
+}
+
+// --- Procedural fallback ---
+
+/**
+ * Stand-in for a diffuse texture that could not be loaded: latitude bands and speckle around a
+ * base colour, seeded by the name.
+ * @param {string} name - Texture (or body) name; also seeds the pattern.
+ * @param {BABYLON.Scene} scene - The Babylon scene.
+ * @param {number[]} [color=[0.6, 0.6, 0.6]] - Base colour [r, g, b], 0..1.
+ * @returns {BABYLON.DynamicTexture}
+ */
+export function createFallbackTexture(name, scene, color = [0.6, 0.6, 0.6]) {
+    const width = 256, height = 128;
+    const texture = new BABYLON.DynamicTexture(`${name}Fallback`, { width, height }, scene, true);
+    const context = texture.getContext();
+    const image = context.createImageData(width, height);
+    const random = seededRandom(hashString(name)); // Same stand-in on every visit
+    const bands = Array.from({ length: 4 }, () => ({
+        frequency: 2 + random() * 12,
+        phase: random() * Math.PI * 2,
+        amplitude: 0.04 + random() * 0.12
+    }));
+    for (let y = 0; y < height; y++) {
+        const latitude = y / height * Math.PI;
+        const band = bands.reduce((sum, b) => sum + b.amplitude * Math.sin(b.frequency * latitude + b.phase), 0);
+        for (let x = 0; x < width; x++) {
+            const shade = 1 + band + (random() - 0.5) * 0.2;
+            const o = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) image.data[o + c] = Math.max(0, Math.min(255, color[c] * shade * 255));
+            image.data[o + 3] = 255;
+        }
+    }
+    context.putImageData(image, 0, 0);
+    texture.update();
+    return texture;
+}
+
+// --- Loading ---
+
+/**
+ * Creates the asset manager for a scene.
+ * @param {BABYLON.Scene} scene - The Babylon scene.
+ * @param {object} [options]
+ * @param {object} [options.tier] - One of TEXTURE_TIERS (pickTextureTier() by default).
+ * @param {string} [options.baseUrl='./'] - Prefix for texture file names.
+ * @param {function} [options.onProgress] - Called as ({ loaded, failed, total, file }) whenever a texture settles.
+ * @returns {object} The manager: loadTexture(file, options), whenIdle(), failed, tier and progress.
+ */
+export function createAssetManager(scene, options = {}) {
+    const tier = options.tier || pickTextureTier(scene.getEngine());
+    const baseUrl = options.baseUrl ?? './';
+    const onProgress = options.onProgress || (() => {});
+    const pending = [];
+    const failed = []; // File names no candidate could be loaded for
+    let loaded = 0;
+    let total = 0;
+
+    // One attempt; resolves with the texture or null
+    const tryLoad = (url, textureOptions) => new Promise(resolve => {
+        const texture = new BABYLON.Texture(url, scene, textureOptions.noMipmap ?? false, textureOptions.invertY ?? true,
+            BABYLON.Texture.TRILINEAR_SAMPLINGMODE,
+            () => resolve(texture),
+            () => {
+                texture.dispose();
+                resolve(null);
+            });
+    });
+
+    return {
+        tier,
+        failed,
+        get progress() { return { loaded, failed: failed.length, total }; },
+
+        /**
+         * Loads a texture, trying the tier variants in turn (see textureCandidates).
+         * @param {string} file - File name as written in the system definition.
+         * @param {object} [textureOptions]
+         * @param {boolean} [textureOptions.noMipmap=false]
+         * @param {boolean} [textureOptions.invertY=true]
+         * @returns {Promise<BABYLON.Texture|null>} The texture, or null if no candidate loaded.
+         */
+        loadTexture(file, textureOptions = {}) {
+            total++;
+            const request = (async () => {
+                for (const candidate of textureCandidates(file, tier)) {
+                    const texture = await tryLoad(baseUrl + candidate, textureOptions);
+                    if (texture) {
+                        loaded++;
+                        onProgress({ loaded, failed: failed.length, total, file: candidate });
+                        return texture;
+                    }
+                }
+                console.warn(`Texture ${file} could not be loaded (tried ${textureCandidates(file, tier).join(', ')}); using a fallback.`);
+                failed.push(file);
+                onProgress({ loaded, failed: failed.length, total, file });
+                return null;
+            })();
+            pending.push(request);
+            return request;
+        },
+
+        /** Resolves once every texture requested so far has settled. */
+        async whenIdle() {
+            while (pending.length) await Promise.all(pending.splice(0));
+        }
+    };
+}
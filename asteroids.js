@@ -0,0 +1,265 @@
+// asteroids.js
+// Asteroid belt renderer: a handful of procedurally deformed rock meshes, each drawn
+// with thin instances (one draw call per rock shape instead of one per asteroid).
+// Instance matrices are rebuilt every frame straight from the worker's position buffer
+// (see transport.js), in the order of the worker's latest 'layout' message.
+// Rock shapes and each asteroid's tumble are seeded from their names and ids (random.js), so
+// a snapshot or shared link brings back the same-looking belt.
+import { hashString, seededRandom } from './random.js';
+
+const DEFAULT_SHAPE_COUNT = 4;
+const MAX_SPIN = 1.5; // Fastest tumble, radians per second of spin time
+
+// Random unit vector (not uniform over the sphere, which rocks do not need)
+const randomDirection = (random) => new BABYLON.Vector3(random() * 2 - 1, random() * 2 - 1, random() * 2 - 1).normalize();
+
+// Rocky sphere: an icosphere pushed in and out by a few random lobes, then squashed
+function createRockShape(name, scene, material) {
+    const random = seededRandom(hashString(name));
+    const data = BABYLON.VertexData.CreateIcoSphere({ radius: 1, subdivisions: 2 });
+    const lobes = Array.from({ length: 6 }, () => ({
+        direction: randomDirection(random),
+        amplitude: 0.08 + random() * 0.15,
+        frequency: 2 + random() * 3,
+        phase: random() * Math.PI * 2
+    }));
+    const stretch = { x: 1, y: 0.6 + random() * 0.3, z: 0.75 + random() * 0.25 };
+
+    const positions = data.positions;
+    for (let i = 0; i < positions.length; i += 3) {
+        // Offsets depend only on the direction, so the duplicated (flat-shaded) vertices stay welded
+        const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+        const len = Math.sqrt(x * x + y * y + z * z);
+        let r = 1;
+        lobes.forEach(lobe => {
+            const d = (x * lobe.direction.x + y * lobe.direction.y + z * lobe.direction.z) / len;
+            r += lobe.amplitude * Math.cos(lobe.frequency * d + lobe.phase);
+        });
+        r /= 1 + lobes.reduce((sum, lobe) => sum + lobe.amplitude, 0) / 2; // Keep roughly unit size
+        positions[i] = x / len * r * stretch.x;
+        positions[i + 1] = y / len * r * stretch.y;
+        positions[i + 2] = z / len * r * stretch.z;
+    }
+    data.normals = [];
+    BABYLON.VertexData.ComputeNormals(data.positions, data.indices, data.normals);
+
+    const mesh = new BABYLON.Mesh(name, scene);
+    data.applyToMesh(mesh);
+    mesh.material = material;
+    mesh.thinInstanceEnablePicking = true; // pickInfo.thinInstanceIndex is the instance slot
+    mesh.alwaysSelectAsActiveMesh = true; // The belt surrounds the camera; skip per-mesh culling
+    return mesh;
+}
+
+/**
+ * Creates the asteroid belt renderer.
+ * @param {BABYLON.Scene} scene - The Babylon scene.
+ * @param {BABYLON.TransformNode} root - Node the belt is parented to (physics space).
+ * @param {object} [options]
+ * @param {number} [options.shapeCount=4] - Number of distinct rock shapes.
+ * @param {BABYLON.Material} [options.material] - Rock material (grey standard material by default).
+ * @returns {object} The belt: add(id, radius, position), remove(id), setLayout(ids),
+ *   update(positions, count, spinDt, offset), shift(delta), capture(), positionOf(id),
+ *   idAt(mesh, index), nearestOnScreen(x, y, maxPixels) and count.
+ */
+export function createAsteroidBelt(scene, root, options = {}) {
+    let material = options.material;
+    if (!material) {
+        material = new BABYLON.StandardMaterial('asteroidMat', scene);
+        material.diffuseColor = new BABYLON.Color3(0.6, 0.6, 0.6);
+        material.specularColor = new BABYLON.Color3(0.2, 0.2, 0.2);
+    }
+
+    const shapes = Array.from({ length: options.shapeCount ?? DEFAULT_SHAPE_COUNT }, (_, i) => {
+        const mesh = createRockShape(`asteroidRock_${i}`, scene, material);
+        mesh.parent = root;
+        mesh.isVisible = false; // Until it has instances; a bare rock would draw at the origin
+        return { mesh, matrices: new Float32Array(0), count: 0, ids: [] }; // ids: asteroid id per slot
+    });
+
+    const records = new Map(); // id -> { id, shape, slot, scale, axis, spin, angle, position }
+    let layout = []; // Records in worker layout order
+    let layoutIds = []; // The ids of the latest layout, as given
+
+    const ensureCapacity = (shape, count) => {
+        if (shape.matrices.length >= count * 16) return;
+        const matrices = new Float32Array(Math.max(count, 64) * 2 * 16);
+        matrices.set(shape.matrices);
+        shape.matrices = matrices;
+        shape.mesh.thinInstanceSetBuffer('matrix', matrices, 16, false);
+    };
+
+    // Scale * rotation about the record's spin axis, then translation (Babylon's row-vector layout)
+    const writeMatrix = (record) => {
+        const m = shapes[record.shape].matrices;
+        const o = record.slot * 16;
+        const { x, y, z } = record.axis;
+        const c = Math.cos(record.angle), s = Math.sin(record.angle), t = 1 - c;
+        const k = record.scale;
+        m[o] = (t * x * x + c) * k; m[o + 1] = (t * x * y + s * z) * k; m[o + 2] = (t * x * z - s * y) * k; m[o + 3] = 0;
+        m[o + 4] = (t * x * y - s * z) * k; m[o + 5] = (t * y * y + c) * k; m[o + 6] = (t * y * z + s * x) * k; m[o + 7] = 0;
+        m[o + 8] = (t * x * z + s * y) * k; m[o + 9] = (t * y * z - s * x) * k; m[o + 10] = (t * z * z + c) * k; m[o + 11] = 0;
+        m[o + 12] = record.position.x; m[o + 13] = record.position.y; m[o + 14] = record.position.z; m[o + 15] = 1;
+    };
+
+    const refreshShapes = () => {
+        shapes.forEach(shape => {
+            shape.mesh.isVisible = shape.count > 0;
+            if (!shape.count) return;
+            shape.mesh.thinInstanceCount = shape.count;
+            shape.mesh.thinInstanceBufferUpdated('matrix');
+        });
+    };
+
+    return {
+        get count() { return layout.length; },
+
+        /**
+         * Registers an asteroid. It is drawn once it appears in a layout (setLayout).
+         * @param {string} id - Body id as used by the physics worker.
+         * @param {number} radius - Collision radius; the rock is scaled to match.
+         * @param {{x:number,y:number,z:number}} position - Initial position.
+         */
+        add(id, radius, position) {
+            const random = seededRandom(hashString(id));
+            records.set(id, {
+                id,
+                shape: Math.floor(random() * shapes.length),
+                slot: -1,
+                scale: radius,
+                axis: randomDirection(random),
+                spin: (random() * 2 - 1) * MAX_SPIN,
+                angle: random() * Math.PI * 2,
+                position: { x: position.x, y: position.y, z: position.z }
+            });
+        },
+
+        /** Forgets an asteroid (it disappears with the next layout). */
+        remove(id) {
+            records.delete(id);
+        },
+
+        /**
+         * Applies a 'layout' message from the worker: instance slots follow the id order.
+         * @param {string[]} ids - Body ids in buffer order.
+         */
+        setLayout(ids) {
+            shapes.forEach(shape => {
+                shape.count = 0;
+                shape.ids.length = 0;
+            });
+            layoutIds = ids;
+            layout = ids.map(id => records.get(id));
+            layout.forEach(record => {
+                if (!record) return;
+                const shape = shapes[record.shape];
+                record.slot = shape.count++;
+                shape.ids[record.slot] = record.id;
+                ensureCapacity(shape, shape.count);
+                writeMatrix(record);
+            });
+            refreshShapes();
+        },
+
+        /**
+         * Moves and spins every instance from a worker frame.
+         * @param {Float32Array} positions - x, y, z per body in layout order.
+         * @param {number} count - Number of bodies in the frame.
+         * @param {number} spinDt - Seconds to advance the tumbling by (0 while paused).
+         * @param {{x:number,y:number,z:number}} [offset] - Added to every position: the frame's
+         *   floating origin minus the current one, when the origin moved since it was written.
+         */
+        update(positions, count, spinDt, offset = { x: 0, y: 0, z: 0 }) {
+            const n = Math.min(count, layout.length);
+            for (let i = 0; i < n; i++) {
+                const record = layout[i];
+                if (!record) continue;
+                record.position.x = positions[i * 3] + offset.x;
+                record.position.y = positions[i * 3 + 1] + offset.y;
+                record.position.z = positions[i * 3 + 2] + offset.z;
+                record.angle += record.spin * spinDt;
+                writeMatrix(record);
+            }
+            refreshShapes();
+        },
+
+        /**
+         * Moves every asteroid by -delta, when the floating origin moves by delta (scale.js).
+         * @param {{x:number,y:number,z:number}} delta
+         */
+        shift(delta) {
+            records.forEach(record => {
+                record.position.x -= delta.x;
+                record.position.y -= delta.y;
+                record.position.z -= delta.z;
+                if (record.slot >= 0 && layout[record.slot] !== undefined) writeMatrix(record);
+            });
+            refreshShapes();
+        },
+
+        /**
+         * Copy of what the belt shows, for the flight recorder (recorder.js).
+         * @returns {object} { ids, radii, positions }: the layout ids (the same array until the
+         *   layout changes), and radius and x, y, z per body in layout order.
+         */
+        capture() {
+            const radii = new Float32Array(layout.length);
+            const positions = new Float32Array(layout.length * 3);
+            layout.forEach((record, i) => {
+                if (!record) return;
+                radii[i] = record.scale;
+                positions[i * 3] = record.position.x;
+                positions[i * 3 + 1] = record.position.y;
+                positions[i * 3 + 2] = record.position.z;
+            });
+            return { ids: layoutIds, radii, positions };
+        },
+
+        /** Last known position of an asteroid, or null if it does not exist. */
+        positionOf(id) {
+            const record = records.get(id);
+            return record ? record.position : null;
+        },
+
+        /**
+         * Asteroid behind a thin-instance pick result.
+         * @param {BABYLON.AbstractMesh} mesh - pickInfo.pickedMesh.
+         * @param {number} index - pickInfo.thinInstanceIndex.
+         * @returns {string|null} The asteroid id, or null if the mesh is not one of the belt's rocks.
+         */
+        idAt(mesh, index) {
+            const shape = shapes.find(s => s.mesh === mesh);
+            return shape && index >= 0 ? shape.ids[index] ?? null : null;
+        },
+
+        /**
+         * Asteroid drawn closest to a screen point, for clicks that just miss a (tiny) rock.
+         * @param {number} x - Pointer x in render pixels (scene.pointerX).
+         * @param {number} y - Pointer y in render pixels.
+         * @param {number} maxPixels - Largest distance that still counts.
+         * @returns {string|null} The asteroid id.
+         */
+        nearestOnScreen(x, y, maxPixels) {
+            const engine = scene.getEngine();
+            const viewport = scene.activeCamera.viewport.toGlobal(engine.getRenderWidth(), engine.getRenderHeight());
+            const transform = scene.getTransformMatrix();
+            const world = root.getWorldMatrix();
+            const local = new BABYLON.Vector3();
+            const screen = new BABYLON.Vector3();
+            let best = null;
+            let bestDistSq = maxPixels * maxPixels;
+            layout.forEach(record => {
+                if (!record) return;
+                local.set(record.position.x, record.position.y, record.position.z);
+                BABYLON.Vector3.ProjectToRef(local, world, transform, viewport, screen);
+                if (screen.z < 0 || screen.z > 1) return; // Behind the camera or past the far plane
+                const distSq = (screen.x - x) ** 2 + (screen.y - y) ** 2;
+                if (distSq < bestDistSq) {
+                    bestDistSq = distSq;
+                    best = record.id;
+                }
+            });
+            return best;
+        }
+    };
+}
@@ -0,0 +1,202 @@
+// cameras.js
+// Camera modes: the isometric overview, a perspective orbit camera that follows any body, a
+// chase camera behind the ship and a cockpit view. Changing mode or orbit target glides over
+// instead of cutting (except into the orthographic overview, which cannot be blended).
+
+/** Modes in the order the UI offers them. */
+export const CAMERA_MODES = [
+    { id: 'iso', label: 'Isometric' },
+    { id: 'orbit', label: 'Orbit' },
+    { id: 'chase', label: 'Chase' },
+    { id: 'cockpit', label: 'Cockpit' }
+];
+
+const TRANSITION_SECONDS = 1.2;
+const ISO_HALF_HEIGHT = 20; // Half the visible height of the overview, in scene units
+const CHASE_OFFSET = new BABYLON.Vector3(0, 2, -7); // Behind and above the ship, in its frame
+const CHASE_LOOK_AHEAD = 4; // The chase camera aims this far in front of the ship
+const CHASE_STIFFNESS = 4; // 1/s; how quickly the chase camera catches up
+const COCKPIT_POSITION = new BABYLON.Vector3(0, 0.45, 0.9);
+const ISO_DISTANCE = 50;
+const ORBIT_MAX_DISTANCE = 400;
+const FAR_PLANE = 10000; // Babylon's default maxZ, for the stylized layout
+
+const ease = (t) => t * t * (3 - 2 * t);
+
+// World position and orientation of a camera, as it will render this frame
+const cameraPose = (camera) => {
+    const rotation = new BABYLON.Quaternion();
+    const position = new BABYLON.Vector3();
+    camera.getWorldMatrix().decompose(undefined, rotation, position);
+    return { position, rotation };
+};
+
+/**
+ * Creates the cameras and the logic switching between them.
+ * @param {BABYLON.Scene} scene - The Babylon scene.
+ * @param {HTMLCanvasElement} canvas - Canvas the active camera takes pointer input from.
+ * @param {object} options
+ * @param {BABYLON.TransformNode} options.ship - The ship (forward is local +z, up local +y).
+ * @param {Array<object>} options.targets - Orbit targets: { id, node, radius }, node being
+ *   anything with getAbsolutePosition().
+ * @param {string} [options.orbitTarget] - Initial orbit target id (the first target by default).
+ * @param {number} [options.scale=1] - Stretches the overview, the orbit camera's range and the far
+ *   plane for layouts larger than the stylized one (the scale model's lengthFactor, scale.js).
+ * @returns {object} The rig: setMode(id), setTarget(id), resize(), shift(delta), and getters for
+ *   mode, target, targets and cameras ({ iso, orbit, chase, cockpit }).
+ */
+export function createCameraRig(scene, canvas, options) {
+    const engine = scene.getEngine();
+    const { ship, targets } = options;
+    const scale = options.scale ?? 1;
+
+    const iso = new BABYLON.ArcRotateCamera('isoCam', Math.PI/4, Math.PI/4, ISO_DISTANCE * scale, BABYLON.Vector3.Zero(), scene);
+    iso.mode = BABYLON.Camera.ORTHOGRAPHIC_CAMERA;
+
+    const orbit = new BABYLON.ArcRotateCamera('orbitCam', -Math.PI / 2, Math.PI / 3, 10, BABYLON.Vector3.Zero(), scene);
+    orbit.minZ = 0.01;
+    orbit.wheelDeltaPercentage = 0.02;
+    orbit.upperRadiusLimit = ORBIT_MAX_DISTANCE * scale;
+
+    const chase = new BABYLON.UniversalCamera('chaseCam', BABYLON.Vector3.Zero(), scene);
+    chase.minZ = 0.05;
+    chase.inputs.clear(); // Driven entirely by the ship
+
+    const cockpit = new BABYLON.UniversalCamera('cockpitCam', COCKPIT_POSITION.clone(), scene);
+    cockpit.parent = ship;
+    cockpit.minZ = 0.05;
+    cockpit.fov = 1.1;
+    cockpit.inputs.removeByType('FreeCameraKeyboardMoveInput'); // Mouse look only; the keys fly the ship
+
+    // Stand-in that glides from the old view to the new one
+    const transitionCam = new BABYLON.UniversalCamera('transitionCam', BABYLON.Vector3.Zero(), scene);
+    transitionCam.minZ = 0.01;
+    transitionCam.inputs.clear();
+    transitionCam.rotationQuaternion = new BABYLON.Quaternion();
+
+    const cameras = { iso, orbit, chase, cockpit };
+    [iso, orbit, chase, cockpit, transitionCam].forEach(camera => camera.maxZ = FAR_PLANE * scale);
+    let mode = 'iso';
+    let target = targets.find(t => t.id === options.orbitTarget) || targets[0];
+    let transition = null; // { from: pose, to: camera, elapsed }
+    let retarget = null; // { from: Vector3, fromRadius, elapsed }
+
+    const activate = (camera) => {
+        if (scene.activeCamera === camera) return;
+        if (scene.activeCamera) scene.activeCamera.detachControl();
+        scene.activeCamera = camera;
+        camera.attachControl(canvas, true);
+    };
+
+    const resize = () => {
+        const ratio = engine.getRenderWidth() / engine.getRenderHeight();
+        const halfHeight = ISO_HALF_HEIGHT * scale;
+        iso.orthoTop = halfHeight;
+        iso.orthoBottom = -halfHeight;
+        iso.orthoLeft = -halfHeight * ratio;
+        iso.orthoRight = halfHeight * ratio;
+    };
+    orbit.lowerRadiusLimit = target.radius * 1.5;
+    orbit.radius = target.radius * 6;
+    resize();
+    activate(iso);
+
+    // Chase camera: springs towards its spot behind the ship, aiming a little ahead of it
+    const updateChase = (dt, snap) => {
+        const world = ship.getWorldMatrix();
+        const desired = BABYLON.Vector3.TransformCoordinates(CHASE_OFFSET, world);
+        const aim = BABYLON.Vector3.TransformCoordinates(new BABYLON.Vector3(0, 0, CHASE_LOOK_AHEAD), world);
+        if (snap) chase.position.copyFrom(desired);
+        else BABYLON.Vector3.LerpToRef(chase.position, desired, 1 - Math.exp(-CHASE_STIFFNESS * dt), chase.position);
+        chase.upVector = BABYLON.Vector3.TransformNormal(BABYLON.Axis.Y, world).normalize();
+        chase.setTarget(aim);
+    };
+
+    scene.onBeforeRenderObservable.add(() => {
+        const dt = engine.getDeltaTime() / 1000;
+
+        // The orbit camera follows its target; after a retarget its focus slides over
+        const focus = target.node.getAbsolutePosition();
+        if (retarget) {
+            retarget.elapsed += dt;
+            const t = ease(Math.min(retarget.elapsed / TRANSITION_SECONDS, 1));
+            BABYLON.Vector3.LerpToRef(retarget.from, focus, t, orbit.target);
+            orbit.radius = retarget.fromRadius + (target.radius * 6 - retarget.fromRadius) * t;
+            if (t >= 1) retarget = null;
+        } else {
+            orbit.target.copyFrom(focus);
+        }
+        if (mode === 'chase') updateChase(dt, false);
+
+        if (transition) {
+            transition.elapsed += dt;
+            const t = ease(Math.min(transition.elapsed / TRANSITION_SECONDS, 1));
+            const to = cameraPose(transition.to);
+            BABYLON.Vector3.LerpToRef(transition.from.position, to.position, t, transitionCam.position);
+            BABYLON.Quaternion.SlerpToRef(transition.from.rotation, to.rotation, t, transitionCam.rotationQuaternion);
+            if (t >= 1) {
+                activate(transition.to);
+                transition = null;
+            }
+        }
+    });
+
+    /**
+     * Switches camera mode, gliding from the current view (cuts into the isometric view).
+     * @param {string} id - One of CAMERA_MODES.
+     */
+    const setMode = (id) => {
+        const camera = cameras[id];
+        if (!camera || id === mode) return;
+        mode = id;
+        if (id === 'chase') updateChase(0, true);
+        if (id === 'iso') {
+            transition = null;
+            activate(iso);
+            return;
+        }
+        transition = { from: cameraPose(scene.activeCamera), to: camera, elapsed: 0 };
+        transitionCam.position.copyFrom(transition.from.position);
+        transitionCam.rotationQuaternion.copyFrom(transition.from.rotation);
+        activate(transitionCam);
+    };
+
+    /**
+     * Points the orbit camera at another target (switching to orbit mode).
+     * @param {string} id - A target id.
+     */
+    const setTarget = (id) => {
+        const next = targets.find(t => t.id === id);
+        if (!next) return;
+        if (next !== target) {
+            retarget = { from: orbit.target.clone(), fromRadius: orbit.radius, elapsed: 0 };
+            target = next;
+            orbit.lowerRadiusLimit = target.radius * 1.5;
+        }
+        setMode('orbit');
+    };
+
+    /**
+     * Moves the free-standing cameras (and any glide under way) by -delta, when the floating
+     * origin moves by delta (scale.js); the others follow their target or the ship.
+     * @param {{x:number,y:number,z:number}} delta
+     */
+    const shift = (delta) => {
+        const offset = new BABYLON.Vector3(delta.x, delta.y, delta.z);
+        [iso.target, orbit.target, chase.position, transitionCam.position].forEach(position => position.subtractInPlace(offset));
+        if (transition) transition.from.position.subtractInPlace(offset);
+        if (retarget) retarget.from.subtractInPlace(offset);
+    };
+
+    return {
+        cameras,
+        targets,
+        get mode() { return mode; },
+        get target() { return target.id; },
+        setMode,
+        setTarget,
+        shift,
+        /** Keeps the orthographic bounds in step with the canvas; perspective cameras adapt on their own. */
+        resize
+    };
+}
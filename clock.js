@@ -0,0 +1,66 @@
+// clock.js
+// Shared simulation clock: turns wall-clock frame time into simulated seconds.
+// Everything that moves (kinematic planets, the physics worker) advances by the
+// value returned from advance(), so they stay in step regardless of FPS.
+
+export const SECONDS_PER_DAY = 86400;
+export const SECONDS_PER_YEAR = 365.25 * SECONDS_PER_DAY;
+
+/** Time warp presets offered in the UI, in simulated seconds per real second. */
+export const WARP_PRESETS = [
+    { label: '1×', factor: 1 },
+    { label: '1000×', factor: 1000 },
+    { label: '1 day/s', factor: SECONDS_PER_DAY },
+    { label: '1 week/s', factor: 7 * SECONDS_PER_DAY },
+    { label: '1 yr/s', factor: SECONDS_PER_YEAR }
+];
+
+const MAX_FRAME_SECONDS = 0.1; // Longer frames (tab switches, hitches) are clamped to this
+const STEP_FRAME_SECONDS = 1 / 60; // Real time covered by a single step while paused
+
+/**
+ * Creates a simulation clock.
+ * @param {object} [options] - Optional parameters.
+ * @param {Date} [options.startDate=new Date()] - Simulated date at t = 0.
+ * @param {number} [options.warp=7 * SECONDS_PER_DAY] - Initial warp factor (sim seconds per real second).
+ * @returns {object} The clock: advance(realSeconds), pause(), resume(), togglePause(),
+ *   step(), reverse(), setWarp(factor), and getters for date, elapsed, warp, paused, direction.
+ */
+export function createSimulationClock(options = {}) {
+    const startMs = (options.startDate || new Date()).getTime();
+    let elapsed = 0; // Simulated seconds since startDate (negative when run backwards)
+    let warp = options.warp ?? 7 * SECONDS_PER_DAY;
+    let direction = 1;
+    let paused = false;
+    let pendingSteps = 0;
+
+    return {
+        /**
+         * Advances the clock by one rendered frame.
+         * @param {number} realSeconds - Wall-clock time since the previous frame.
+         * @returns {number} Signed simulated seconds to advance everything by (0 when paused).
+         */
+        advance(realSeconds) {
+            let realDt = Math.min(Math.max(realSeconds, 0), MAX_FRAME_SECONDS);
+            if (paused) {
+                realDt = pendingSteps * STEP_FRAME_SECONDS;
+                pendingSteps = 0;
+            }
+            const simDt = realDt * warp * direction;
+            elapsed += simDt;
+            return simDt;
+        },
+        pause() { paused = true; },
+        resume() { paused = false; pendingSteps = 0; },
+        togglePause() { paused ? this.resume() : this.pause(); },
+        /** Queues one frame's worth of simulated time; only has an effect while paused. */
+        step() { if (paused) pendingSteps++; },
+        reverse() { direction = -direction; },
+        setWarp(factor) { warp = Math.max(0, factor); },
+        get date() { return new Date(startMs + elapsed * 1000); },
+        get elapsed() { return elapsed; },
+        get warp() { return warp; },
+        get paused() { return paused; },
+        get direction() { return direction; }
+    };
+}
@@ -0,0 +1,36 @@
+// effects.js
+// Short-lived visual effects.
+
+/**
+ * Plays an impact flash: an emissive sphere that expands and fades out, then disposes itself.
+ * @param {BABYLON.Scene} scene - The Babylon scene.
+ * @param {BABYLON.TransformNode} parent - Node the flash is positioned in (e.g. the scene root).
+ * @param {{x:number,y:number,z:number}} position - Impact point in the parent's space.
+ * @param {number} size - Final radius of the flash.
+ * @param {BABYLON.Color3} [color] - Flash colour (defaults to hot orange).
+ * @param {number} [duration=0.6] - Lifetime in seconds.
+ */
+export function playImpactFlash(scene, parent, position, size, color = new BABYLON.Color3(1, 0.6, 0.2), duration = 0.6) {
+    const flash = BABYLON.MeshBuilder.CreateSphere('impactFlash', { diameter: 2, segments: 8 }, scene);
+    const mat = new BABYLON.StandardMaterial('impactFlashMat', scene);
+    mat.emissiveColor = color;
+    mat.disableLighting = true;
+    flash.material = mat;
+    flash.isPickable = false;
+    flash.parent = parent;
+    flash.position.set(position.x, position.y, position.z);
+    flash.scaling.setAll(0.01);
+
+    let age = 0;
+    const observer = scene.onBeforeRenderObservable.add(() => {
+        age += scene.getEngine().getDeltaTime() / 1000;
+        const t = Math.min(age / duration, 1);
+        flash.scaling.setAll(size * (0.2 + 0.8 * Math.sqrt(t)));
+        mat.alpha = 1 - t;
+        if (t >= 1) {
+            scene.onBeforeRenderObservable.remove(observer);
+            flash.dispose();
+            mat.dispose();
+        }
+    });
+}
@@ -0,0 +1,249 @@
+// flight.js
+// Newtonian flight model for the spaceship: the mesh from createSpaceship is driven by
+// a physics state (position, velocity, attitude, angular velocity, fuel) instead of
+// being translated/rotated directly.
+//
+// Units: translation uses the scene's units (distances in scene units, time in physics time
+// units, G from the scale model in scale.js), which the physics worker converts to SI, so
+// the ship falls exactly like the asteroids do.
+// Attitude control runs in real seconds so the ship stays steerable at any time warp.
+
+import { DEFAULT_SHIP_DESIGN, HULL_MATERIALS } from './spaceship.js';
+
+const MAX_STEP = 0.05; // Longest integration step (physics time units), as in the worker
+const WING_MASS = 0.05; // Per unit of wing area
+const THRUSTER_MASS = 0.05; // Per engine of the default size
+const GRAVITY_CORE = 0.3; // Gravity is capped inside this fraction of a source's radius, as in the worker
+
+/**
+ * Flight characteristics of a ship design: the hull (volume times the material's density),
+ * wings and engines make up the dry mass, the tank fills 1.5x the hull volume, nozzle area
+ * sets the thrust and the wing span is the lever arm of the attitude jets.
+ * @param {object} [design] - A createSpaceship design (missing values are the defaults).
+ * @returns {object} { dryMass, fuelMass, thrustPerThruster, thrusterCount, exhaustVelocity,
+ *   rcsThrust, torque, width, height, length }
+ */
+export function shipStats(design = {}) {
+    const d = { ...DEFAULT_SHIP_DESIGN, ...design };
+    const hullVolume = d.bodyWidth * d.bodyHeight * d.bodyLength;
+    const nozzleArea = (d.thrusterRadius / DEFAULT_SHIP_DESIGN.thrusterRadius) ** 2; // Relative to the default engine
+    const density = (HULL_MATERIALS[d.hullMaterial] || HULL_MATERIALS.painted).density;
+    return {
+        dryMass: hullVolume * density + d.wingSpan * d.wingDepth * WING_MASS + d.thrusterCount * nozzleArea * THRUSTER_MASS,
+        fuelMass: hullVolume * 1.5,
+        thrustPerThruster: 0.5 * nozzleArea,
+        thrusterCount: d.thrusterCount,
+        exhaustVelocity: 20,
+        rcsThrust: 0.1,
+        torque: 2 * d.wingSpan / DEFAULT_SHIP_DESIGN.wingSpan,
+        width: d.bodyWidth,
+        height: d.bodyHeight,
+        length: d.bodyLength
+    };
+}
+
+/**
+ * Builds a gravity function from point masses.
+ * @param {number} G - Gravitational constant in physics units.
+ * @param {Array<{mass: number, radius: number, position: {x:number,y:number,z:number}}>} sources -
+ *   Attracting bodies (positions are read on every call, so live mesh positions can be passed).
+ * @returns {function({x:number,y:number,z:number}): {x:number,y:number,z:number}} Acceleration at a point.
+ */
+export function pointMassGravity(G, sources) {
+    return (p) => {
+        const a = { x: 0, y: 0, z: 0 };
+        sources.forEach(source => {
+            const dx = source.position.x - p.x;
+            const dy = source.position.y - p.y;
+            const dz = source.position.z - p.z;
+            const distSq = Math.max(dx * dx + dy * dy + dz * dz, (GRAVITY_CORE * source.radius) ** 2);
+            const aMag = G * source.mass / (distSq * Math.sqrt(distSq));
+            a.x += dx * aMag;
+            a.y += dy * aMag;
+            a.z += dz * aMag;
+        });
+        return a;
+    };
+}
+
+/**
+ * Creates the flight model for a ship mesh.
+ * Mass, thrust and inertia are derived from the design the ship was built with
+ * (ship.metadata.config, set by createSpaceship) through shipStats.
+ * @param {BABYLON.Mesh} ship - Root mesh returned by createSpaceship.
+ * @param {object} [options] - Optional overrides.
+ * @param {{x:number,y:number,z:number}} [options.velocity] - Initial velocity (physics units).
+ * @param {number} [options.dryMass] - Mass without fuel (defaults to shipStats).
+ * @param {number} [options.fuelMass] - Initial fuel (defaults to shipStats).
+ * @param {number} [options.thrustPerThruster] - Main engine force per thruster (defaults to shipStats).
+ * @param {number} [options.exhaustVelocity=20] - Effective exhaust velocity (fuel use = thrust / exhaustVelocity).
+ * @param {number} [options.rcsThrust=0.1] - Force of the translation (RCS) jets per axis.
+ * @param {number} [options.torque] - Reaction wheel torque per axis (defaults to shipStats).
+ * @param {boolean} [options.stabilityAssist=true] - Damp rotation on axes without input.
+ * @param {number} [options.scale=1] - Multiplies thrust, RCS force and exhaust velocity, for
+ *   layouts larger than the stylized one (the scale model's lengthFactor, scale.js).
+ * @returns {object} The flight model: update(controls, physicsDt, realDt, gravityAt),
+ *   applyImpulse(deltaV), reset(position, velocity), refit() plus state accessors.
+ */
+export function createFlightModel(ship, options = {}) {
+    const config = {};
+    let inertia = null;
+    let maxThrust = 0;
+    let thrusters = [];
+    let glow = DEFAULT_SHIP_DESIGN.engineGlow;
+
+    // Stats of the ship's current design, with the options on top
+    const configure = () => {
+        const design = (ship.metadata && ship.metadata.config) || {};
+        const { width, height, length, thrusterCount, ...stats } = shipStats(design);
+        Object.assign(config, stats, { stabilityAssist: true }, options);
+        const scale = options.scale ?? 1;
+        config.thrustPerThruster *= scale;
+        config.rcsThrust *= scale;
+        config.exhaustVelocity *= scale;
+        // Box moments of inertia about the local axes (x: pitch, y: yaw, z: roll)
+        const inertiaFactor = (config.dryMass + config.fuelMass) / 12;
+        inertia = {
+            x: inertiaFactor * (height * height + length * length),
+            y: inertiaFactor * (width * width + length * length),
+            z: inertiaFactor * (width * width + height * height)
+        };
+        maxThrust = thrusterCount * config.thrustPerThruster;
+        thrusters = (ship.metadata && ship.metadata.thrusters) || [];
+        glow = design.engineGlow || DEFAULT_SHIP_DESIGN.engineGlow;
+    };
+    configure();
+
+    if (!ship.rotationQuaternion) {
+        ship.rotationQuaternion = BABYLON.Quaternion.FromEulerVector(ship.rotation);
+    }
+
+    const state = {
+        position: ship.position,
+        velocity: new BABYLON.Vector3(0, 0, 0).copyFrom(options.velocity || BABYLON.Vector3.Zero()),
+        angularVelocity: new BABYLON.Vector3(0, 0, 0), // Local frame, rad per real second
+        fuel: config.fuelMass,
+        throttle: 0
+    };
+
+    const mass = () => config.dryMass + state.fuel;
+
+    // Reaction wheels: commanded torque, or stability assist pushing the spin back to zero
+    function updateAttitude(rotate, realDt) {
+        ['x', 'y', 'z'].forEach(axis => {
+            const command = rotate[axis] || 0;
+            let torque = command * config.torque;
+            if (!command && config.stabilityAssist) {
+                const stopTorque = -state.angularVelocity[axis] * inertia[axis] / Math.max(realDt, 1e-3);
+                torque = Math.max(-config.torque, Math.min(config.torque, stopTorque));
+            }
+            state.angularVelocity[axis] += torque / inertia[axis] * realDt;
+        });
+
+        const angle = state.angularVelocity.length() * realDt;
+        if (angle > 0) {
+            const axis = state.angularVelocity.normalizeToNew();
+            const delta = BABYLON.Quaternion.RotationAxis(axis, angle);
+            ship.rotationQuaternion.multiplyInPlace(delta).normalize();
+        }
+    }
+
+    // Thrust (main engine along local +Z, RCS along each local axis) as a world-space force
+    function thrustForce(controls) {
+        if (state.fuel <= 0) return BABYLON.Vector3.Zero();
+        const translate = controls.translate || {};
+        const local = new BABYLON.Vector3(
+            (translate.x || 0) * config.rcsThrust,
+            (translate.y || 0) * config.rcsThrust,
+            state.throttle * maxThrust + (translate.z || 0) * config.rcsThrust
+        );
+        return local.applyRotationQuaternion(ship.rotationQuaternion);
+    }
+
+    return {
+        state,
+        config,
+        get mass() { return mass(); },
+        get maxThrust() { return maxThrust; },
+        /** Remaining delta-v at full tank usage (rocket equation). */
+        get deltaV() { return config.exhaustVelocity * Math.log(mass() / config.dryMass); },
+
+        /**
+         * Puts the ship back at a position and velocity with a full tank, level and not spinning.
+         * @param {BABYLON.Vector3} position
+         * @param {BABYLON.Vector3} velocity
+         */
+        reset(position, velocity) {
+            state.position.copyFrom(position);
+            state.velocity.copyFrom(velocity);
+            state.angularVelocity.setAll(0);
+            state.fuel = config.fuelMass;
+            state.throttle = 0;
+            ship.rotationQuaternion.copyFrom(BABYLON.Quaternion.Identity());
+        },
+
+        /**
+         * Takes over the stats of the ship's new design after updateSpaceship, keeping the
+         * tank as full (relatively) as it was.
+         */
+        refit() {
+            const fuelFraction = config.fuelMass > 0 ? state.fuel / config.fuelMass : 0;
+            configure();
+            state.fuel = config.fuelMass * fuelFraction;
+        },
+
+        /**
+         * Applies an instantaneous velocity change (a maneuver node burn), paying for it with
+         * fuel through the rocket equation. A burn larger than the fuel allows is scaled down.
+         * @param {BABYLON.Vector3} deltaV - World-space delta-v in physics units.
+         * @returns {number} The delta-v magnitude actually applied.
+         */
+        applyImpulse(deltaV) {
+            const requested = deltaV.length();
+            const applied = Math.min(requested, this.deltaV);
+            if (applied <= 0) return 0;
+            state.velocity.addInPlace(deltaV.scale(applied / requested));
+            state.fuel = Math.max(0, mass() * Math.exp(-applied / config.exhaustVelocity) - config.dryMass);
+            return applied;
+        },
+
+        /**
+         * Advances the ship by one frame.
+         * @param {object} controls - { throttle: 0..1, translate: {x,y,z} in -1..1, rotate: {x: pitch, y: yaw, z: roll} in -1..1 }.
+         * @param {number} physicsDt - Signed physics time step (negative when the clock runs backwards).
+         * @param {number} realDt - Wall-clock seconds since the last frame (for attitude control).
+         * @param {function} gravityAt - Returns the gravitational acceleration at a position.
+         */
+        update(controls, physicsDt, realDt, gravityAt) {
+            state.throttle = state.fuel > 0 ? Math.max(0, Math.min(1, controls.throttle || 0)) : 0;
+            updateAttitude(controls.rotate || {}, realDt);
+
+            // Engines only fire while time runs forwards
+            const force = physicsDt > 0 ? thrustForce(controls) : BABYLON.Vector3.Zero();
+            const substeps = Math.ceil(Math.abs(physicsDt) / MAX_STEP);
+            const h = substeps ? physicsDt / substeps : 0;
+
+            // Velocity Verlet with thrust held constant over the frame
+            for (let i = 0; i < substeps; i++) {
+                const f = state.fuel > 0 ? force : BABYLON.Vector3.Zero(); // Flame out when the tank runs dry
+                const m = mass();
+                const a0 = gravityAt(state.position);
+                state.velocity.x += (a0.x + f.x / m) * h / 2;
+                state.velocity.y += (a0.y + f.y / m) * h / 2;
+                state.velocity.z += (a0.z + f.z / m) * h / 2;
+                state.position.addInPlace(state.velocity.scale(h));
+                const a1 = gravityAt(state.position);
+                state.velocity.x += (a1.x + f.x / m) * h / 2;
+                state.velocity.y += (a1.y + f.y / m) * h / 2;
+                state.velocity.z += (a1.z + f.z / m) * h / 2;
+
+                state.fuel = Math.max(0, state.fuel - f.length() / config.exhaustVelocity * h);
+            }
+
+            // Engine glow follows the throttle
+            thrusters.forEach(thruster => {
+                thruster.material.emissiveColor.set(glow[0] * state.throttle, glow[1] * state.throttle, glow[2] * state.throttle);
+            });
+        }
+    };
+}
@@ -0,0 +1,179 @@
+// hangar.js
+// Ship designer: edits the design of the player's ship live (rebuilding the mesh in place and
+// refitting the flight model), keeps named presets and the current design in localStorage,
+// and exports designs as glTF (.glb).
+
+import { createSpaceship, updateSpaceship, DEFAULT_SHIP_DESIGN, HULL_MATERIALS } from './spaceship.js';
+import { shipStats } from './flight.js';
+
+const PRESETS_KEY = 'shipPresets';
+const CURRENT_KEY = 'shipDesign';
+
+/** Editable design parameters, in the order the hangar shows them. */
+export const SHIP_PARAMETERS = [
+    { id: 'bodyLength', label: 'Hull length', type: 'number', min: 1, max: 6, step: 0.1 },
+    { id: 'bodyWidth', label: 'Hull width', type: 'number', min: 0.3, max: 2, step: 0.05 },
+    { id: 'bodyHeight', label: 'Hull height', type: 'number', min: 0.3, max: 2, step: 0.05 },
+    { id: 'noseLength', label: 'Nose length', type: 'number', min: 0.2, max: 3, step: 0.1 },
+    { id: 'wingSpan', label: 'Wing span', type: 'number', min: 0, max: 6, step: 0.1 },
+    { id: 'wingDepth', label: 'Wing depth', type: 'number', min: 0.2, max: 2.5, step: 0.05 },
+    { id: 'wingSweep', label: 'Wing sweep (°)', type: 'number', min: -20, max: 60, step: 1 },
+    { id: 'thrusterCount', label: 'Engines', type: 'number', min: 1, max: 6, step: 1, integer: true },
+    { id: 'thrusterRadius', label: 'Engine size', type: 'number', min: 0.08, max: 0.5, step: 0.01 },
+    { id: 'hasTailFin', label: 'Tail fin', type: 'boolean' },
+    { id: 'hullMaterial', label: 'Hull material', type: 'choice', choices: Object.entries(HULL_MATERIALS).map(([id, m]) => ({ id, label: m.label })) },
+    { id: 'hullColor', label: 'Hull colour', type: 'color' },
+    { id: 'engineGlow', label: 'Engine glow', type: 'color' }
+];
+
+/** Built-in presets (read-only; saved presets with the same name take precedence). */
+export const SHIP_PRESETS = {
+    Standard: {},
+    Interceptor: {
+        bodyLength: 3.2, bodyWidth: 0.6, bodyHeight: 0.45, noseLength: 1.6, wingSpan: 2.6, wingDepth: 0.9, wingSweep: 40,
+        thrusterCount: 2, thrusterRadius: 0.24, hullMaterial: 'carbon', hullColor: [0.2, 0.22, 0.26], engineGlow: [0.3, 0.6, 1]
+    },
+    Freighter: {
+        bodyLength: 4.5, bodyWidth: 1.6, bodyHeight: 1.2, noseLength: 0.6, wingSpan: 1.2, wingDepth: 1.8, wingSweep: 0,
+        thrusterCount: 4, thrusterRadius: 0.3, hasTailFin: false, hullMaterial: 'metal', hullColor: [0.75, 0.6, 0.35], engineGlow: [1, 0.35, 0.1]
+    }
+};
+
+// Keeps only known parameters with values of the right type, numbers clamped to their range
+const sanitize = (design) => {
+    const clean = {};
+    SHIP_PARAMETERS.forEach(({ id, type, min, max, integer }) => {
+        const value = design && design[id];
+        const ok = type === 'number' ? Number.isFinite(value)
+            : type === 'boolean' ? typeof value === 'boolean'
+            : type === 'choice' ? typeof value === 'string' && HULL_MATERIALS[value]
+            : Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+        if (!ok) return;
+        clean[id] = type === 'number' ? Math.min(max, Math.max(min, integer ? Math.round(value) : value)) : value;
+    });
+    return clean;
+};
+
+const readStorage = (key, fallback) => {
+    try {
+        const value = JSON.parse(localStorage.getItem(key) || 'null');
+        return value ?? fallback;
+    } catch (e) {
+        console.warn(`Could not read ${key} from localStorage:`, e);
+        return fallback;
+    }
+};
+
+const writeStorage = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.warn(`Could not save ${key} to localStorage:`, e);
+    }
+};
+
+/**
+ * The design the player flew last (DEFAULT_SHIP_DESIGN values where none was saved).
+ * @returns {object} A full design.
+ */
+export function loadShipDesign() {
+    return { ...DEFAULT_SHIP_DESIGN, ...sanitize(readStorage(CURRENT_KEY, {})) };
+}
+
+/**
+ * Creates the hangar for the player's ship.
+ * @param {BABYLON.Mesh} ship - Ship from createSpaceship.
+ * @param {object} flight - Its flight model (createFlightModel).
+ * @param {object} [options]
+ * @param {function} [options.onRefit] - Called after the ship was rebuilt (its size may have changed).
+ * @returns {object} The hangar: set(id, value), apply(design), load(name), save(name),
+ *   remove(name), exportGLTF(name), and getters for design, presets and stats.
+ */
+export function createHangar(ship, flight, options = {}) {
+    const onRefit = options.onRefit || (() => {});
+    let design = { ...DEFAULT_SHIP_DESIGN, ...ship.metadata.config };
+    let saved = readStorage(PRESETS_KEY, {});
+
+    /** Rebuilds the ship to a design and makes it the current one. */
+    const apply = (next) => {
+        design = { ...DEFAULT_SHIP_DESIGN, ...sanitize(next) };
+        updateSpaceship(ship, design);
+        flight.refit();
+        writeStorage(CURRENT_KEY, design);
+        onRefit();
+    };
+
+    return {
+        apply,
+        get design() { return { ...design }; },
+
+        /** Preset names: the built-in ones, then the saved ones. */
+        get presets() {
+            return [...new Set([...Object.keys(SHIP_PRESETS), ...Object.keys(saved)])];
+        },
+
+        /** Flight figures of the current design (shipStats plus totals for the UI). */
+        get stats() {
+            const stats = shipStats(design);
+            const fullMass = stats.dryMass + stats.fuelMass;
+            const thrust = stats.thrusterCount * stats.thrustPerThruster;
+            return {
+                ...stats,
+                thrust,
+                acceleration: thrust / fullMass, // Full tank
+                deltaV: stats.exhaustVelocity * Math.log(fullMass / stats.dryMass)
+            };
+        },
+
+        /**
+         * Changes one parameter.
+         * @param {string} id - A SHIP_PARAMETERS id.
+         * @param {*} value
+         */
+        set(id, value) {
+            apply({ ...design, [id]: value });
+        },
+
+        /** Switches to a preset; false if there is none by that name. */
+        load(name) {
+            const preset = saved[name] || SHIP_PRESETS[name];
+            if (!preset) return false;
+            apply(preset);
+            return true;
+        },
+
+        /** Saves the current design under a name. */
+        save(name) {
+            saved = { ...saved, [name]: { ...design } };
+            writeStorage(PRESETS_KEY, saved);
+        },
+
+        /** Deletes a saved preset (built-in ones stay). */
+        remove(name) {
+            saved = { ...saved };
+            delete saved[name];
+            writeStorage(PRESETS_KEY, saved);
+        },
+
+        /**
+         * Downloads the current design as a binary glTF file. A copy of the ship is built at
+         * the world origin of the live scene and exported on its own, so the file is centred
+         * and free of the game's transforms; the copy is removed again afterwards.
+         * Needs the Babylon serializers (BABYLON.GLTF2Export).
+         * @param {string} [name='ship'] - File name without the extension.
+         */
+        async exportGLTF(name = 'ship') {
+            if (!BABYLON.GLTF2Export) throw new Error('The glTF exporter (babylonjs.serializers) is not loaded.');
+            const model = createSpaceship(ship.getScene(), design);
+            try {
+                model.position.setAll(0);
+                const glb = await BABYLON.GLTF2Export.GLBAsync(ship.getScene(), name, {
+                    shouldExportNode: (node) => node === model || node.isDescendantOf(model)
+                });
+                glb.downloadFiles();
+            } finally {
+                model.dispose(false, true);
+            }
+        }
+    };
+}
@@ -0,0 +1,333 @@
+// input.js
+// Ship controls as named actions (thrust, yaw, pitch, roll, strafe, lift, boost) bound to any
+// mix of keyboard keys, gamepad buttons and axes, on-screen touch sticks and WebXR controller
+// components. Bindings can be remapped and are kept in localStorage.
+//
+// A binding is a source string:
+//   key:w                      keyboard key (KeyboardEvent.key, lower case; ' ' is space)
+//   pad:button7, pad:axis1     gamepad button value (0..1) or axis (-1..1), any connected pad
+//   touch:left:x, touch:boost  on-screen sticks (left/right, x/y) and boost button
+//   xr:right:xr-standard-trigger, xr:left:xr-standard-thumbstick:y
+//                              WebXR motion controller component (value, or one axis)
+// A leading '-' negates the source. Each action lists sources pushing it positive and
+// negative; axes count with their sign, so '-pad:axis1' in `positive` means stick forward.
+
+const STORAGE_KEY = 'inputBindings';
+const DEADZONE = 0.15;
+const CAPTURE_THRESHOLD = 0.5; // How far a pad input must move from rest to be captured
+
+/** Actions in the order the UI offers them; `directions` labels the positive/negative ends. */
+export const INPUT_ACTIONS = [
+    { id: 'thrust', label: 'Thrust', directions: ['Forward', 'Reverse'] },
+    { id: 'yaw', label: 'Yaw', directions: ['Right', 'Left'] },
+    { id: 'pitch', label: 'Pitch', directions: ['Nose down', 'Nose up'] },
+    { id: 'roll', label: 'Roll', directions: ['Left', 'Right'] },
+    { id: 'strafe', label: 'Strafe', directions: ['Right', 'Left'] },
+    { id: 'lift', label: 'Lift', directions: ['Up', 'Down'] },
+    { id: 'boost', label: 'Boost', directions: ['Hold'] }
+];
+
+/** Bindings used until the player changes them. */
+export const DEFAULT_BINDINGS = {
+    thrust: {
+        positive: ['key:w', 'pad:button7', '-touch:right:y', 'xr:right:xr-standard-trigger'],
+        negative: ['key:s', 'pad:button6', 'xr:left:xr-standard-trigger']
+    },
+    yaw: {
+        positive: ['key:d', 'pad:axis0', 'touch:left:x', 'xr:left:xr-standard-thumbstick:x'],
+        negative: ['key:a']
+    },
+    pitch: {
+        positive: ['key:t', '-pad:axis1', '-touch:left:y', '-xr:left:xr-standard-thumbstick:y'],
+        negative: ['key:g']
+    },
+    roll: {
+        positive: ['key:q', 'pad:button4', 'xr:left:xr-standard-squeeze'],
+        negative: ['key:e', 'pad:button5', 'touch:right:x', 'xr:right:xr-standard-squeeze']
+    },
+    strafe: {
+        positive: ['key:l', 'pad:axis2', 'xr:right:xr-standard-thumbstick:x'],
+        negative: ['key:j']
+    },
+    lift: {
+        positive: ['key:r', '-pad:axis3', '-xr:right:xr-standard-thumbstick:y'],
+        negative: ['key:f']
+    },
+    boost: {
+        positive: ['key:shift', 'pad:button0', 'touch:boost', 'xr:right:a-button'],
+        negative: []
+    }
+};
+
+// Standard-mapping gamepad names, for the UI
+const PAD_BUTTONS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'Up', 'Down', 'Left', 'Right'];
+const PAD_AXES = ['LS ↔', 'LS ↕', 'RS ↔', 'RS ↕'];
+
+const deadzone = (value) => Math.abs(value) < DEADZONE ? 0 : value;
+const clamp = (value) => Math.max(-1, Math.min(1, value));
+const sourceDevice = (source) => source.replace(/^-/, '').split(':')[0];
+
+/**
+ * Human-readable name of a source string, e.g. 'W', 'Pad RT', '−Pad LS ↕'.
+ * @param {string} source
+ * @returns {string}
+ */
+export function describeSource(source) {
+    const negated = source.startsWith('-');
+    const [device, ...path] = source.replace(/^-/, '').split(':');
+    let name;
+    if (device === 'key') name = path[0] === ' ' ? 'Space' : path[0].length === 1 ? path[0].toUpperCase() : path[0][0].toUpperCase() + path[0].slice(1);
+    else if (device === 'pad') {
+        const index = parseInt(path[0].replace(/\D/g, ''), 10);
+        name = `Pad ${path[0].startsWith('axis') ? PAD_AXES[index] || path[0] : PAD_BUTTONS[index] || path[0]}`;
+    } else if (device === 'touch') name = path[0] === 'boost' ? 'Touch boost' : `Touch ${path[0]} stick ${path[1] === 'x' ? '↔' : '↕'}`;
+    else if (device === 'xr') name = `XR ${path[0]} ${path[1].replace('xr-standard-', '')}${path[2] ? ` ${path[2] === 'x' ? '↔' : '↕'}` : ''}`;
+    else name = source;
+    return negated ? `−${name}` : name;
+}
+
+// Copies the stored bindings over the defaults, ignoring anything malformed
+function loadBindings() {
+    const bindings = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        if (stored) {
+            INPUT_ACTIONS.forEach(({ id }) => {
+                ['positive', 'negative'].forEach(direction => {
+                    const sources = stored[id] && stored[id][direction];
+                    if (Array.isArray(sources) && sources.every(s => typeof s === 'string')) bindings[id][direction] = sources;
+                });
+            });
+        }
+    } catch (e) {
+        console.warn('Could not read the saved input bindings; using the defaults.', e);
+    }
+    return bindings;
+}
+
+// --- Touch sticks ---
+
+// Two virtual joysticks in the bottom corners and a boost button, as DOM elements
+function createTouchControls(container) {
+    const state = { left: { x: 0, y: 0 }, right: { x: 0, y: 0 }, boost: 0 };
+    const element = document.createElement('div');
+    element.style.cssText = 'position:absolute; inset:auto 0 0 0; height:0; z-index:90; display:none;';
+    container.appendChild(element);
+
+    const createStick = (side) => {
+        const base = document.createElement('div');
+        base.style.cssText = `position:absolute; bottom:30px; ${side}:30px; width:120px; height:120px; border-radius:50%; background:rgba(255,255,255,0.12); border:2px solid rgba(255,255,255,0.35); touch-action:none;`;
+        const knob = document.createElement('div');
+        knob.style.cssText = 'position:absolute; left:35px; top:35px; width:50px; height:50px; border-radius:50%; background:rgba(255,255,255,0.5); pointer-events:none;';
+        base.appendChild(knob);
+        element.appendChild(base);
+
+        let pointerId = null;
+        const move = (event) => {
+            const rect = base.getBoundingClientRect();
+            const radius = rect.width / 2;
+            let x = (event.clientX - rect.left - radius) / radius;
+            let y = (event.clientY - rect.top - radius) / radius;
+            const length = Math.hypot(x, y);
+            if (length > 1) { x /= length; y /= length; }
+            state[side] = { x, y };
+            knob.style.transform = `translate(${x * radius}px, ${y * radius}px)`;
+        };
+        const release = (event) => {
+            if (event.pointerId !== pointerId) return;
+            pointerId = null;
+            state[side] = { x: 0, y: 0 };
+            knob.style.transform = '';
+        };
+        base.addEventListener('pointerdown', event => {
+            pointerId = event.pointerId;
+            base.setPointerCapture(pointerId);
+            move(event);
+        });
+        base.addEventListener('pointermove', event => { if (event.pointerId === pointerId) move(event); });
+        base.addEventListener('pointerup', release);
+        base.addEventListener('pointercancel', release);
+    };
+    createStick('left');
+    createStick('right');
+
+    const boost = document.createElement('div');
+    boost.textContent = 'Boost';
+    boost.style.cssText = 'position:absolute; bottom:165px; right:45px; width:90px; padding:8px 0; text-align:center; border-radius:20px; font:13px sans-serif; color:white; background:rgba(255,255,255,0.15); border:2px solid rgba(255,255,255,0.35); touch-action:none; user-select:none;';
+    boost.addEventListener('pointerdown', () => state.boost = 1);
+    ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => boost.addEventListener(type, () => state.boost = 0));
+    element.appendChild(boost);
+
+    return {
+        state,
+        get visible() { return element.style.display !== 'none'; },
+        setVisible(visible) {
+            element.style.display = visible ? 'block' : 'none';
+        }
+    };
+}
+
+// --- Manager ---
+
+/**
+ * Creates the input manager.
+ * @param {BABYLON.Scene} scene - Keyboard input is taken from the scene (canvas focus).
+ * @param {object} [options]
+ * @param {HTMLElement} [options.touchContainer=document.body] - Element the touch sticks are added to.
+ * @param {boolean} [options.touch] - Show the touch sticks (default: on devices whose main pointer is coarse).
+ * @returns {object} The manager: read(), bindings, capture(action, direction), setBinding(action,
+ *   direction, sources), resetBindings(), attachXR(xrInput), setXREnabled(enabled), and touch
+ *   ({ visible, setVisible }).
+ */
+export function createInputManager(scene, options = {}) {
+    let bindings = loadBindings();
+    const keys = new Set();
+    const xrControllers = new Map(); // handedness -> WebXR motion controller
+    let xrEnabled = true; // Off while the controllers do something else (flying in VR)
+    const touch = createTouchControls(options.touchContainer || document.body);
+    touch.setVisible(options.touch ?? window.matchMedia('(pointer: coarse)').matches);
+
+    scene.onKeyboardObservable.add(({ type, event }) => {
+        const key = event.key.toLowerCase();
+        if (type === BABYLON.KeyboardEventTypes.KEYDOWN) keys.add(key);
+        else keys.delete(key);
+    });
+    window.addEventListener('blur', () => keys.clear()); // Key-ups are lost while unfocused
+
+    const save = () => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+        } catch (e) {
+            console.warn('Could not save the input bindings:', e);
+        }
+    };
+
+    const gamepads = () => Array.from(navigator.getGamepads ? navigator.getGamepads() : []).filter(Boolean);
+
+    // Current value of one source: 0..1 for keys and buttons, -1..1 for axes
+    const readSource = (source, pads) => {
+        const negated = source.startsWith('-');
+        const [device, ...path] = source.replace(/^-/, '').split(':');
+        let value = 0;
+        if (device === 'key') {
+            value = keys.has(path[0]) ? 1 : 0;
+        } else if (device === 'pad') {
+            const index = parseInt(path[0].replace(/\D/g, ''), 10);
+            const isAxis = path[0].startsWith('axis');
+            pads.forEach(pad => {
+                const padValue = isAxis ? deadzone(pad.axes[index] || 0) : (pad.buttons[index] ? pad.buttons[index].value : 0);
+                if (Math.abs(padValue) > Math.abs(value)) value = padValue;
+            });
+        } else if (device === 'touch') {
+            value = path[0] === 'boost' ? touch.state.boost : touch.state[path[0]] ? touch.state[path[0]][path[1]] : 0;
+        } else if (device === 'xr' && xrEnabled) {
+            const controller = xrControllers.get(path[0]);
+            const component = controller && controller.getComponent(path[1]);
+            if (component) value = path[2] ? deadzone(component.axes[path[2]]) : component.value;
+        }
+        return negated ? -value : value;
+    };
+
+    /**
+     * Current value of every action: -1..1 for the axes, true/false for boost.
+     * @returns {{thrust: number, yaw: number, pitch: number, roll: number, strafe: number, lift: number, boost: boolean}}
+     */
+    const read = () => {
+        const pads = gamepads();
+        const values = {};
+        INPUT_ACTIONS.forEach(({ id }) => {
+            const sum = (sources) => sources.reduce((total, source) => total + readSource(source, pads), 0);
+            values[id] = clamp(sum(bindings[id].positive) - sum(bindings[id].negative));
+        });
+        values.boost = values.boost > 0.5;
+        return values;
+    };
+
+    /**
+     * Replaces an action's sources for one direction and saves the bindings.
+     * @param {string} action - An INPUT_ACTIONS id.
+     * @param {string} direction - 'positive' or 'negative'.
+     * @param {string[]} sources - Source strings.
+     */
+    const setBinding = (action, direction, sources) => {
+        bindings[action][direction] = [...sources];
+        save();
+    };
+
+    /**
+     * Waits for the next key press or gamepad input and binds it to an action, replacing the
+     * sources from the same device in that direction (touch and XR bindings are kept).
+     * Escape cancels. Pad axes are bound with the sign they were moved in.
+     * @param {string} action - An INPUT_ACTIONS id.
+     * @param {string} direction - 'positive' or 'negative'.
+     * @returns {Promise<string|null>} The bound source, or null if cancelled.
+     */
+    const capture = (action, direction) => new Promise(resolve => {
+        const rest = gamepads().map(pad => ({ axes: [...pad.axes], buttons: pad.buttons.map(b => b.value) }));
+        let observer = null;
+        let done = false;
+        const finish = (source) => {
+            if (done) return;
+            done = true;
+            window.removeEventListener('keydown', onKey, true);
+            scene.onBeforeRenderObservable.remove(observer);
+            if (source) {
+                const device = sourceDevice(source);
+                setBinding(action, direction, [source, ...bindings[action][direction].filter(s => sourceDevice(s) !== device)]);
+            }
+            resolve(source);
+        };
+        const onKey = (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            finish(event.key === 'Escape' ? null : `key:${event.key.toLowerCase()}`);
+        };
+        window.addEventListener('keydown', onKey, true);
+        observer = scene.onBeforeRenderObservable.add(() => {
+            gamepads().forEach((pad, p) => {
+                const start = rest[p] || { axes: [], buttons: [] };
+                const button = pad.buttons.findIndex((b, i) => b.value - (start.buttons[i] || 0) > CAPTURE_THRESHOLD);
+                if (button >= 0) return finish(`pad:button${button}`);
+                const axis = pad.axes.findIndex((a, i) => Math.abs(a - (start.axes[i] || 0)) > CAPTURE_THRESHOLD);
+                if (axis >= 0) finish(`${pad.axes[axis] < (start.axes[axis] || 0) ? '-' : ''}pad:axis${axis}`);
+            });
+        });
+    });
+
+    return {
+        read,
+        capture,
+        setBinding,
+        touch,
+        get bindings() { return bindings; },
+
+        /** Restores DEFAULT_BINDINGS (and forgets the saved ones). */
+        resetBindings() {
+            bindings = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+            save();
+        },
+
+        /**
+         * Reads thumbsticks, triggers and buttons of the controllers of a WebXR session.
+         * @param {BABYLON.WebXRInput} xrInput - The XR experience's input (xrHelper.input).
+         */
+        attachXR(xrInput) {
+            xrInput.onControllerAddedObservable.add(controller => {
+                controller.onMotionControllerInitObservable.add(motionController => {
+                    xrControllers.set(motionController.handedness, motionController);
+                });
+            });
+            xrInput.onControllerRemovedObservable.add(controller => {
+                const motionController = controller.motionController;
+                if (motionController && xrControllers.get(motionController.handedness) === motionController) {
+                    xrControllers.delete(motionController.handedness);
+                }
+            });
+        },
+
+        /** Lets the XR controllers fly the ship (true) or ignores them (false). */
+        setXREnabled(enabled) {
+            xrEnabled = enabled;
+        }
+    };
+}
@@ -1,196 +1,649 @@
 // main.js
 import { createScene } from './scene.js';
+import { INPUT_ACTIONS, describeSource } from './input.js';
+import { createARPlacement } from './ar.js';
+import { createVRMode } from './vr.js';
+import { SHIP_PARAMETERS } from './hangar.js';
+import { WARP_PRESETS } from './clock.js';
+import { CAMERA_MODES } from './cameras.js';
+import { REPLAY_SPEEDS } from './recorder.js';
+import { AU, SCALE_MODES } from './scale.js';
+import { decodeSnapshotHash, downloadSnapshot, encodeSnapshotHash, readSnapshotFile, validateSnapshot } from './snapshot.js';
 
 const canvas = document.getElementById('renderCanvas');
 const engine = new BABYLON.Engine(canvas, true);
 
 // --- UI Elements ---
 const enterARButton = document.getElementById('enterAR');
-const exitARButton = document.getElementById('exitAR');
+const enterVRButton = document.getElementById('enterVR');
+const exitXRButton = document.getElementById('exitXR');
 const scaleSlider = document.getElementById('scaleSlider');
 const scaleValue = document.getElementById('scaleValue');
 const scaleContainer = document.getElementById('scaleContainer');
 const arStatus = document.getElementById('arStatus');
+const repositionARButton = document.getElementById('repositionAR');
 const fpsCounter = document.getElementById('fpsCounter');
+const errorMessage = document.getElementById('errorMessage');
+const loadingScreen = document.getElementById('loadingScreen');
+const loadingText = document.getElementById('loadingText');
+const loadingProgress = document.getElementById('loadingProgress');
+const physicsStats = document.getElementById('physicsStats');
+const shipStats = document.getElementById('shipStats');
+const simDate = document.getElementById('simDate');
+const reverseTimeButton = document.getElementById('reverseTime');
+const pauseTimeButton = document.getElementById('pauseTime');
+const stepTimeButton = document.getElementById('stepTime');
+const warpSelect = document.getElementById('warpSelect');
+const addNodeButton = document.getElementById('addNode');
+const nodeSelect = document.getElementById('nodeSelect');
+const nodeEditor = document.getElementById('nodeEditor');
+const nodeTimeSlider = document.getElementById('nodeTime');
+const nodeCountdown = document.getElementById('nodeCountdown');
+const nodeInputs = {
+    prograde: document.getElementById('nodePrograde'),
+    normal: document.getElementById('nodeNormal'),
+    radial: document.getElementById('nodeRadial')
+};
+const removeNodeButton = document.getElementById('removeNode');
+const closestApproachList = document.getElementById('closestApproaches');
+const saveSnapshotButton = document.getElementById('saveSnapshot');
+const loadSnapshotButton = document.getElementById('loadSnapshot');
+const shareSnapshotButton = document.getElementById('shareSnapshot');
+const snapshotFileInput = document.getElementById('snapshotFile');
+const hdrToggle = document.getElementById('hdrToggle');
+const shadowToggle = document.getElementById('shadowToggle');
+const cameraModeSelect = document.getElementById('cameraMode');
+const cameraTargetSelect = document.getElementById('cameraTarget');
+const orbitToggle = document.getElementById('orbitToggle');
+const gridToggle = document.getElementById('gridToggle');
+const terminatorToggle = document.getElementById('terminatorToggle');
+const distanceScaleSelect = document.getElementById('distanceScale');
+const toggleBindingsButton = document.getElementById('toggleBindings');
+const touchToggle = document.getElementById('touchToggle');
+const bindingPanel = document.getElementById('bindingPanel');
+const bindingTable = document.getElementById('bindingTable');
+const resetBindingsButton = document.getElementById('resetBindings');
+const toggleHangarButton = document.getElementById('toggleHangar');
+const hangarPanel = document.getElementById('hangarPanel');
+const presetSelect = document.getElementById('presetSelect');
+const presetNameInput = document.getElementById('presetName');
+const shipParameterTable = document.getElementById('shipParameters');
+const shipDesignStats = document.getElementById('shipDesignStats');
+const recordToggleButton = document.getElementById('recordToggle');
+const replayToggleButton = document.getElementById('replayToggle');
+const replayPanel = document.getElementById('replayPanel');
+const replayPlayButton = document.getElementById('replayPlay');
+const replayTimeline = document.getElementById('replayTimeline');
+const replayTime = document.getElementById('replayTime');
+const replaySpeedSelect = document.getElementById('replaySpeed');
+const replayFreeCamera = document.getElementById('replayFreeCamera');
+const exportReplayButton = document.getElementById('exportReplay');
+const infoPanel = document.getElementById('infoPanel');
+const infoName = document.getElementById('infoName');
+const infoDetails = document.getElementById('infoDetails');
+const infoFocusButton = document.getElementById('infoFocus');
+const infoCloseButton = document.getElementById('infoClose');
+
+// An uploaded snapshot is handed to the reloaded page through sessionStorage
+const PENDING_SNAPSHOT_KEY = 'pendingSnapshot';
 
-let sceneData = null; // To hold { scene, isoCam, root, skybox }
+let sceneData = null; // To hold { scene, cameras, root, skybox, ... }
 let xrHelper = null;
 let rootNode = null; // Reference to the scene's root node
 let skyboxMesh = null; // Reference to the skybox mesh
-let planeDetector = null; // Reference to plane detection feature
-let anchoredPlaneId = null; // ID of the plane we are anchored to
+let arPlacement = null; // Hit-test placement and gestures in AR (ar.js)
+
+// Snapshot to start from: a just-uploaded file, or a shared #snapshot= link
+const loadStartupSnapshot = async () => {
+    try {
+        const pending = sessionStorage.getItem(PENDING_SNAPSHOT_KEY);
+        if (pending) {
+            sessionStorage.removeItem(PENDING_SNAPSHOT_KEY);
+            return validateSnapshot(JSON.parse(pending));
+        }
+        return await decodeSnapshotHash(window.location.hash);
+    } catch (e) {
+        console.error('Could not restore snapshot:', e);
+        return null;
+    }
+};
 
 const main = async () => {
-    sceneData = await createScene(engine, canvas);
+    const snapshot = await loadStartupSnapshot();
+    sceneData = await createScene(engine, canvas, {
+        snapshot,
+        labelContainer: document.getElementById('labels'),
+        onProgress: ({ loaded, failed, total, file }) => {
+            loadingText.textContent = `Loading textures ${loaded + failed}/${total}: ${file}`;
+            loadingProgress.max = total;
+            loadingProgress.value = loaded + failed;
+        }
+    });
+    loadingScreen.style.display = 'none';
     rootNode = sceneData.root; // Store root node reference
     skyboxMesh = sceneData.skybox; // Store skybox reference
 
+    // --- Time Controls ---
+    const clock = sceneData.clock;
+    WARP_PRESETS.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.factor;
+        option.textContent = preset.label;
+        option.selected = preset.factor === clock.warp;
+        warpSelect.appendChild(option);
+    });
+    warpSelect.onchange = () => clock.setWarp(parseFloat(warpSelect.value));
+    pauseTimeButton.onclick = () => {
+        clock.togglePause();
+        pauseTimeButton.textContent = clock.paused ? 'Play' : 'Pause';
+        stepTimeButton.disabled = !clock.paused;
+    };
+    stepTimeButton.onclick = () => clock.step();
+    reverseTimeButton.onclick = () => {
+        clock.reverse();
+        reverseTimeButton.textContent = clock.direction < 0 ? 'Forward' : 'Reverse';
+    };
+
+    // --- Graphics Quality ---
+    const graphics = sceneData.graphics;
+    hdrToggle.checked = graphics.hdr;
+    shadowToggle.checked = graphics.shadows;
+    hdrToggle.onchange = () => graphics.setHdr(hdrToggle.checked);
+    shadowToggle.onchange = () => graphics.setShadows(shadowToggle.checked);
+
+    // --- Distance Scale ---
+    // The system is laid out once, so a new scale reloads the page with ?scale= (a shared
+    // snapshot in the hash would bring back its own)
+    const { mode: scaleMode, units } = sceneData.scale;
+    SCALE_MODES.forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode.id;
+        option.textContent = mode.label;
+        option.selected = mode.id === scaleMode;
+        distanceScaleSelect.appendChild(option);
+    });
+    distanceScaleSelect.onchange = () => {
+        const url = new URL(window.location.href);
+        url.searchParams.set('scale', distanceScaleSelect.value);
+        url.hash = '';
+        window.location.assign(url);
+    };
+
+    // --- Cameras ---
+    const cameras = sceneData.cameras;
+    CAMERA_MODES.forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode.id;
+        option.textContent = mode.label;
+        cameraModeSelect.appendChild(option);
+    });
+    cameras.targets.forEach(target => {
+        const option = document.createElement('option');
+        option.value = target.id;
+        option.textContent = target.id;
+        cameraTargetSelect.appendChild(option);
+    });
+    const refreshCameraControls = () => {
+        cameraModeSelect.value = cameras.mode;
+        cameraTargetSelect.value = cameras.target;
+        cameraTargetSelect.style.display = cameras.mode === 'orbit' ? 'inline-block' : 'none';
+    };
+    cameraModeSelect.onchange = () => {
+        cameras.setMode(cameraModeSelect.value);
+        refreshCameraControls();
+    };
+    cameraTargetSelect.onchange = () => {
+        cameras.setTarget(cameraTargetSelect.value);
+        refreshCameraControls();
+    };
+    refreshCameraControls();
+
+    // --- Input Bindings ---
+    // One row per action; clicking a binding waits for the new key or gamepad control
+    const input = sceneData.input;
+    const renderBindings = () => {
+        bindingTable.replaceChildren(...INPUT_ACTIONS.flatMap(action => action.directions.map((label, i) => {
+            const direction = i === 0 ? 'positive' : 'negative';
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = `${action.label} ${label.toLowerCase()}`;
+            const cell = document.createElement('td');
+            const button = document.createElement('button');
+            button.style.fontSize = '11px';
+            button.textContent = input.bindings[action.id][direction].map(describeSource).join(', ') || '–';
+            button.onclick = async () => {
+                button.textContent = 'Press…';
+                await input.capture(action.id, direction);
+                renderBindings();
+            };
+            cell.appendChild(button);
+            row.append(name, cell);
+            return row;
+        })));
+    };
+    toggleBindingsButton.onclick = () => {
+        const open = bindingPanel.style.display === 'none';
+        bindingPanel.style.display = open ? 'block' : 'none';
+        if (open) renderBindings();
+    };
+    resetBindingsButton.onclick = () => {
+        input.resetBindings();
+        renderBindings();
+    };
+    touchToggle.checked = input.touch.visible;
+    touchToggle.onchange = () => input.touch.setVisible(touchToggle.checked);
+
+    // --- Hangar ---
+    // One input per design parameter; every change rebuilds the ship right away
+    const hangar = sceneData.hangar;
+    const toHex = (rgb) => '#' + rgb.map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+    const fromHex = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    const parameterInputs = {};
+    SHIP_PARAMETERS.forEach(parameter => {
+        const row = document.createElement('tr');
+        const name = document.createElement('td');
+        name.textContent = parameter.label;
+        const cell = document.createElement('td');
+        let input;
+        if (parameter.type === 'choice') {
+            input = document.createElement('select');
+            parameter.choices.forEach(choice => {
+                const option = document.createElement('option');
+                option.value = choice.id;
+                option.textContent = choice.label;
+                input.appendChild(option);
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = { number: 'range', boolean: 'checkbox', color: 'color' }[parameter.type];
+            if (parameter.type === 'number') Object.assign(input, { min: parameter.min, max: parameter.max, step: parameter.step });
+        }
+        input.oninput = () => {
+            const value = parameter.type === 'number' ? parseFloat(input.value)
+                : parameter.type === 'boolean' ? input.checked
+                : parameter.type === 'color' ? fromHex(input.value)
+                : input.value;
+            hangar.set(parameter.id, value);
+            refreshHangar();
+        };
+        parameterInputs[parameter.id] = input;
+        cell.appendChild(input);
+        row.append(name, cell);
+        shipParameterTable.appendChild(row);
+    });
+    const refreshHangar = () => {
+        const design = hangar.design;
+        SHIP_PARAMETERS.forEach(({ id, type }) => {
+            const input = parameterInputs[id];
+            if (type === 'boolean') input.checked = design[id];
+            else if (type === 'color') input.value = toHex(design[id]);
+            else input.value = design[id];
+            input.title = type === 'number' ? String(design[id]) : '';
+        });
+        const stats = hangar.stats;
+        shipDesignStats.textContent = `Mass ${(stats.dryMass + stats.fuelMass).toFixed(2)} (dry ${stats.dryMass.toFixed(2)}), thrust ${stats.thrust.toFixed(2)}, ` +
+            `accel ${stats.acceleration.toFixed(2)}, Δv ${stats.deltaV.toFixed(1)}, torque ${stats.torque.toFixed(2)}`;
+    };
+    const refreshPresets = () => {
+        presetSelect.replaceChildren(...hangar.presets.map(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            return option;
+        }));
+    };
+    toggleHangarButton.onclick = () => {
+        const open = hangarPanel.style.display === 'none';
+        hangarPanel.style.display = open ? 'block' : 'none';
+        if (open) {
+            refreshPresets();
+            refreshHangar();
+        }
+    };
+    document.getElementById('loadPreset').onclick = () => {
+        if (hangar.load(presetSelect.value)) {
+            presetNameInput.value = presetSelect.value;
+            refreshHangar();
+        }
+    };
+    document.getElementById('savePreset').onclick = () => {
+        const name = presetNameInput.value.trim();
+        if (!name) return;
+        hangar.save(name);
+        refreshPresets();
+        presetSelect.value = name;
+    };
+    document.getElementById('deletePreset').onclick = () => {
+        hangar.remove(presetSelect.value);
+        refreshPresets();
+    };
+    document.getElementById('exportShip').onclick = async () => {
+        try {
+            await hangar.exportGLTF(presetNameInput.value.trim() || 'ship');
+        } catch (e) {
+            console.error('glTF export failed:', e);
+            errorMessage.textContent = `glTF export failed: ${e.message}`;
+            errorMessage.style.display = 'block';
+        }
+    };
+
+    // --- Selection ---
+    const selection = sceneData.selection;
+    orbitToggle.checked = sceneData.overlay.visible;
+    orbitToggle.onchange = () => sceneData.overlay.setVisible(orbitToggle.checked);
+    gridToggle.checked = sceneData.surface.grid;
+    gridToggle.onchange = () => sceneData.surface.setGrid(gridToggle.checked);
+    terminatorToggle.checked = sceneData.surface.terminator;
+    terminatorToggle.onchange = () => sceneData.surface.setTerminator(terminatorToggle.checked);
+    infoCloseButton.onclick = () => selection.select(null);
+    infoFocusButton.onclick = () => {
+        cameras.setTarget(selection.selected.id);
+        refreshCameraControls();
+    };
+    const formatNumber = (value, digits = 3) => value === null || value === undefined ? '–'
+        : Math.abs(value) >= 1e4 || (value !== 0 && Math.abs(value) < 1e-2) ? value.toExponential(2) : value.toFixed(digits);
+    // At real scale distances read in AU (km when close) and speeds in km/s; the other layouts
+    // are not to any one scale, so they stay in scene units
+    const formatDistance = (value, digits = 2) => {
+        if (scaleMode !== 'real' || value === null || value === undefined) return formatNumber(value, digits);
+        const metres = value * units.length;
+        return metres >= AU / 100 ? `${formatNumber(metres / AU, digits)} AU` : `${Math.round(metres / 1000)} km`;
+    };
+    const formatSpeed = (unitsPerDay) => scaleMode === 'real'
+        ? `${formatNumber(unitsPerDay * units.length / 86400 / 1000, 2)} km/s`
+        : `${formatNumber(unitsPerDay, 2)} /day`;
+    const formatLatLong = ({ latitude, longitude }) =>
+        `${Math.abs(latitude).toFixed(1)}°${latitude >= 0 ? 'N' : 'S'} ${Math.abs(longitude).toFixed(1)}°${longitude >= 0 ? 'E' : 'W'}`;
+    const formatHours = (hours) => {
+        const minutes = Math.floor(hours * 60);
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    };
+    const updateInfoPanel = () => {
+        const info = selection.info();
+        infoPanel.style.display = info ? 'block' : 'none';
+        if (!info) return;
+        infoName.textContent = `${info.name} (${info.parent ? `moon of ${info.parent}` : info.kind})`;
+        infoFocusButton.style.display = cameras.targets.some(t => t.id === info.name) ? 'inline-block' : 'none';
+        infoDetails.textContent = [
+            `Mass          ${formatNumber(info.mass)}`,
+            `From the Sun  ${formatDistance(info.distance)}`,
+            `Speed         ${formatSpeed(info.speed)}`,
+            `Period        ${info.periodDays === null ? (info.eccentricity >= 1 ? 'unbound' : '–') : `${formatNumber(info.periodDays, 1)} days`}`,
+            `Eccentricity  ${formatNumber(info.eccentricity)}`,
+            ...(info.surface ? [
+                `Surface       ${formatLatLong(info.surface)}`,
+                `Local time    ${formatHours(info.surface.localTime)}`
+            ] : [])
+        ].join('\n');
+    };
+
+    // --- Maneuver Nodes ---
+    const planner = sceneData.trajectoryPlanner;
+    let selectedNode = null;
+    const formatDuration = (seconds) => {
+        const days = seconds / 86400;
+        return days >= 1 ? `${days.toFixed(1)} d` : `${(seconds / 3600).toFixed(1)} h`;
+    };
+    const refreshNodeList = () => {
+        if (selectedNode && !planner.nodes.includes(selectedNode)) selectedNode = null; // Executed or removed
+        nodeSelect.innerHTML = '';
+        planner.nodes.forEach(node => {
+            const option = document.createElement('option');
+            option.value = node.id;
+            option.textContent = `Node ${node.id}`;
+            option.selected = node === selectedNode;
+            nodeSelect.appendChild(option);
+        });
+        nodeSelect.style.display = planner.nodes.length ? 'inline-block' : 'none';
+        nodeEditor.style.display = selectedNode ? 'block' : 'none';
+        if (selectedNode) {
+            Object.keys(nodeInputs).forEach(key => nodeInputs[key].value = selectedNode[key]);
+        }
+    };
+    if (planner) {
+        addNodeButton.onclick = () => {
+            selectedNode = planner.addNode();
+            nodeTimeSlider.value = 0.25;
+            refreshNodeList();
+        };
+        nodeSelect.onchange = () => {
+            selectedNode = planner.nodes.find(node => node.id === parseInt(nodeSelect.value, 10)) || null;
+            refreshNodeList();
+        };
+        nodeTimeSlider.oninput = () => {
+            if (selectedNode) planner.setNodeTimeFraction(selectedNode, parseFloat(nodeTimeSlider.value));
+        };
+        Object.keys(nodeInputs).forEach(key => {
+            nodeInputs[key].step *= sceneData.scale.lengthFactor; // Burns grow with the layout, like the engines
+            nodeInputs[key].oninput = () => {
+                if (selectedNode) selectedNode[key] = parseFloat(nodeInputs[key].value) || 0;
+            };
+        });
+        removeNodeButton.onclick = () => {
+            if (selectedNode) planner.removeNode(selectedNode);
+            selectedNode = null;
+            refreshNodeList();
+        };
+    } else {
+        addNodeButton.disabled = true;
+    }
+
+    // --- Snapshots ---
+    saveSnapshotButton.onclick = async () => {
+        try {
+            downloadSnapshot(await sceneData.captureSnapshot());
+        } catch (e) {
+            console.error('Could not save snapshot:', e);
+        }
+    };
+    loadSnapshotButton.onclick = () => snapshotFileInput.click();
+    snapshotFileInput.onchange = async () => {
+        const file = snapshotFileInput.files[0];
+        snapshotFileInput.value = '';
+        if (!file) return;
+        try {
+            const loaded = await readSnapshotFile(file);
+            // Rebuild everything from the snapshot by reloading; large belts may not fit in
+            // sessionStorage, in which case the snapshot goes into the URL hash instead
+            try {
+                sessionStorage.setItem(PENDING_SNAPSHOT_KEY, JSON.stringify(loaded));
+                history.replaceState(null, '', window.location.pathname + window.location.search);
+            } catch (storageError) {
+                history.replaceState(null, '', await encodeSnapshotHash(loaded));
+            }
+            window.location.reload();
+        } catch (e) {
+            console.error('Could not load snapshot:', e);
+        }
+    };
+    shareSnapshotButton.onclick = async () => {
+        try {
+            history.replaceState(null, '', await encodeSnapshotHash(await sceneData.captureSnapshot()));
+        } catch (e) {
+            console.error('Could not share snapshot:', e);
+            return;
+        }
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            shareSnapshotButton.textContent = 'Link copied';
+        } catch (e) {
+            shareSnapshotButton.textContent = 'Link in address bar'; // Clipboard blocked; copy it by hand
+        }
+        setTimeout(() => shareSnapshotButton.textContent = 'Share link', 2000);
+    };
+
+    // --- Flight Recorder ---
+    // Always recording (unless switched off); Replay freezes the simulation and plays the recording
+    const recorder = sceneData.recorder;
+    let scrubbing = false;
+    REPLAY_SPEEDS.forEach(speed => {
+        const option = document.createElement('option');
+        option.value = speed;
+        option.textContent = `${speed}×`;
+        option.selected = speed === recorder.speed;
+        replaySpeedSelect.appendChild(option);
+    });
+    const refreshRecorder = () => {
+        recordToggleButton.textContent = recorder.recording ? 'Recording ●' : 'Record';
+        replayToggleButton.textContent = recorder.replaying ? 'Back to live' : 'Replay';
+        replayPanel.style.display = recorder.replaying ? 'block' : 'none';
+        exportReplayButton.disabled = recorder.exporting;
+        replayFreeCamera.checked = recorder.cameraOverride;
+    };
+    recordToggleButton.onclick = () => {
+        recorder.setRecording(!recorder.recording);
+        refreshRecorder();
+    };
+    replayToggleButton.onclick = () => {
+        if (recorder.replaying) recorder.exit();
+        else recorder.enter();
+        refreshRecorder();
+    };
+    replayPlayButton.onclick = () => recorder.paused ? recorder.play() : recorder.pause();
+    replayTimeline.onpointerdown = () => scrubbing = true;
+    replayTimeline.onpointerup = () => scrubbing = false;
+    replayTimeline.oninput = () => {
+        recorder.pause();
+        recorder.seek(parseFloat(replayTimeline.value));
+    };
+    replaySpeedSelect.onchange = () => recorder.setSpeed(parseFloat(replaySpeedSelect.value));
+    replayFreeCamera.onchange = () => recorder.setCameraOverride(replayFreeCamera.checked);
+    exportReplayButton.onclick = async () => {
+        const exported = recorder.exportVideo(`replay-${clock.date.toISOString().slice(0, 10)}`);
+        refreshRecorder();
+        try {
+            await exported;
+        } catch (e) {
+            console.error('Video export failed:', e);
+            errorMessage.textContent = `Video export failed: ${e.message}`;
+            errorMessage.style.display = 'block';
+        }
+        refreshRecorder();
+    };
+    refreshRecorder();
+    const updateReplayControls = () => {
+        if (!recorder.replaying) return;
+        replayTimeline.max = recorder.duration;
+        if (!scrubbing) replayTimeline.value = recorder.position;
+        replayTime.textContent = `${recorder.position.toFixed(1)} / ${recorder.duration.toFixed(1)} s`;
+        replayPlayButton.textContent = recorder.paused ? 'Play' : 'Pause';
+    };
+
     engine.runRenderLoop(() => {
         sceneData.scene.render();
         // Update FPS counter
         if (fpsCounter) {
             fpsCounter.textContent = `FPS: ${engine.getFps().toFixed()}`;
         }
+        // Simulated date (UTC)
+        if (simDate) {
+            const date = recorder.replaying ? recorder.date : clock.date; // The recorded date during a replay
+            simDate.textContent = `${date.toISOString().replace('T', ' ').slice(0, 16)} UTC${recorder.replaying ? ' (replay)' : clock.direction < 0 ? ' ◀' : ''}`;
+        }
+        updateReplayControls();
+        // Ship flight data
+        if (shipStats) {
+            const flight = sceneData.flight;
+            const fuelPercent = flight.state.fuel / flight.config.fuelMass * 100;
+            // Flight speeds are in scene units per physics time unit
+            const shipSpeed = (v, digits) => scaleMode === 'real' ? `${(v * units.length / units.time / 1000).toFixed(digits)} km/s` : v.toFixed(digits);
+            shipStats.textContent = `Ship: v ${shipSpeed(flight.state.velocity.length(), 2)}, fuel ${fuelPercent.toFixed(0)}%, Δv left ${shipSpeed(flight.deltaV, 1)}${flight.state.throttle > 0 ? ' 🔥' : ''}`;
+        }
+        // Maneuver node countdown and closest approaches on the predicted path
+        if (planner) {
+            if (selectedNode && !planner.nodes.includes(selectedNode)) refreshNodeList();
+            if (selectedNode) {
+                nodeCountdown.textContent = `T-${formatDuration(Math.max(0, selectedNode.time - clock.elapsed))}`;
+            }
+            closestApproachList.textContent = planner.closestApproaches
+                .filter(a => Number.isFinite(a.distance))
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, 3)
+                .map(a => `${a.id} ${formatDistance(a.distance, 1)} in ${formatDuration(Math.max(0, a.time - clock.elapsed))}`)
+                .join(' · ');
+        }
+        // Selected object's live data
+        updateInfoPanel();
+        // Show how far energy and angular momentum have drifted since the worker started
+        const stats = sceneData.physicsDiagnostics;
+        if (physicsStats && stats.integrator) {
+            physicsStats.textContent = `${stats.integrator}: ΔE ${(stats.energyDrift * 100).toExponential(1)}%, ΔL ${(stats.angularMomentumDrift * 100).toExponential(1)}%`;
+        }
     });
 
     window.addEventListener('resize', () => {
         engine.resize();
-        // Adjust ortho camera on resize if needed
-        if (sceneData.isoCam.mode === BABYLON.Camera.ORTHOGRAPHIC_CAMERA) {
-            const ratio = engine.getRenderWidth() / engine.getRenderHeight();
-            const size = sceneData.isoCam.orthoTop; // Use existing size
-            sceneData.isoCam.orthoLeft = -size * ratio;
-            sceneData.isoCam.orthoRight = size * ratio;
-        }
+        cameras.resize(); // Orthographic bounds; the perspective cameras follow the aspect ratio themselves
     });
 
-    // --- AR Setup ---
-    const setupAR = async () => {
+    // --- XR Setup ---
+    // One XR experience for both session types, entered from our own buttons
+    const setupXR = async () => {
         try {
-            // Request plane detection feature
             xrHelper = await sceneData.scene.createDefaultXRExperienceAsync({
-                uiOptions: {
-                    sessionMode: 'immersive-ar',
-                    referenceSpaceType: 'local-floor'
-                },
+                disableDefaultUI: true,
                 optionalFeatures: true,
-                xrOptions: {
-                    optionalFeatures: ['plane-detection'],
-                    requiredFeatures: [] // Consider adding 'hit-test' if needed
-                }
+                disableTeleportation: true // The thumbsticks fly the ship (or the player in VR, see vr.js)
             });
 
             if (!xrHelper.baseExperience) {
-                console.error("AR not supported");
+                console.error("XR not supported");
                 enterARButton.disabled = true;
+                enterVRButton.disabled = true;
                 return;
             }
 
-            // Get the plane detection feature
-            planeDetector = xrHelper.featuresManager.getEnabledFeature(BABYLON.WebXRPlaneDetector.Name);
-
-            if (!planeDetector) {
-                console.warn("Plane detection feature not available or enabled.");
-                arStatus.textContent = "Plane detection not available";
-            } else {
-                console.log("Plane detection enabled.");
-                
-                // --- Visual feedback for detected planes ---
-                const planeMaterial = new BABYLON.StandardMaterial("planeMaterial", sceneData.scene);
-                planeMaterial.diffuseColor = new BABYLON.Color3(0.2, 0.6, 1.0);
-                planeMaterial.alpha = 0.3;
-                
-                // Track detected planes for cleanup
-                const planeMarkers = new Map();
-                
-                // --- Plane Detection Logic ---
-                planeDetector.onPlaneAddedObservable.add((plane) => {
-                    // Create a simple visualization for the plane
-                    const minDimension = 0.5; // minimum size to display
-                    if (plane.polygonDefinition.length >= 3) {
-                        // Create a helper mesh to visualize the plane
-                        const planeMesh = BABYLON.MeshBuilder.CreateDisc("planeHelper", {
-                            radius: 0.4,
-                            tessellation: 24
-                        }, sceneData.scene);
-                        
-                        planeMesh.material = planeMaterial;
-                        planeMesh.position.copyFrom(plane.center);
-                        planeMesh.rotationQuaternion = BABYLON.Quaternion.FromUnitVectorsToRef(
-                            BABYLON.Vector3.Up(), plane.normal, new BABYLON.Quaternion()
-                        );
-                        
-                        // Store reference to clean up later
-                        planeMarkers.set(plane.id, planeMesh);
-                        
-                        // Check if horizontal and anchor if not already anchored
-                        if (!anchoredPlaneId && Math.abs(plane.normal.y) > 0.9) {
-                            console.log(`Horizontal plane ${plane.id} detected at y=${plane.center.y}`);
-                            
-                            // Use the plane center as anchor point
-                            rootNode.position.copyFrom(plane.center);
-                            // Give slight elevation to avoid z-fighting
-                            rootNode.position.y += 0.01;
-                            
-                            anchoredPlaneId = plane.id;
-                            arStatus.textContent = "Surface found! Use slider to adjust size.";
-                            
-                            // Make visual feedback for this plane more prominent
-                            planeMesh.material.diffuseColor = new BABYLON.Color3(0.2, 1.0, 0.2);
-                            
-                            // Enable scaling - show prominent slider
-                            scaleContainer.style.display = 'block';
-                        }
-                    }
-                });
+            // Controller thumbsticks, triggers and buttons fly the ship (see input.js bindings)
+            sceneData.input.attachXR(xrHelper.input);
 
-                planeDetector.onPlaneUpdatedObservable.add((plane) => {
-                    // Update the visualization if plane moves/changes
-                    if (planeMarkers.has(plane.id)) {
-                        const planeMesh = planeMarkers.get(plane.id);
-                        planeMesh.position.copyFrom(plane.center);
-                    }
-                    
-                    // If this is our anchored plane, update the root node position
-                    if (plane.id === anchoredPlaneId) {
-                        rootNode.position.copyFrom(plane.center);
-                        rootNode.position.y += 0.01; // Maintain slight elevation
-                    }
-                });
+            // AR: tap to place (hit test + anchor), pinch to scale, twist to rotate
+            arPlacement = createARPlacement(xrHelper, rootNode, {
+                overlay: '#ui', // Keeps the buttons usable over the camera feed
+                onStatus: (text) => {
+                    arStatus.textContent = text;
+                    repositionARButton.style.display = arPlacement && arPlacement.mode === 'placed' ? 'inline-block' : 'none';
+                },
+                onScale: (scale) => {
+                    scaleSlider.value = scale;
+                    scaleValue.textContent = scale.toFixed(2);
+                }
+            });
+            // Taps on the UI are not placement taps
+            document.getElementById('ui').addEventListener('beforexrselect', (event) => event.preventDefault());
+            repositionARButton.onclick = () => arPlacement.reposition();
 
-                planeDetector.onPlaneRemovedObservable.add((plane) => {
-                    // Clean up visualization mesh
-                    if (planeMarkers.has(plane.id)) {
-                        planeMarkers.get(plane.id).dispose();
-                        planeMarkers.delete(plane.id);
-                    }
-                    
-                    // If anchored plane is removed
-                    if (plane.id === anchoredPlaneId) {
-                        console.log(`Anchored plane ${plane.id} removed. Looking for new surface...`);
-                        anchoredPlaneId = null;
-                        arStatus.textContent = "Surface lost. Please scan another surface.";
-                        
-                        // Hide root node temporarily
-                        rootNode.position.y = -1000;
-                    }
-                });
-                
-                // Clean up on session end
-                xrHelper.baseExperience.onStateChangedObservable.add((state) => {
-                    if (state === BABYLON.WebXRState.NOT_IN_XR) {
-                        // Remove all plane visualizations
-                        planeMarkers.forEach((mesh) => mesh.dispose());
-                        planeMarkers.clear();
-                    }
-                });
-            }
+            // VR: true scale under the skybox, with the menu on the left controller
+            createVRMode(xrHelper, sceneData);
 
-            // --- AR Enter/Exit Logic ---
+            // --- XR Enter/Exit Logic ---
             xrHelper.baseExperience.onStateChangedObservable.add((state) => {
                 if (state === BABYLON.WebXRState.IN_XR) {
-                    console.log("Entered AR");
+                    const ar = xrHelper.baseExperience.sessionManager.sessionMode === 'immersive-ar';
+                    console.log(`Entered ${ar ? 'AR' : 'VR'}`);
                     enterARButton.style.display = 'none';
-                    exitARButton.style.display = 'block';
-                    arStatus.style.display = 'block';
-                    arStatus.textContent = "Searching for surface...";
+                    enterVRButton.style.display = 'none';
+                    exitXRButton.textContent = ar ? 'Exit AR' : 'Exit VR';
+                    exitXRButton.style.display = 'block';
 
-                    // Completely hide skybox and any non-AR elements
-                    if (skyboxMesh) {
-                        skyboxMesh.setEnabled(false);
-                        skyboxMesh.visibility = 0;
+                    if (ar) {
+                        arStatus.style.display = 'block';
+                        scaleContainer.style.display = 'block';
+                        // The camera feed is the background
+                        if (skyboxMesh) {
+                            skyboxMesh.setEnabled(false);
+                            skyboxMesh.visibility = 0;
+                        }
                     }
 
-                    // Hide root node temporarily until we find a plane
-                    rootNode.position.set(0, -1000, 0);
-                    // Reset anchor state
-                    anchoredPlaneId = null;
-
+                    // Post-processing does not run in the XR compositor
+                    sceneData.graphics.setHdr(false);
                 } else if (state === BABYLON.WebXRState.NOT_IN_XR) {
-                    console.log("Exited AR");
-                    enterARButton.style.display = 'block';
-                    exitARButton.style.display = 'none';
+                    console.log("Exited XR");
+                    enterARButton.style.display = 'inline-block';
+                    enterVRButton.style.display = 'inline-block';
+                    exitXRButton.style.display = 'none';
                     arStatus.style.display = 'none';
+                    repositionARButton.style.display = 'none';
                     scaleContainer.style.display = 'none';
 
                     // Restore skybox and reset position
@@ -207,44 +660,75 @@ const main = async () => {
                     }
                     
                     scaleSlider.value = 1;
-                    scaleValue.textContent = "1.0";
-                    anchoredPlaneId = null;
+                    scaleValue.textContent = "1.00";
+                    sceneData.graphics.setHdr(hdrToggle.checked);
+                    // The VR menu may have changed the clock
+                    warpSelect.value = clock.warp;
+                    pauseTimeButton.textContent = clock.paused ? 'Play' : 'Pause';
+                    stepTimeButton.disabled = !clock.paused;
                 }
             });
 
-            enterARButton.onclick = () => {
-                console.log("Enter AR button clicked (may rely on default XR UI)");
+            const enterSession = async (mode) => {
+                try {
+                    await xrHelper.baseExperience.enterXRAsync(mode, 'local-floor');
+                } catch (e) {
+                    console.error(`Could not start ${mode}:`, e);
+                }
             };
+            enterARButton.onclick = () => enterSession('immersive-ar');
+            enterVRButton.onclick = () => enterSession('immersive-vr');
 
-            exitARButton.onclick = async () => {
+            exitXRButton.onclick = async () => {
                 await xrHelper.baseExperience.exitXRAsync();
             };
 
             // --- Scale Slider Logic ---
             scaleSlider.oninput = () => {
-                const scaleValue = parseFloat(scaleSlider.value);
-                document.getElementById('scaleValue').textContent = scaleValue.toFixed(1);
-                
-                if (rootNode) {
-                    rootNode.scaling.setAll(scaleValue);
-                }
+                const scale = parseFloat(scaleSlider.value);
+                scaleValue.textContent = scale.toFixed(2);
+                arPlacement.setScale(scale);
             };
 
+            // Grey out what this device cannot do; a failed check (e.g. XR blocked by a
+            // permissions policy) counts as unsupported
+            [['immersive-ar', enterARButton, "AR N/A"], ['immersive-vr', enterVRButton, "VR N/A"]].forEach(async ([mode, button, text]) => {
+                let supported = false;
+                try {
+                    supported = await BABYLON.WebXRSessionManager.IsSessionSupportedAsync(mode);
+                } catch (e) {
+                    console.warn(`Could not check for ${mode} support:`, e);
+                }
+                if (!supported) {
+                    button.disabled = true;
+                    button.textContent = text;
+                }
+            });
         } catch (e) {
-            console.error("Error setting up AR:", e);
+            console.error("Error setting up XR:", e);
             enterARButton.disabled = true;
             enterARButton.textContent = "AR Error";
+            enterVRButton.disabled = true;
+            enterVRButton.textContent = "VR Error";
         }
     };
 
-    // Initialize AR setup after scene is created
+    // Initialize XR setup after scene is created
     if (navigator.xr) {
-        setupAR();
+        setupXR();
     } else {
         console.warn("WebXR not supported in this browser.");
         enterARButton.disabled = true;
         enterARButton.textContent = "AR N/A";
+        enterVRButton.disabled = true;
+        enterVRButton.textContent = "VR N/A";
     }
 };
 
-main().catch(console.error);
\ No newline at end of file
+main().catch(e => {
+    console.error(e);
+    loadingScreen.style.display = 'none';
+    // Most likely a broken system file: show what is wrong with it
+    errorMessage.textContent = e.message;
+    errorMessage.style.display = 'block';
+});
\ No newline at end of file
@@ -0,0 +1,204 @@
+// orbits.js
+// Keplerian orbit helpers and an offline J2000 ephemeris for the major planets.
+//
+// Frame: heliocentric ecliptic J2000, mapped into the scene as
+//   scene.x = ecliptic x (towards the vernal equinox)
+//   scene.y = ecliptic z (north ecliptic pole is "up")
+//   scene.z = ecliptic y
+// so orbits run counter-clockwise when seen from above, like the asteroid belt.
+
+const DEG = Math.PI / 180;
+const J2000_JD = 2451545.0; // 2000-01-01 12:00 TT
+const DAYS_PER_CENTURY = 36525;
+
+/**
+ * Approximate Keplerian elements at J2000 and their rates per Julian century
+ * (JPL "Keplerian Elements for Approximate Positions of the Major Planets",
+ * valid 1800 AD - 2050 AD). Order: [a (AU), e, I, L, long.peri, long.node] in degrees.
+ * Earth uses the Earth-Moon barycentre.
+ */
+export const J2000_ELEMENTS = {
+    mercury: {
+        elements: [0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+        rates: [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]
+    },
+    venus: {
+        elements: [0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+        rates: [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418]
+    },
+    earth: {
+        elements: [1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0.0],
+        rates: [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0.0]
+    },
+    mars: {
+        elements: [1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+        rates: [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]
+    },
+    jupiter: {
+        elements: [5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+        rates: [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]
+    },
+    saturn: {
+        elements: [9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+        rates: [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]
+    },
+    uranus: {
+        elements: [19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.95427630, 74.01692503],
+        rates: [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589]
+    },
+    neptune: {
+        elements: [30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+        rates: [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664]
+    }
+};
+
+const normalizeDegrees = (deg) => ((deg % 360) + 360) % 360;
+
+/**
+ * Converts a JavaScript Date to a Julian Date (UTC, ignoring the few seconds of TT offset).
+ * @param {Date} date
+ * @returns {number}
+ */
+export function julianDate(date) {
+    return date.getTime() / 86400000 + 2440587.5;
+}
+
+/**
+ * Orbital elements of a planet from the bundled J2000 table at the given date.
+ * @param {string} name - Planet name as used in planetsData (e.g. 'earth').
+ * @param {Date} date - Calendar date to evaluate the elements at.
+ * @returns {object|null} Elements in AU and degrees, or null if the planet is not in the table.
+ */
+export function elementsAtDate(name, date) {
+    const entry = J2000_ELEMENTS[name];
+    if (!entry) return null;
+
+    const T = (julianDate(date) - J2000_JD) / DAYS_PER_CENTURY;
+    const [a, e, I, L, varpi, node] = entry.elements.map((value, i) => value + entry.rates[i] * T);
+
+    return {
+        semiMajorAxisAU: a,
+        eccentricity: e,
+        inclination: I,
+        longitudeOfAscendingNode: normalizeDegrees(node),
+        argumentOfPeriapsis: normalizeDegrees(varpi - node),
+        meanAnomaly: normalizeDegrees(L - varpi),
+        periodDays: 365.25 * Math.pow(a, 1.5)
+    };
+}
+
+/**
+ * Solves Kepler's equation M = E - e sin E for the eccentric anomaly (Newton-Raphson).
+ * @param {number} meanAnomaly - Mean anomaly M in radians.
+ * @param {number} eccentricity - Orbital eccentricity (0 <= e < 1).
+ * @param {number} [tolerance=1e-10] - Convergence threshold in radians.
+ * @returns {number} Eccentric anomaly E in radians.
+ */
+export function solveKepler(meanAnomaly, eccentricity, tolerance = 1e-10) {
+    const M = Math.atan2(Math.sin(meanAnomaly), Math.cos(meanAnomaly)); // Wrap to [-PI, PI]
+    let E = eccentricity < 0.8 ? M : Math.PI * Math.sign(M || 1);
+    for (let i = 0; i < 50; i++) {
+        const delta = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < tolerance) break;
+    }
+    return E;
+}
+
+// Rotates orbital-plane coordinates (periapsis along +x) into the scene frame
+function orbitalPlaneToScene(orbit, xp, yp) {
+    const w = orbit.argumentOfPeriapsis * DEG;
+    const O = orbit.longitudeOfAscendingNode * DEG;
+    const I = orbit.inclination * DEG;
+    const cw = Math.cos(w), sw = Math.sin(w);
+    const cO = Math.cos(O), sO = Math.sin(O);
+    const cI = Math.cos(I), sI = Math.sin(I);
+
+    const x = (cw * cO - sw * sO * cI) * xp + (-sw * cO - cw * sO * cI) * yp;
+    const y = (cw * sO + sw * cO * cI) * xp + (-sw * sO + cw * cO * cI) * yp;
+    const z = (sw * sI) * xp + (cw * sI) * yp;
+    return { x, y: z, z: y };
+}
+
+/**
+ * Position and velocity on a Keplerian orbit.
+ * @param {object} orbit - Elements: semiMajorAxis (scene units), eccentricity, and
+ *   inclination, longitudeOfAscendingNode, argumentOfPeriapsis in degrees.
+ * @param {number} meanAnomaly - Current mean anomaly in radians.
+ * @param {number} [mu] - Gravitational parameter G*M of the central body; velocity is
+ *   only computed when given.
+ * @returns {{position: {x:number,y:number,z:number}, velocity: ({x:number,y:number,z:number}|null)}}
+ */
+export function orbitalState(orbit, meanAnomaly, mu) {
+    const a = orbit.semiMajorAxis;
+    const e = orbit.eccentricity;
+    const E = solveKepler(meanAnomaly, e);
+    const cosE = Math.cos(E), sinE = Math.sin(E);
+    const b = a * Math.sqrt(1 - e * e);
+
+    const position = orbitalPlaneToScene(orbit, a * (cosE - e), b * sinE);
+    let velocity = null;
+    if (mu !== undefined) {
+        // dE/dt = n / (1 - e cos E), with mean motion n = sqrt(mu / a^3)
+        const Edot = Math.sqrt(mu / (a * a * a)) / (1 - e * cosE);
+        velocity = orbitalPlaneToScene(orbit, -a * sinE * Edot, b * cosE * Edot);
+    }
+    return { position, velocity };
+}
+
+/**
+ * Osculating orbit of a body from its state relative to the central body.
+ * @param {{x:number,y:number,z:number}} position - Relative position.
+ * @param {{x:number,y:number,z:number}} velocity - Relative velocity.
+ * @param {number} mu - Gravitational parameter G*M of the central body.
+ * @returns {{semiMajorAxis: number, eccentricity: number, period: (number|null)}} Period in the
+ *   same time unit as the velocity; semiMajorAxis is negative and period null on escape orbits.
+ */
+export function elementsFromState(position, velocity, mu) {
+    const r = Math.sqrt(position.x ** 2 + position.y ** 2 + position.z ** 2);
+    const v2 = velocity.x ** 2 + velocity.y ** 2 + velocity.z ** 2;
+    const rv = position.x * velocity.x + position.y * velocity.y + position.z * velocity.z;
+    // Eccentricity vector: ((v^2 - mu/r) r - (r.v) v) / mu
+    const k = v2 - mu / r;
+    const ex = (k * position.x - rv * velocity.x) / mu;
+    const ey = (k * position.y - rv * velocity.y) / mu;
+    const ez = (k * position.z - rv * velocity.z) / mu;
+    const semiMajorAxis = 1 / (2 / r - v2 / mu);
+    return {
+        semiMajorAxis,
+        eccentricity: Math.sqrt(ex * ex + ey * ey + ez * ez),
+        period: semiMajorAxis > 0 ? 2 * Math.PI * Math.sqrt(semiMajorAxis ** 3 / mu) : null
+    };
+}
+
+/**
+ * Builds the full orbit description for a body from a system file.
+ * Explicit elements on the entry win; anything missing comes from the J2000 table at
+ * `date`, and bodies not in the table (or any body when `date` is null) fall back to a
+ * flat circle at `distance`.
+ * The semi-major axis stays in scene units (the table only provides shape, orientation
+ * and phase), so the stylized distances of the system file are kept.
+ * @param {object} p - A body entry from the system file.
+ * @param {Date|null} date - Date used for the ephemeris lookup, or null to skip the table.
+ * @returns {object} Orbit with semiMajorAxis, eccentricity, inclination,
+ *   longitudeOfAscendingNode, argumentOfPeriapsis (degrees), meanAnomalyAtEpoch (degrees)
+ *   and periodDays (real orbital period, or null when unknown).
+ */
+export function resolveOrbit(p, date) {
+    const ephemeris = (date && elementsAtDate(p.name, date)) || {
+        eccentricity: 0,
+        inclination: 0,
+        longitudeOfAscendingNode: 0,
+        argumentOfPeriapsis: 0,
+        meanAnomaly: p.angle || 0 // Degrees, like the elements
+    };
+    return {
+        semiMajorAxis: p.semiMajorAxis ?? p.distance,
+        eccentricity: p.eccentricity ?? ephemeris.eccentricity,
+        inclination: p.inclination ?? ephemeris.inclination,
+        longitudeOfAscendingNode: p.longitudeOfAscendingNode ?? ephemeris.longitudeOfAscendingNode,
+        argumentOfPeriapsis: p.argumentOfPeriapsis ?? ephemeris.argumentOfPeriapsis,
+        meanAnomalyAtEpoch: p.meanAnomalyAtEpoch ?? ephemeris.meanAnomaly,
+        periodDays: p.periodDays ?? ephemeris.periodDays ?? null
+    };
+}
@@ -0,0 +1,125 @@
+// overlay.js
+// Orientation aids drawn over the scene: orbit lines and name labels for the bodies, and a
+// velocity arrow for the selected object. Labels are DOM elements kept over their body's
+// screen position, like the rest of the UI.
+
+import { orbitalState } from './orbits.js';
+
+const ORBIT_SAMPLES = 128;
+const ORBIT_COLOR = new BABYLON.Color3(0.35, 0.55, 0.8);
+const MOON_ORBIT_COLOR = new BABYLON.Color3(0.45, 0.45, 0.55);
+const VECTOR_COLOR = new BABYLON.Color3(1, 0.85, 0.2);
+
+/**
+ * Creates the overlay (hidden until setVisible(true), except for the velocity arrow).
+ * @param {BABYLON.Scene} scene - The Babylon scene.
+ * @param {BABYLON.TransformNode} root - Scene root; the arrow is drawn in its space.
+ * @param {Array<object>} bodies - Bodies with name, orbit, parentName, node and mesh (scene.js),
+ *   parents before their moons.
+ * @param {HTMLElement} labelContainer - Element the labels are added to (covering the canvas).
+ * @returns {object} The overlay: setVisible(visible), visible, setHighlighted(name),
+ *   showVector(origin, vector), hideVector() and setOrigin(origin).
+ */
+export function createOrbitOverlay(scene, root, bodies, labelContainer) {
+    const byName = new Map(bodies.map(b => [b.name, b]));
+    const engine = scene.getEngine();
+    let visible = false;
+
+    // Orbit lines live in the parent's node, so moon orbits travel with their planet; planet
+    // orbits sit around the star, which the floating origin moves away from zero (setOrigin)
+    const star = new BABYLON.TransformNode('orbitLines', scene);
+    star.parent = root;
+    const lines = bodies.map(body => {
+        const points = [];
+        for (let i = 0; i <= ORBIT_SAMPLES; i++) {
+            const { position } = orbitalState(body.orbit, i / ORBIT_SAMPLES * Math.PI * 2);
+            points.push(new BABYLON.Vector3(position.x, position.y, position.z));
+        }
+        const line = BABYLON.MeshBuilder.CreateLines(`${body.name}Orbit`, { points }, scene);
+        line.color = body.parentName ? MOON_ORBIT_COLOR : ORBIT_COLOR;
+        line.parent = body.parentName ? byName.get(body.parentName).node : star;
+        line.isPickable = false;
+        line.setEnabled(false);
+        return line;
+    });
+
+    const labels = bodies.map(body => {
+        const element = document.createElement('div');
+        element.textContent = body.name;
+        element.style.cssText = 'position:absolute; display:none; transform:translate(-50%, -130%); font: 11px sans-serif; color: #cde; text-shadow: 0 0 3px #000; white-space: nowrap;';
+        labelContainer.appendChild(element);
+        return { body, element };
+    });
+
+    // Selected object's velocity, updated in place
+    let vector = null;
+    const vectorPoints = [BABYLON.Vector3.Zero(), BABYLON.Vector3.Zero()];
+
+    // After rendering, so the labels use this frame's camera
+    const screen = new BABYLON.Vector3();
+    scene.onAfterRenderObservable.add(() => {
+        if (!visible || !scene.activeCamera) return;
+        const viewport = scene.activeCamera.viewport.toGlobal(engine.getRenderWidth(), engine.getRenderHeight());
+        const transform = scene.getTransformMatrix();
+        const scale = labelContainer.clientWidth / engine.getRenderWidth(); // Render pixels to CSS pixels
+        labels.forEach(({ body, element }) => {
+            BABYLON.Vector3.ProjectToRef(body.mesh.getAbsolutePosition(), BABYLON.Matrix.IdentityReadOnly, transform, viewport, screen);
+            const onScreen = screen.z >= 0 && screen.z <= 1;
+            element.style.display = onScreen ? 'block' : 'none';
+            if (onScreen) {
+                element.style.left = `${screen.x * scale}px`;
+                element.style.top = `${screen.y * scale}px`;
+            }
+        });
+    });
+
+    return {
+        get visible() { return visible; },
+
+        /** Shows or hides the orbit lines and labels. */
+        setVisible(value) {
+            visible = value;
+            lines.forEach(line => line.setEnabled(value));
+            if (!value) labels.forEach(({ element }) => element.style.display = 'none');
+        },
+
+        /** Emphasizes one body's label (null for none). */
+        setHighlighted(name) {
+            labels.forEach(({ body, element }) => {
+                element.style.color = body.name === name ? '#ffd84d' : '#cde';
+                element.style.fontWeight = body.name === name ? 'bold' : 'normal';
+            });
+        },
+
+        /**
+         * Draws (or moves) the velocity arrow.
+         * @param {{x:number,y:number,z:number}} origin - Start, in root space.
+         * @param {{x:number,y:number,z:number}} vectorValue - Arrow, in root space.
+         */
+        showVector(origin, vectorValue) {
+            vectorPoints[0].set(origin.x, origin.y, origin.z);
+            vectorPoints[1].set(origin.x + vectorValue.x, origin.y + vectorValue.y, origin.z + vectorValue.z);
+            if (vector) {
+                BABYLON.MeshBuilder.CreateLines('velocityVector', { points: vectorPoints, instance: vector });
+            } else {
+                vector = BABYLON.MeshBuilder.CreateLines('velocityVector', { points: vectorPoints, updatable: true }, scene);
+                vector.color = VECTOR_COLOR;
+                vector.parent = root;
+                vector.isPickable = false;
+            }
+            vector.setEnabled(true);
+        },
+
+        hideVector() {
+            if (vector) vector.setEnabled(false);
+        },
+
+        /**
+         * Follows the floating origin (scale.js) with the planets' orbit lines.
+         * @param {{x:number,y:number,z:number}} origin - The floating origin (the star is drawn at -origin).
+         */
+        setOrigin(origin) {
+            star.position.set(-origin.x, -origin.y, -origin.z);
+        }
+    };
+}
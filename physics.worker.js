@@ -1,80 +1,177 @@
-// Physics worker: Sun->Asteroid gravity ONLY
+// Physics worker: runs the simulation core (simulation.js) off the main thread.
+// 'init' (re)starts it, each 'tick' advances it and posts the asteroid states ('update'),
+// contacts ('collision') and, when asteroids were removed or created, the new 'layout'.
+// Also answers 'predict' requests with the ship's future trajectory (points: null when there
+// is none, e.g. before 'init'), 'snapshot' requests with the full body state and 'inspect'
+// with a single asteroid's; 'init' can resume from a snapshot. Runs as a module worker so
+// it can share simulation.js with Node.
+// Asteroid states go back as Float32Arrays (shared or transferred, see transport.js),
+// indexed by the id list of the latest 'layout' message.
+//
+// The simulation works in SI units; the messages use the scene's (scale.js): lengths in
+// scene units relative to the floating origin (set by 'origin', and echoed with every
+// update and collision so positions computed before a recentre can be corrected), times in
+// physics time units. This is the only place that converts between the two. Snapshots hold
+// positions from the star, not from the origin.
+import { createSimulation } from './simulation.js';
+import { createStatePublisher } from './transport.js';
 
-// Constants (G must match the value used for initial velocity calculation in scene.js)
-const G = 0.1; // Gravitational constant (scaled)
-const SUN_REPULSION_DISTANCE_SQ = 1.5 * 1.5; // Squared distance threshold (e.g., 1.5 units)
-const SUN_REPULSION_STRENGTH = 0.05; // How strong the push is
-let bodies = []; // Array to hold { id, mass, position: {x,y,z}, velocity: {x,y,z} }
-let sun = null;
+const simulation = createSimulation();
+let publisher = null; // Packs asteroid states for the main thread
+let layoutVersion = 0; // Bumped whenever the asteroid list (ids / order) changes
+let units = { length: 1, mass: 1, time: 1 }; // Metres, kilograms and seconds per scene unit, from 'init'
+let origin = { x: 0, y: 0, z: 0 }; // Floating origin, in scene units
+const STAR = { x: 0, y: 0, z: 0 }; // Snapshots are relative to the star
 
-// Basic Vector operations (can be replaced with a library if needed)
-const vec3 = {
-    create: (x = 0, y = 0, z = 0) => ({ x, y, z }),
-    subtract: (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z }),
-    add: (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z }),
-    scale: (v, s) => ({ x: v.x * s, y: v.y * s, z: v.z * s }),
-    lengthSq: (v) => v.x * v.x + v.y * v.y + v.z * v.z,
-    length: (v) => Math.sqrt(vec3.lengthSq(v)),
-    normalize: (v) => {
-        const len = vec3.length(v);
-        return len > 0 ? vec3.scale(v, 1 / len) : vec3.create();
-    }
-};
+// --- Unit Conversion ---
+const toMetres = (p, from = origin) => ({ x: (p.x + from.x) * units.length, y: (p.y + from.y) * units.length, z: (p.z + from.z) * units.length });
+const fromMetres = (p, to = origin) => ({ x: p.x / units.length - to.x, y: p.y / units.length - to.y, z: p.z / units.length - to.z });
+const toSpeed = (v) => ({ x: v.x * units.length / units.time, y: v.y * units.length / units.time, z: v.z * units.length / units.time });
+const fromSpeed = (v) => ({ x: v.x * units.time / units.length, y: v.y * units.time / units.length, z: v.z * units.time / units.length });
+
+const toBody = (b, from) => ({
+    ...b,
+    ...(b.mass !== undefined && { mass: b.mass * units.mass }),
+    ...(b.radius !== undefined && { radius: b.radius * units.length }),
+    ...(b.position && { position: toMetres(b.position, from) }),
+    ...(b.velocity && { velocity: toSpeed(b.velocity) })
+});
+const fromBody = (b, to) => ({
+    ...b,
+    ...(b.mass !== undefined && { mass: b.mass / units.mass }),
+    ...(b.radius !== undefined && { radius: b.radius / units.length }),
+    ...(b.position && { position: fromMetres(b.position, to) }),
+    ...(b.velocity && { velocity: fromSpeed(b.velocity) })
+});
+// Keplerian bodies (moons, and the planets of a prediction): orbit size and mean motion
+const toKeplerian = (b) => ({
+    ...toBody(b),
+    orbit: { ...b.orbit, semiMajorAxis: b.orbit.semiMajorAxis * units.length },
+    meanMotion: b.meanMotion / units.time
+});
+
+// Tells the main thread which asteroid id sits at which index of the state buffers
+function postLayout() {
+    layoutVersion++;
+    self.postMessage({ type: 'layout', payload: { version: layoutVersion, ids: simulation.bodies.map(b => b.id) } });
+}
 
 self.onmessage = function(e) {
     const { type, payload } = e.data;
 
     if (type === 'init') {
-        bodies = payload.bodies; // Asteroids
-        sun = payload.sun;
-        bodies.forEach(b => b.force = vec3.create());
-        // console.log('Physics worker initialized with', bodies.length, 'asteroids (Sun gravity only)');
-    } else if (type === 'tick') {
-        const dt = payload.dt;
-        // No longer receiving currentPlanets
-        if (!sun || bodies.length === 0 || !dt) return;
-
-        // 1. Reset forces for this tick
-        bodies.forEach(body => {
-            body.force = vec3.create();
+        units = payload.units || units;
+        origin = { ...(payload.origin || STAR) };
+        // Lengths and times of the setup are in scene units too
+        simulation.init({
+            ...payload,
+            sun: toBody(payload.sun),
+            bodies: payload.bodies.map(b => toBody(b)),
+            planets: (payload.planets || []).map(b => toBody(b)),
+            moons: (payload.moons || []).map(toKeplerian),
+            ...(payload.softening !== undefined && { softening: payload.softening * units.length }),
+            ...(payload.maxStep !== undefined && { maxStep: payload.maxStep * units.time }),
+            ...(payload.minFragmentRadius !== undefined && { minFragmentRadius: payload.minFragmentRadius * units.length }),
+            restore: payload.restore && { ...payload.restore, simTime: payload.restore.simTime * units.time }
         });
-
-        // 2. Calculate forces acting ON asteroids
-        // 2a. Sun's gravity on each asteroid (including repulsion)
-        bodies.forEach(body => {
-            const toSun = vec3.subtract(sun.position, body.position);
-            const distSq = vec3.lengthSq(toSun);
-            const safeDistSq = Math.max(distSq, 0.1);
-
-            // Gravitational Force (Attractive)
-            const gravForceMag = G * sun.mass * body.mass / safeDistSq;
-            const gravForceDir = vec3.normalize(toSun);
-            body.force = vec3.add(body.force, vec3.scale(gravForceDir, gravForceMag));
-
-            // Repulsive Force (if too close)
-            if (distSq < SUN_REPULSION_DISTANCE_SQ) {
-                const repulsionMag = SUN_REPULSION_STRENGTH * body.mass * (SUN_REPULSION_DISTANCE_SQ / distSq);
-                body.force = vec3.add(body.force, vec3.scale(gravForceDir, -repulsionMag));
-            }
+        publisher = createStatePublisher(payload.shared || null);
+        postLayout();
+    } else if (type === 'origin') {
+        origin = { ...payload };
+    } else if (type === 'tick') {
+        // dt is signed: negative when the simulation clock runs in reverse
+        if (publisher) publisher.recycle(payload.recycle); // Buffers the main thread is done with
+        const result = simulation.step(payload.dt * units.time, {
+            ship: payload.ship && toBody(payload.ship),
+            planets: (payload.planets || []).map(p => toBody(p))
         });
+        if (!result) return;
 
-        // 2b. Planets' gravity on each asteroid - REMOVED
-
-        // 2c. Asteroid-Asteroid gravity - REMOVED
+        const { collisions, diagnostics } = result;
+        if (collisions.length) {
+            const events = collisions.map(event => ({
+                ...event,
+                position: fromMetres(event.position),
+                speed: event.speed * units.time / units.length,
+                created: event.created.map(b => fromBody(b))
+            }));
+            self.postMessage({ type: 'collision', payload: { events, origin } });
+            if (collisions.some(event => event.removed.length || event.created.length)) postLayout();
+        }
 
-        // 3. Update asteroid velocities and positions using calculated forces
-        bodies.forEach(body => {
-            const acceleration = vec3.scale(body.force, 1 / body.mass);
-            body.velocity = vec3.add(body.velocity, vec3.scale(acceleration, dt));
-            body.position = vec3.add(body.position, vec3.scale(body.velocity, dt));
+        // Post updated states (and conservation diagnostics) back to main thread
+        const { fields, transfer } = publisher.publish(simulation.bodies, layoutVersion, {
+            lengthScale: 1 / units.length,
+            velocityScale: units.time / units.length,
+            origin
         });
-
-        // Post updated asteroid states back to main thread
         self.postMessage({
             type: 'update',
             payload: {
-                bodies: bodies.map(b => ({ id: b.id, position: b.position, velocity: b.velocity }))
+                ...fields,
+                origin,
+                planets: simulation.planets.map(p => fromBody({ id: p.id, position: p.position, velocity: p.velocity })),
+                diagnostics
+            }
+        }, transfer);
+    } else if (type === 'snapshot') {
+        // Full-precision state for a saved snapshot (the update buffers are only Float32)
+        const { simTime, nextFragmentId, bodies, planets } = simulation.snapshot();
+        self.postMessage({
+            type: 'snapshot',
+            payload: {
+                requestId: payload.requestId,
+                simTime: simTime / units.time,
+                nextFragmentId,
+                bodies: bodies.map(b => fromBody(b, STAR)),
+                planets: planets.map(b => fromBody(b, STAR))
             }
         });
+    } else if (type === 'inspect') {
+        // Live state of one asteroid for the info panel; null once it is gone
+        const body = simulation.inspect(payload.id);
+        self.postMessage({ type: 'inspect', payload: { id: payload.id, body: body && fromBody(body) } });
+    } else if (type === 'predict') {
+        const prediction = simulation.predict({
+            ...payload,
+            duration: payload.duration * units.time,
+            ship: toBody(payload.ship),
+            nodes: (payload.nodes || []).map(node => ({
+                ...node,
+                time: node.time * units.time,
+                prograde: (node.prograde || 0) * units.length / units.time,
+                normal: (node.normal || 0) * units.length / units.time,
+                radial: (node.radial || 0) * units.length / units.time
+            })),
+            planets: payload.planets && payload.planets.map(toKeplerian)
+        });
+        // Always answer, so the main thread does not wait for this request forever
+        if (!prediction) {
+            self.postMessage({ type: 'prediction', payload: { requestId: payload.requestId, points: null, origin } });
+            return;
+        }
+        const points = new Float32Array(prediction.points.length);
+        for (let i = 0; i < points.length; i += 3) {
+            points[i] = prediction.points[i] / units.length - origin.x;
+            points[i + 1] = prediction.points[i + 1] / units.length - origin.y;
+            points[i + 2] = prediction.points[i + 2] / units.length - origin.z;
+        }
+        self.postMessage({
+            type: 'prediction',
+            payload: {
+                requestId: payload.requestId,
+                points,
+                nodeIndices: prediction.nodeIndices,
+                nodeStates: prediction.nodeStates.map(state => ({ ...fromBody(state), time: state.time / units.time })),
+                closestApproaches: prediction.closestApproaches.map(approach => ({
+                    ...approach,
+                    distance: approach.distance / units.length,
+                    time: approach.time / units.time,
+                    shipPosition: approach.shipPosition && fromMetres(approach.shipPosition),
+                    planetPosition: approach.planetPosition && fromMetres(approach.planetPosition)
+                })),
+                origin
+            }
+        }, [points.buffer]);
     }
 };
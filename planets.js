@@ -0,0 +1,325 @@
+// planets.js
+// Planet surface extras lit by the star: a day/night shader (city lights on the night side),
+// cloud layers, atmosphere shells and ring systems. Shaders take the star's position in world
+// space, so they keep working when the scene root is moved or scaled (AR).
+
+const SUN_UNIFORMS = ['world', 'worldViewProjection', 'sunPosition', 'eyePosition'];
+
+/** Vertex shader shared by the surface shaders: world position, world normal and uv as varyings. */
+export const SURFACE_VERTEX_SHADER = 'planetSurface';
+
+BABYLON.Effect.ShadersStore[`${SURFACE_VERTEX_SHADER}VertexShader`] = `
+precision highp float;
+attribute vec3 position;
+attribute vec3 normal;
+attribute vec2 uv;
+uniform mat4 world;
+uniform mat4 worldViewProjection;
+varying vec3 vPositionW;
+varying vec3 vNormalW;
+varying vec2 vUV;
+#include<logDepthDeclaration>
+void main() {
+    vPositionW = (world * vec4(position, 1.0)).xyz;
+    vNormalW = normalize(mat3(world) * normal);
+    vUV = uv;
+    gl_Position = worldViewProjection * vec4(position, 1.0);
+    #include<logDepthVertex>
+}`;
+
+// Fragment shader preamble for the optional logarithmic depth (see useLogarithmicDepth)
+const LOG_DEPTH_EXTENSION = `#ifdef LOGARITHMICDEPTH
+#extension GL_EXT_frag_depth : enable
+#endif`;
+
+BABYLON.Effect.ShadersStore['dayNightFragmentShader'] = `
+#extension GL_OES_standard_derivatives : enable
+${LOG_DEPTH_EXTENSION}
+precision highp float;
+varying vec3 vPositionW;
+varying vec3 vNormalW;
+varying vec2 vUV;
+uniform sampler2D dayTexture;
+uniform sampler2D nightTexture;
+uniform sampler2D normalTexture;
+uniform sampler2D specularTexture;
+uniform vec3 sunPosition;
+uniform vec3 eyePosition;
+uniform float ambient;
+uniform float nightIntensity;
+#include<logDepthDeclaration>
+
+// Tangent frame from screen-space derivatives, so the sphere needs no tangent attribute
+vec3 perturbNormal(vec3 n, vec3 p, vec2 uv) {
+    vec3 dp1 = dFdx(p);
+    vec3 dp2 = dFdy(p);
+    vec2 duv1 = dFdx(uv);
+    vec2 duv2 = dFdy(uv);
+    vec3 dp2perp = cross(dp2, n);
+    vec3 dp1perp = cross(n, dp1);
+    vec3 t = dp2perp * duv1.x + dp1perp * duv2.x;
+    vec3 b = dp2perp * duv1.y + dp1perp * duv2.y;
+    float invmax = inversesqrt(max(max(dot(t, t), dot(b, b)), 1e-20));
+    vec3 m = texture2D(normalTexture, uv).xyz * 2.0 - 1.0;
+    return normalize(mat3(t * invmax, b * invmax, n) * m);
+}
+
+void main() {
+    vec3 n = normalize(vNormalW);
+    vec3 l = normalize(sunPosition - vPositionW);
+    vec3 v = normalize(eyePosition - vPositionW);
+    vec3 bumped = perturbNormal(n, vPositionW, vUV);
+    float sunSide = dot(n, l); // Geometric normal: the terminator ignores the normal map
+    float day = smoothstep(-0.1, 0.15, sunSide);
+
+    float diffuse = max(dot(bumped, l), 0.0);
+    float glint = pow(max(dot(bumped, normalize(l + v)), 0.0), 40.0) * texture2D(specularTexture, vUV).r * step(0.0, sunSide);
+    vec3 lit = texture2D(dayTexture, vUV).rgb * (diffuse + ambient) + vec3(glint * 0.6);
+    vec3 cityLights = texture2D(nightTexture, vUV).rgb * nightIntensity * (1.0 - day);
+    gl_FragColor = vec4(lit + cityLights, 1.0);
+    #include<logDepthFragment>
+}`;
+
+// Cheap scattering: a shell that glows most where the line of sight grazes it (the longest
+// path through the air), on the lit side and a little past the terminator, brighter when
+// looking towards the star through it
+BABYLON.Effect.ShadersStore['atmosphereFragmentShader'] = `
+${LOG_DEPTH_EXTENSION}
+precision highp float;
+varying vec3 vPositionW;
+varying vec3 vNormalW;
+uniform vec3 sunPosition;
+uniform vec3 eyePosition;
+uniform vec3 atmosphereColor;
+uniform float intensity;
+#include<logDepthDeclaration>
+void main() {
+    vec3 n = normalize(vNormalW);
+    vec3 l = normalize(sunPosition - vPositionW);
+    vec3 v = normalize(eyePosition - vPositionW);
+    float rim = pow(1.0 - abs(dot(n, v)), 3.0);
+    float lit = smoothstep(-0.35, 0.4, dot(n, l));
+    float forward = 1.0 + 2.0 * pow(max(dot(-v, l), 0.0), 8.0);
+    float glow = rim * lit * forward * intensity;
+    gl_FragColor = vec4(atmosphereColor * glow, glow);
+    #include<logDepthFragment>
+}`;
+
+// Rings: colour and alpha from a radial strip texture (u runs from the inner to the outer
+// edge), dimmed where the planet blocks the star
+BABYLON.Effect.ShadersStore['ringFragmentShader'] = `
+${LOG_DEPTH_EXTENSION}
+precision highp float;
+varying vec3 vPositionW;
+varying vec2 vUV;
+uniform sampler2D ringTexture;
+uniform vec3 sunPosition;
+uniform vec3 planetPosition;
+uniform float planetRadius;
+uniform float ambient;
+#include<logDepthDeclaration>
+void main() {
+    vec4 color = texture2D(ringTexture, vec2(vUV.x, 0.5));
+    vec3 toSun = normalize(sunPosition - vPositionW);
+    vec3 toPlanet = planetPosition - vPositionW;
+    float along = dot(toPlanet, toSun);
+    float miss = length(toPlanet - toSun * along);
+    float light = along > 0.0 ? smoothstep(planetRadius * 0.97, planetRadius * 1.03, miss) : 1.0;
+    gl_FragColor = vec4(color.rgb * (ambient + (1.0 - ambient) * light), color.a);
+    #include<logDepthFragment>
+}`;
+
+/**
+ * Switches a material to a logarithmic depth buffer, for layouts whose depth range a normal
+ * one cannot hold (real scale, see scale.js). Standard materials have a flag for it; shader
+ * materials get the LOGARITHMICDEPTH define, which the shaders of this file and sun.js honour.
+ * Needs engine.getCaps().fragmentDepthSupported.
+ * @param {BABYLON.Material} material
+ * @param {BABYLON.Scene} scene - The Babylon scene (its active camera's far plane sets the range).
+ */
+export function useLogarithmicDepth(material, scene) {
+    if (!(material instanceof BABYLON.ShaderMaterial)) {
+        if ('useLogarithmicDepth' in material) material.useLogarithmicDepth = true;
+        return;
+    }
+    const { defines, uniforms } = material.options;
+    if (defines.includes('#define LOGARITHMICDEPTH')) return;
+    defines.push('#define LOGARITHMICDEPTH');
+    uniforms.push('logarithmicDepthConstant');
+    material.onBindObservable.add(() => {
+        material.getEffect().setFloat('logarithmicDepthConstant', 2 / (Math.log(scene.activeCamera.maxZ + 1) / Math.LN2));
+    });
+}
+
+/** Day/night shader samplers for each material texture slot of the system file. */
+export const DAY_NIGHT_SAMPLERS = { diffuse: 'dayTexture', night: 'nightTexture', bump: 'normalTexture', specular: 'specularTexture' };
+
+// 1x1 texture, the stand-in for a sampler until (or unless) its file loads
+const solidTexture = (scene, color, alpha = 1) => BABYLON.RawTexture.CreateRGBATexture(
+    new Uint8Array([...color.map(c => Math.round(c * 255)), Math.round(alpha * 255)]), 1, 1, scene);
+
+// Star and camera positions, set whenever the material is bound
+const bindSunUniforms = (material, scene, sun) => {
+    material.onBindObservable.add(() => {
+        const effect = material.getEffect();
+        effect.setVector3('sunPosition', sun.getAbsolutePosition());
+        effect.setVector3('eyePosition', scene.activeCamera.globalPosition);
+    });
+};
+
+/**
+ * Creates the day/night surface material: lit day texture with specular glints, city lights
+ * on the night side. Assign textures with material.setTexture(DAY_NIGHT_SAMPLERS[slot], texture).
+ * @param {string} name - Material name.
+ * @param {BABYLON.Scene} scene - The Babylon scene.
+ * @param {BABYLON.AbstractMesh} sun - The star; its world position is the light source.
+ * @param {object} [options]
+ * @param {number[]} [options.color=[0.6, 0.6, 0.6]] - Day side colour until the day texture loads.
+ * @param {number} [options.ambient=0.03] - Light on the night side, as a fraction of full sunlight.
+ * @param {number} [options.nightIntensity=1.2] - Brightness of the city lights.
+ * @returns {BABYLON.ShaderMaterial}
+ */
+export function createDayNightMaterial(name, scene, sun, options = {}) {
+    const material = new BABYLON.ShaderMaterial(name, scene, { vertex: SURFACE_VERTEX_SHADER, fragment: 'dayNight' }, {
+        attributes: ['position', 'normal', 'uv'],
+        uniforms: [...SUN_UNIFORMS, 'ambient', 'nightIntensity'],
+        samplers: Object.values(DAY_NIGHT_SAMPLERS)
+    });
+    material.setTexture('dayTexture', solidTexture(scene, options.color || [0.6, 0.6, 0.6]));
+    material.setTexture('nightTexture', solidTexture(scene, [0, 0, 0]));
+    material.setTexture('normalTexture', solidTexture(scene, [0.5, 0.5, 1])); // Flat
+    material.setTexture('specularTexture', solidTexture(scene, [0, 0, 0]));
+    material.setFloat('ambient', options.ambient ?? 0.03);
+    material.setFloat('nightIntensity', options.nightIntensity ?? 1.2);
+    bindSunUniforms(material, scene, sun);
+    return material;
+}
+
+/**
+ * Creates a cloud layer: a slightly larger sphere whose opacity follows the texture's brightness.
+ * Turn it with setRotation; the texture is applied by setTexture once loaded.
+ * @param {string} name - Mesh name.
+ * @param {BABYLON.Scene} scene - The Babylon scene.
+ * @param {BABYLON.Node} parent - Node the layer is centred on (the body's node).
+ * @param {number} diameter - Planet diameter.
+ * @param {object} [options]
+ * @param {number} [options.height=0.012] - Height above the surface, in planet radii.
+ * @param {number} [options.opacity=1] - Overall opacity.
+ * @returns {object} { mesh, setTexture(texture), setRotation(radians) }
+ */
+export function createCloudLayer(name, scene, parent, diameter, options = {}) {
+    const mesh = BABYLON.MeshBuilder.CreateSphere(name, { diameter: diameter * (1 + (options.height ?? 0.012)), segments: 32 }, scene);
+    mesh.parent = parent;
+    mesh.isPickable = false;
+    mesh.isVisible = false; // Until the texture is there
+    const material = new BABYLON.StandardMaterial(`${name}Mat`, scene);
+    material.specularColor = new BABYLON.Color3(0, 0, 0);
+    material.alpha = options.opacity ?? 1;
+    mesh.material = material;
+    return {
+        mesh,
+        setTexture(texture) {
+            material.diffuseTexture = texture;
+            material.opacityTexture = texture;
+            texture.getAlphaFromRGB = true;
+            mesh.isVisible = true;
+        },
+        setRotation(radians) {
+            mesh.rotation.y = radians;
+        }
+    };
+}
+
+/**
+ * Creates an atmosphere shell (additive rim glow, see the atmosphere shader).
+ * @param {string} name - Mesh name.
+ * @param {BABYLON.Scene} scene - The Babylon scene.
+ * @param {BABYLON.Node} parent - Node the shell is centred on (the body's node).
+ * @param {BABYLON.AbstractMesh} sun - The star.
+ * @param {number} diameter - Planet diameter.
+ * @param {object} options
+ * @param {number[]} options.color - Scattered colour [r, g, b].
+ * @param {number} [options.thickness=0.05] - Shell height above the surface, in planet radii.
+ * @param {number} [options.intensity=1] - Glow brightness.
+ * @returns {BABYLON.Mesh}
+ */
+export function createAtmosphere(name, scene, parent, sun, diameter, options) {
+    const mesh = BABYLON.MeshBuilder.CreateSphere(name, { diameter: diameter * (1 + (options.thickness ?? 0.05)), segments: 32 }, scene);
+    mesh.parent = parent;
+    mesh.isPickable = false;
+    const material = new BABYLON.ShaderMaterial(`${name}Mat`, scene, { vertex: SURFACE_VERTEX_SHADER, fragment: 'atmosphere' }, {
+        attributes: ['position', 'normal', 'uv'],
+        uniforms: [...SUN_UNIFORMS, 'atmosphereColor', 'intensity'],
+        needAlphaBlending: true
+    });
+    material.setColor3('atmosphereColor', BABYLON.Color3.FromArray(options.color));
+    material.setFloat('intensity', options.intensity ?? 1);
+    material.alphaMode = BABYLON.Engine.ALPHA_ADD;
+    material.disableDepthWrite = true;
+    bindSunUniforms(material, scene, sun);
+    mesh.material = material;
+    return mesh;
+}
+
+/**
+ * Creates a flat ring system around a planet, in the planet's equatorial (local xz) plane.
+ * The texture is a radial strip, inner edge on the left; until it loads (or if it is missing)
+ * the rings are drawn in a translucent flat colour.
+ * @param {string} name - Mesh name.
+ * @param {BABYLON.Scene} scene - The Babylon scene.
+ * @param {BABYLON.Node} parent - Node the rings are centred on (the body's node).
+ * @param {BABYLON.AbstractMesh} planet - The planet mesh, which casts its shadow on the rings.
+ * @param {BABYLON.AbstractMesh} sun - The star.
+ * @param {object} options
+ * @param {number} options.innerRadius - Inner edge, in scene units.
+ * @param {number} options.outerRadius - Outer edge, in scene units.
+ * @param {number[]} [options.color=[0.8, 0.75, 0.65]] - Flat colour without a texture.
+ * @param {number} [options.segments=128] - Segments around the ring.
+ * @returns {object} { mesh, setTexture(texture) }
+ */
+export function createRings(name, scene, parent, planet, sun, options) {
+    const segments = options.segments ?? 128;
+    const positions = [], normals = [], uvs = [], indices = [];
+    for (let i = 0; i <= segments; i++) {
+        const angle = i / segments * Math.PI * 2;
+        const c = Math.cos(angle), s = Math.sin(angle);
+        positions.push(c * options.innerRadius, 0, s * options.innerRadius, c * options.outerRadius, 0, s * options.outerRadius);
+        normals.push(0, 1, 0, 0, 1, 0);
+        uvs.push(0, i / segments, 1, i / segments);
+        if (i < segments) {
+            const o = i * 2;
+            indices.push(o, o + 1, o + 2, o + 1, o + 3, o + 2);
+        }
+    }
+    const data = new BABYLON.VertexData();
+    Object.assign(data, { positions, normals, uvs, indices });
+    const mesh = new BABYLON.Mesh(name, scene);
+    data.applyToMesh(mesh);
+    mesh.parent = parent;
+    mesh.isPickable = false;
+
+    const material = new BABYLON.ShaderMaterial(`${name}Mat`, scene, { vertex: SURFACE_VERTEX_SHADER, fragment: 'ring' }, {
+        attributes: ['position', 'normal', 'uv'],
+        uniforms: [...SUN_UNIFORMS, 'planetPosition', 'planetRadius', 'ambient'],
+        samplers: ['ringTexture'],
+        needAlphaBlending: true
+    });
+    material.backFaceCulling = false;
+    material.setTexture('ringTexture', solidTexture(scene, options.color || [0.8, 0.75, 0.65], 0.6));
+    material.setFloat('ambient', 0.08);
+    bindSunUniforms(material, scene, sun);
+    const planetRadius = planet.getBoundingInfo().boundingBox.extendSize.x; // Local; scaled below
+    material.onBindObservable.add(() => {
+        const effect = material.getEffect();
+        effect.setVector3('planetPosition', planet.getAbsolutePosition());
+        effect.setFloat('planetRadius', planetRadius * planet.absoluteScaling.x);
+    });
+    mesh.material = material;
+    return {
+        mesh,
+        setTexture(texture) {
+            texture.wrapU = BABYLON.Texture.CLAMP_ADDRESSMODE;
+            material.setTexture('ringTexture', texture);
+        }
+    };
+}
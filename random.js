@@ -0,0 +1,28 @@
+// random.js
+// Seeded pseudo-random numbers, for anything that should come out the same on every run:
+// generated belts (simulation.js), fragment kicks, fallback textures (assets.js), rock
+// shapes and tumbles (asteroids.js).
+// No browser APIs, so it also runs in workers and Node.
+
+/**
+ * FNV-1a hash of a string, e.g. to turn a name or a user-supplied seed into a numeric seed.
+ * @param {string} text
+ * @returns {number} Unsigned 32-bit hash.
+ */
+export const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    return hash >>> 0;
+};
+
+/**
+ * mulberry32: a small, fast generator with a 32-bit state.
+ * @param {number} seed - Any 32-bit integer.
+ * @returns {function(): number} Returns the next number in [0, 1) on every call, like Math.random.
+ */
+export const seededRandom = (seed) => () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
@@ -0,0 +1,395 @@
+// recorder.js
+// Flight recorder: samples the ship's pose, every body's position, the asteroid states from the
+// physics worker and the view into a ring buffer while the simulation runs, and plays them
+// back: scrub along the timeline, change speed, watch through the recorded camera or fly your
+// own. A replay can be exported as a WebM video of the canvas (MediaRecorder).
+// While replaying, the live simulation is frozen (scene.js stops advancing it) and restored
+// as it was when the replay ends. Every frame remembers the floating origin (scale.js) it was
+// recorded around, so frames from before a recentre play back in the right place.
+
+const SAMPLE_INTERVAL = 0.1; // Real seconds between samples
+const DEFAULT_DURATION = 120; // Seconds of history the ring buffer holds
+const MAX_BUFFER_BYTES = 128 * 1024 * 1024; // Dense belts shorten the history past this
+const VIDEO_FPS = 30;
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const NO_OFFSET = { x: 0, y: 0, z: 0 };
+
+/** Playback speeds in the order the UI offers them. */
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Creates the flight recorder. It records from the start; call update() once per frame.
+ * @param {BABYLON.Scene} scene - The Babylon scene.
+ * @param {object} options
+ * @param {BABYLON.Mesh} options.ship - The ship (position and rotationQuaternion are recorded).
+ * @param {Array<object>} options.bodies - Bodies with a `node` whose position is recorded (moons,
+ *   which have a parentName, relative to their planet; the others relative to the origin).
+ * @param {object} options.asteroidBelt - The belt renderer (asteroids.js).
+ * @param {object} options.clock - Simulation clock, for the recorded dates.
+ * @param {object} options.cameras - Camera rig (cameras.js); its camera comes back after a replay.
+ * @param {object} [options.origin] - The floating origin ({ x, y, z }, kept up to date by the scene).
+ * @param {number} [options.duration=120] - Seconds of history to keep.
+ * @returns {object} The recorder: update(realSeconds, simSeconds), setLayout(ids),
+ *   updateAsteroids(positions, bodyCount, spinDt, offset), whenLive(change), setRecording(on),
+ *   clear(), enter(), exit(),
+ *   play(), pause(), seek(seconds), setSpeed(speed), setCameraOverride(on), exportVideo(name),
+ *   and getters for recording, replaying, paused, position, duration, speed, cameraOverride,
+ *   exporting and date.
+ */
+export function createFlightRecorder(scene, options) {
+    const { ship, bodies, asteroidBelt, clock, cameras } = options;
+    const origin = options.origin || NO_OFFSET;
+    const canvas = scene.getEngine().getRenderingCanvas();
+
+    // --- Ring Buffer ---
+    // frames[(start + i) % capacity] is the i-th oldest frame
+    const capacity = Math.round((options.duration ?? DEFAULT_DURATION) / SAMPLE_INTERVAL);
+    const frames = new Array(capacity);
+    let start = 0;
+    let count = 0;
+    let bytes = 0;
+    let recording = true;
+    let recordTime = 0; // Seconds recorded so far; the frames' timeline
+    let sinceSample = Infinity;
+
+    const frameAt = (i) => frames[(start + i) % capacity];
+    const dropOldest = () => {
+        bytes -= frames[start].bytes;
+        frames[start] = undefined;
+        start = (start + 1) % capacity;
+        count--;
+    };
+    const push = (frame) => {
+        if (count === capacity) dropOldest();
+        frames[(start + count) % capacity] = frame;
+        count++;
+        bytes += frame.bytes;
+        while (bytes > MAX_BUFFER_BYTES && count > 1) dropOldest();
+    };
+
+    const sample = () => {
+        const camera = scene.activeCamera;
+        const view = { position: new BABYLON.Vector3(), rotation: new BABYLON.Quaternion(), fov: camera.fov, ortho: null };
+        camera.getWorldMatrix().decompose(undefined, view.rotation, view.position);
+        if (camera.mode === BABYLON.Camera.ORTHOGRAPHIC_CAMERA) {
+            view.ortho = [camera.orthoTop, camera.orthoBottom, camera.orthoLeft, camera.orthoRight];
+        }
+        const bodyPositions = new Float64Array(bodies.length * 3);
+        bodies.forEach((body, i) => body.node.position.toArray(bodyPositions, i * 3));
+        const asteroids = asteroidBelt.capture();
+        push({
+            time: recordTime,
+            date: clock.date.getTime(),
+            origin: { x: origin.x, y: origin.y, z: origin.z },
+            shipPosition: ship.position.clone(),
+            shipRotation: ship.rotationQuaternion.clone(),
+            view,
+            bodies: bodyPositions,
+            asteroids,
+            bytes: bodyPositions.byteLength + asteroids.radii.byteLength + asteroids.positions.byteLength + 200
+        });
+    };
+
+    // --- Playback ---
+    const replayCamera = new BABYLON.UniversalCamera('replayCam', BABYLON.Vector3.Zero(), scene);
+    replayCamera.minZ = 0.01;
+    replayCamera.inputs.clear();
+    replayCamera.rotationQuaternion = new BABYLON.Quaternion();
+
+    let replay = null; // While replaying: { live, ghosts, layoutIds, deferred, exported }
+    let playhead = 0; // Seconds from the first frame
+    let paused = true;
+    let speed = 1;
+    let cameraOverride = false; // Fly the usual cameras instead of the recorded view
+    let scratch = new Float32Array(0); // Interpolated asteroid positions
+
+    const firstTime = () => count ? frameAt(0).time : 0;
+    const duration = () => count ? frameAt(count - 1).time - firstTime() : 0;
+
+    // Index of the last frame at or before recording time t
+    const frameIndex = (t) => {
+        let lo = 0, hi = count - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (frameAt(mid).time <= t) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo;
+    };
+
+    const activateCamera = (camera) => {
+        if (scene.activeCamera === camera) return;
+        if (scene.activeCamera) scene.activeCamera.detachControl();
+        scene.activeCamera = camera;
+        if (camera !== replayCamera) camera.attachControl(canvas, true);
+    };
+
+    // Where a frame's origin lies from the current one
+    const originOffset = (frame) => ({ x: frame.origin.x - origin.x, y: frame.origin.y - origin.y, z: frame.origin.z - origin.z });
+
+    // Asteroids as they were; ones that have been destroyed since come back for the replay
+    const showAsteroids = (asteroids, positions, spinDt, offset) => {
+        if (asteroids.ids !== replay.layoutIds) {
+            asteroids.ids.forEach((id, i) => {
+                if (asteroidBelt.positionOf(id)) return;
+                asteroidBelt.add(id, asteroids.radii[i], { x: positions[i * 3] + offset.x, y: positions[i * 3 + 1] + offset.y, z: positions[i * 3 + 2] + offset.z });
+                replay.ghosts.add(id);
+            });
+            asteroidBelt.setLayout(asteroids.ids);
+            replay.layoutIds = asteroids.ids;
+        }
+        asteroidBelt.update(positions, asteroids.ids.length, spinDt, offset);
+    };
+
+    // Puts everything where it was at the playhead, interpolating between samples
+    const showPlayhead = (spinDt) => {
+        const t = firstTime() + playhead;
+        const index = frameIndex(t);
+        const a = frameAt(index);
+        const b = index + 1 < count ? frameAt(index + 1) : a;
+        const alpha = b.time > a.time ? Math.min(1, (t - a.time) / (b.time - a.time)) : 0;
+        const offsetA = originOffset(a);
+        const offsetB = originOffset(b);
+        // b's positions moved into a's frame (the same frame, unless the origin moved in between)
+        const shift = [offsetB.x - offsetA.x, offsetB.y - offsetA.y, offsetB.z - offsetA.z];
+        const lerp = (from, to, axis) => from + (to + shift[axis] - from) * alpha;
+        const place = (target, from, to) => target.set(
+            lerp(from.x, to.x, 0) + offsetA.x,
+            lerp(from.y, to.y, 1) + offsetA.y,
+            lerp(from.z, to.z, 2) + offsetA.z
+        );
+
+        place(ship.position, a.shipPosition, b.shipPosition);
+        BABYLON.Quaternion.SlerpToRef(a.shipRotation, b.shipRotation, alpha, ship.rotationQuaternion);
+        bodies.forEach((body, i) => {
+            const from = BABYLON.Vector3.FromArray(a.bodies, i * 3);
+            const to = BABYLON.Vector3.FromArray(b.bodies, i * 3);
+            // Moons sit relative to their planet, which carries the offset
+            if (body.parentName) BABYLON.Vector3.LerpToRef(from, to, alpha, body.node.position);
+            else place(body.node.position, from, to);
+        });
+
+        let positions = a.asteroids.positions;
+        if (b.asteroids.ids === a.asteroids.ids && alpha > 0) {
+            if (scratch.length < positions.length) scratch = new Float32Array(positions.length);
+            for (let i = 0; i < positions.length; i++) {
+                scratch[i] = lerp(positions[i], b.asteroids.positions[i], i % 3);
+            }
+            positions = scratch;
+        }
+        showAsteroids(a.asteroids, positions, spinDt, offsetA);
+
+        if (cameraOverride) return;
+        place(replayCamera.position, a.view.position, b.view.position);
+        BABYLON.Quaternion.SlerpToRef(a.view.rotation, b.view.rotation, alpha, replayCamera.rotationQuaternion);
+        replayCamera.fov = a.view.fov + (b.view.fov - a.view.fov) * alpha;
+        replayCamera.mode = a.view.ortho ? BABYLON.Camera.ORTHOGRAPHIC_CAMERA : BABYLON.Camera.PERSPECTIVE_CAMERA;
+        if (a.view.ortho) [replayCamera.orthoTop, replayCamera.orthoBottom, replayCamera.orthoLeft, replayCamera.orthoRight] = a.view.ortho;
+        activateCamera(replayCamera);
+    };
+
+    /** Starts replaying at the end of the recording (paused); the live state is put aside. */
+    const enter = () => {
+        if (replay || !count) return;
+        replay = {
+            live: {
+                shipPosition: ship.position.clone(),
+                shipRotation: ship.rotationQuaternion.clone(),
+                bodies: bodies.map(body => body.node.position.clone()),
+                asteroids: asteroidBelt.capture()
+            },
+            ghosts: new Set(), // Asteroids shown only for the replay
+            layoutIds: null,
+            deferred: [], // Changes to the live scene (whenLive), applied on exit
+            exported: null // Resolves the running video export when playback ends
+        };
+        replay.layoutIds = replay.live.asteroids.ids;
+        playhead = duration();
+        paused = true;
+        showPlayhead(0);
+    };
+
+    /** Ends the replay: the simulation continues from where it was. */
+    const exit = () => {
+        if (!replay) return;
+        const { live, ghosts, deferred, exported } = replay;
+        replay = null;
+        if (exported) exported();
+        ship.position.copyFrom(live.shipPosition);
+        ship.rotationQuaternion.copyFrom(live.shipRotation);
+        bodies.forEach((body, i) => body.node.position.copyFrom(live.bodies[i]));
+        ghosts.forEach(id => asteroidBelt.remove(id));
+        // In arrival order, before the layout that came after them
+        deferred.forEach(change => change());
+        asteroidBelt.setLayout(live.asteroids.ids);
+        if (live.asteroids.positions) asteroidBelt.update(live.asteroids.positions, live.asteroids.ids.length, 0);
+        activateCamera(cameras.cameras[cameras.mode]);
+    };
+
+    const seek = (seconds) => {
+        if (!replay) return;
+        playhead = Math.max(0, Math.min(duration(), seconds));
+        showPlayhead(0);
+    };
+
+    return {
+        get recording() { return recording; },
+        get replaying() { return replay !== null; },
+        get paused() { return paused; },
+        /** Playhead, in seconds from the start of the recording. */
+        get position() { return playhead; },
+        /** Length of the recording, in (real) seconds. */
+        get duration() { return duration(); },
+        get speed() { return speed; },
+        get cameraOverride() { return cameraOverride; },
+        get exporting() { return Boolean(replay && replay.exported); },
+        /** Simulated date at the playhead (or of the latest sample). */
+        get date() {
+            if (!count) return null;
+            return new Date(replay ? frameAt(frameIndex(firstTime() + playhead)).date : frameAt(count - 1).date);
+        },
+
+        /**
+         * Call once per frame: records a sample now and then while the simulation runs, or
+         * advances the replay.
+         * @param {number} realSeconds - Wall-clock time since the previous frame.
+         * @param {number} simSeconds - Simulated time the frame advanced (0 when paused or replaying).
+         */
+        update(realSeconds, simSeconds) {
+            if (replay) {
+                if (paused) return;
+                const step = realSeconds * speed;
+                playhead = Math.min(duration(), playhead + step);
+                showPlayhead(step);
+                if (playhead >= duration()) {
+                    paused = true;
+                    if (replay.exported) replay.exported();
+                }
+                return;
+            }
+            if (!recording || simSeconds === 0) return; // Nothing moves while paused
+            recordTime += realSeconds;
+            sinceSample += realSeconds;
+            if (sinceSample >= SAMPLE_INTERVAL) {
+                sinceSample = 0;
+                sample();
+            }
+        },
+
+        /**
+         * The worker's asteroid layouts go through here: on to the belt, or held back for
+         * the end of a replay.
+         * @param {string[]} ids - Body ids in buffer order.
+         */
+        setLayout(ids) {
+            if (!replay) return asteroidBelt.setLayout(ids);
+            replay.live.asteroids = { ids, positions: null };
+        },
+
+        /**
+         * The worker's asteroid states go through here, like setLayout.
+         * @param {Float32Array} positions - x, y, z per body in layout order.
+         * @param {number} bodyCount - Number of bodies in the frame.
+         * @param {number} spinDt - Seconds to advance the tumbling by.
+         * @param {{x:number,y:number,z:number}} [offset] - Added to every position (see asteroids.js).
+         */
+        updateAsteroids(positions, bodyCount, spinDt, offset = NO_OFFSET) {
+            if (!replay) return asteroidBelt.update(positions, bodyCount, spinDt, offset);
+            const live = replay.live.asteroids;
+            if (bodyCount !== live.ids.length) return;
+            live.positions = positions.slice(0, bodyCount * 3);
+            for (let i = 0; i < live.positions.length; i += 3) {
+                live.positions[i] += offset.x;
+                live.positions[i + 1] += offset.y;
+                live.positions[i + 2] += offset.z;
+            }
+        },
+
+        /**
+         * Applies a change to the live scene (e.g. a collision from the worker) now, or holds
+         * it back until the replay ends, so the replayed scene is left alone.
+         * @param {function(boolean)} change - Called with true when it was held back.
+         */
+        whenLive(change) {
+            if (!replay) return change(false);
+            replay.deferred.push(() => change(true));
+        },
+
+        /** Stops or resumes sampling (what is recorded stays). */
+        setRecording(on) {
+            recording = on;
+        },
+
+        /** Forgets the recording (leaving a replay first). */
+        clear() {
+            exit();
+            frames.fill(undefined);
+            start = count = bytes = 0;
+            recordTime = 0;
+            sinceSample = Infinity;
+        },
+
+        enter,
+        exit,
+        seek,
+
+        play() {
+            if (!replay) enter();
+            if (!replay) return;
+            if (playhead >= duration()) playhead = 0; // From the top after the end
+            paused = false;
+        },
+
+        pause() {
+            paused = true;
+        },
+
+        setSpeed(value) {
+            speed = Math.max(0.05, value);
+        },
+
+        /** Watch through the recorded camera (false) or fly the usual cameras (true). */
+        setCameraOverride(on) {
+            cameraOverride = on;
+            if (!replay) return;
+            if (on) activateCamera(cameras.cameras[cameras.mode]);
+            else showPlayhead(0);
+        },
+
+        /**
+         * Replays the whole recording at the current speed while capturing the canvas, then
+         * downloads it as WebM. Leaving the replay early saves what was captured so far.
+         * @param {string} [name='replay'] - File name without the extension.
+         */
+        async exportVideo(name = 'replay') {
+            if (!count) throw new Error('Nothing has been recorded yet.');
+            if (!window.MediaRecorder || !canvas.captureStream) throw new Error('This browser cannot record the canvas (MediaRecorder).');
+            const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+            if (!mimeType) throw new Error('This browser cannot record WebM video.');
+            if (replay && replay.exported) throw new Error('A video export is already running.');
+
+            enter();
+            const stream = canvas.captureStream(VIDEO_FPS);
+            const mediaRecorder = new MediaRecorder(stream, { mimeType });
+            const chunks = [];
+            mediaRecorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+            const stopped = new Promise(resolve => mediaRecorder.onstop = resolve);
+            const finished = new Promise(resolve => replay.exported = resolve);
+            seek(0);
+            mediaRecorder.start();
+            paused = false;
+            await finished;
+            if (replay) replay.exported = null;
+            mediaRecorder.stop();
+            await stopped;
+            stream.getTracks().forEach(track => track.stop());
+
+            const url = URL.createObjectURL(new Blob(chunks, { type: 'video/webm' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${name}.webm`;
+            link.click();
+            URL.revokeObjectURL(url);
+        }
+    };
+}
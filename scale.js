@@ -0,0 +1,219 @@
+// scale.js
+// Distance scales and the floating origin.
+//
+// The system file lays bodies out at stylized distances and sizes. A scale model turns that
+// layout into one of three (pick with ?scale=log or ?scale=real):
+//   'stylized': the file as it is
+//   'log':      distances from the star compressed logarithmically, from real orbits: the
+//               innermost and outermost planets keep their stylized distances, everything in
+//               between spreads out like on a log axis; sizes and moon orbits stay stylized
+//   'real':     true distances and sizes, 1 scene unit = 1000 km
+// Real orbits come from the J2000 table (orbits.js), from periodDays and the real masses
+// (the star's solarMasses sets how much a mass unit weighs), or from distanceKm; real sizes
+// from radiusKm. Every layout comes with the units the physics worker needs to work in SI.
+//
+// Real distances do not fit in 32-bit floats around a single origin, so the scene renders
+// relative to a floating origin that jumps to whatever the camera looks at once it strays
+// too far (see createFloatingOrigin).
+import { J2000_ELEMENTS } from './orbits.js';
+
+/** Modes in the order the UI offers them. */
+export const SCALE_MODES = [
+    { id: 'stylized', label: 'Stylized' },
+    { id: 'log', label: 'Logarithmic' },
+    { id: 'real', label: 'Real scale' }
+];
+
+export const G_SI = 6.6743e-11; // m^3 kg^-1 s^-2
+export const AU = 1.495978707e11; // m
+export const SOLAR_MASS = 1.98847e30; // kg
+const SOLAR_RADIUS = 6.957e8; // m
+const SECONDS_PER_DAY = 86400;
+const METRES_PER_REAL_UNIT = 1e6; // Real scale: 1 scene unit = 1000 km
+const PLANET_DENSITY = 5000; // kg/m^3, for bodies without radiusKm
+const ROCK_DENSITY = 2000; // kg/m^3, real-scale asteroids
+
+// Semi-major axis (m) of an orbit with the given period around a mass
+const keplerDistance = (periodDays, centralKg) =>
+    Math.cbrt(G_SI * centralKg * (periodDays * SECONDS_PER_DAY) ** 2 / (4 * Math.PI * Math.PI));
+
+// Piecewise-linear y(x) through sorted [x, y] points, proportional beyond the ends
+function interpolate(points, x) {
+    if (!points.length) return x;
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (x <= first[0]) return x * first[1] / first[0];
+    if (x >= last[0]) return x * last[1] / last[0];
+    const i = points.findIndex(([px]) => px >= x);
+    const [x0, y0] = points[i - 1];
+    const [x1, y1] = points[i];
+    return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+}
+
+// d = A ln(1 + r / r0), through (inner.real -> inner.scene) and (outer.real -> outer.scene).
+// Falls back to a straight proportion when the stylized spread is as wide as the real one.
+function logMapping(inner, outer) {
+    if (!inner || inner.real === outer.real) return (r) => r * (inner ? inner.scene / inner.real : 1);
+    const ratio = outer.scene / inner.scene;
+    const spread = (r0) => Math.log1p(outer.real / r0) / Math.log1p(inner.real / r0);
+    if (ratio >= outer.real / inner.real || ratio <= 1) return (r) => r * inner.scene / inner.real;
+    // spread() falls from outer/inner (r0 -> infinity) towards 1 (r0 -> 0): bisect on log r0
+    let lo = Math.log(inner.real * 1e-9);
+    let hi = Math.log(inner.real * 1e9);
+    for (let i = 0; i < 100; i++) {
+        const mid = (lo + hi) / 2;
+        if (spread(Math.exp(mid)) > ratio) hi = mid;
+        else lo = mid;
+    }
+    const r0 = Math.exp((lo + hi) / 2);
+    const A = inner.scene / Math.log1p(inner.real / r0);
+    return (r) => A * Math.log1p(r / r0);
+}
+
+/**
+ * Lays a validated system out at one of the SCALE_MODES.
+ * @param {object} system - From system.js.
+ * @param {string} [mode='stylized'] - A SCALE_MODES id; anything else is stylized.
+ * @returns {object} The model: mode; system (a copy with distances, sizes, belts, the
+ *   reference orbit and physics.G in this mode's scene units); units { length, mass, time }
+ *   (metres per scene unit, kilograms per mass unit, seconds per physics time unit);
+ *   lengthFactor (this mode's lengths over the stylized ones, for flight and cameras); and
+ *   distance(r), mapping a stylized distance from the star into this mode.
+ */
+export function createScaleModel(system, mode = 'stylized') {
+    const id = SCALE_MODES.some(m => m.id === mode) ? mode : 'stylized';
+    const { star, physics } = system;
+    const reference = physics.referenceOrbit;
+
+    // Time: a physics time unit is the same in every mode (calibrated on the stylized layout)
+    const time = reference.periodDays * SECONDS_PER_DAY / (2 * Math.PI * Math.sqrt(reference.distance ** 3 / (physics.G * star.mass)));
+    // Mass: the star's real mass fixes the scale; the file's masses are relative
+    const starKg = (star.solarMasses ?? 1) * SOLAR_MASS;
+    const kgPerMass = starKg / star.mass;
+    // Length: the stylized reference orbit stands for the real orbit with the same period
+    const stylizedLength = keplerDistance(reference.periodDays, starKg) / reference.distance;
+
+    // Real semi-major axes (m) and radii (m)
+    const realDistance = (p, centralKg, topLevel) => {
+        if (p.distanceKm) return p.distanceKm * 1000;
+        const table = topLevel && system.ephemeris === 'j2000' && J2000_ELEMENTS[p.name];
+        if (table) return table.elements[0] * AU;
+        if (p.periodDays) return keplerDistance(p.periodDays, centralKg + p.mass * kgPerMass);
+        return (p.semiMajorAxis ?? p.distance) * stylizedLength;
+    };
+    const realRadius = (p) => p.radiusKm ? p.radiusKm * 1000
+        : Math.cbrt(3 * Math.max(p.mass * kgPerMass, 1) / (4 * Math.PI * PLANET_DENSITY));
+    const starRadius = star.radiusKm ? star.radiusKm * 1000 : SOLAR_RADIUS * (star.solarMasses ?? 1) ** 0.8;
+
+    // Stylized -> real distance from the star, through the planets
+    const planetDistances = system.bodies
+        .map(p => [p.semiMajorAxis ?? p.distance, realDistance(p, starKg, true)])
+        .sort((a, b) => a[0] - b[0]);
+    const toReal = (r) => interpolate(planetDistances, r);
+
+    // Real distance from the star -> this mode's scene units
+    let length;
+    let fromReal;
+    if (id === 'real') {
+        length = METRES_PER_REAL_UNIT;
+        fromReal = (r) => r / length;
+    } else if (id === 'log') {
+        length = stylizedLength; // Nominal: the layout is not to any one scale
+        const ends = planetDistances.map(([scene, real]) => ({ scene, real })).sort((a, b) => a.real - b.real);
+        fromReal = logMapping(ends[0], ends[ends.length - 1] || ends[0]);
+    } else {
+        length = stylizedLength;
+    }
+    const distance = id === 'stylized' ? (r) => r : (r) => fromReal(toReal(r));
+
+    // --- Bodies ---
+    const scaleBody = (p, centralKg, topLevel) => {
+        const moons = p.moons && p.moons.map(moon => scaleBody(moon, p.mass * kgPerMass, false));
+        if (id === 'stylized' || (id === 'log' && !topLevel)) return { ...p, ...(moons && { moons }) };
+        const a = fromReal(realDistance(p, centralKg, topLevel));
+        return {
+            ...p,
+            distance: a,
+            semiMajorAxis: a,
+            diameter: id === 'real' ? 2 * realRadius(p) / length : p.diameter,
+            ...(moons && { moons })
+        };
+    };
+
+    // --- Belts ---
+    // Real sizes where the file gives them, otherwise the stylized ones grown like the planets'
+    const sizeFactor = Math.exp(system.bodies.reduce((sum, p) => sum + Math.log(2 * realRadius(p) / length / p.diameter), 0)
+        / Math.max(system.bodies.length, 1));
+    const scaleBelt = (belt) => {
+        if (id === 'stylized') return belt;
+        const minRadius = belt.minRadiusKm ? fromReal(belt.minRadiusKm * 1000) : distance(belt.minRadius);
+        const maxRadius = belt.maxRadiusKm ? fromReal(belt.maxRadiusKm * 1000) : distance(belt.maxRadius);
+        if (id === 'log') return { ...belt, minRadius, maxRadius };
+        return {
+            ...belt,
+            minRadius,
+            maxRadius,
+            height: belt.height * (minRadius + maxRadius) / (belt.minRadius + belt.maxRadius),
+            minSize: belt.minSizeKm ? belt.minSizeKm * 1000 / length : belt.minSize * sizeFactor,
+            maxSize: belt.maxSizeKm ? belt.maxSizeKm * 1000 / length : belt.maxSize * sizeFactor,
+            density: ROCK_DENSITY * 4 / 3 * Math.PI * length ** 3 / kgPerMass // Mass = size^3 * density, size being the radius
+        };
+    };
+
+    const G = id === 'stylized' ? physics.G : G_SI * kgPerMass * time * time / length ** 3;
+    const scaled = {
+        ...system,
+        physics: {
+            G,
+            referenceOrbit: { ...reference, distance: distance(reference.distance) }
+        },
+        star: id === 'real' ? { ...star, radius: starRadius / length } : star,
+        bodies: system.bodies.map(p => scaleBody(p, starKg, true)),
+        belts: system.belts.map(scaleBelt)
+    };
+
+    return {
+        mode: id,
+        system: scaled,
+        units: { length, mass: kgPerMass, time },
+        lengthFactor: stylizedLength / length,
+        distance
+    };
+}
+
+/**
+ * The floating origin: the scene position (in scene units, kept in double precision) that
+ * currently renders at zero. Everything placed from absolute coordinates subtracts it.
+ * @param {object} [options]
+ * @param {number} [options.threshold=1000] - Recentre once the focus is this far out.
+ * @returns {object} The origin: x, y, z, recenter(focus) and reset().
+ */
+export function createFloatingOrigin(options = {}) {
+    const threshold = options.threshold ?? 1000;
+    const origin = {
+        x: 0, y: 0, z: 0,
+
+        /**
+         * Moves the origin onto `focus` if it is past the threshold.
+         * @param {{x:number,y:number,z:number}} focus - Render position to keep near zero.
+         * @returns {{x:number,y:number,z:number}|null} The shift (subtract it from render
+         *   positions), or null when nothing moved.
+         */
+        recenter(focus) {
+            if (focus.x * focus.x + focus.y * focus.y + focus.z * focus.z < threshold * threshold) return null;
+            const shift = { x: focus.x, y: focus.y, z: focus.z };
+            origin.x += shift.x;
+            origin.y += shift.y;
+            origin.z += shift.z;
+            return shift;
+        },
+
+        /** Back to the star at zero; returns the shift like recenter(). */
+        reset() {
+            const shift = { x: -origin.x, y: -origin.y, z: -origin.z };
+            origin.x = origin.y = origin.z = 0;
+            return shift;
+        }
+    };
+    return origin;
+}
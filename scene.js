@@ -1,160 +1,413 @@
 // scene.js
 import { createSpaceship } from './spaceship.js'; // Import the updated function
+import { createHangar, loadShipDesign } from './hangar.js';
+import { elementsFromState, orbitalState, resolveOrbit } from './orbits.js';
+import { createSimulationClock, SECONDS_PER_DAY } from './clock.js';
+import { createFlightModel, pointMassGravity } from './flight.js';
+import { createTrajectoryPlanner } from './trajectory.js';
+import { playImpactFlash } from './effects.js';
+import { canShareMemory, createSharedState, createStateReader } from './transport.js';
+import { createAsteroidBelt } from './asteroids.js';
+import { generateBelt } from './simulation.js';
+import { SNAPSHOT_FORMAT, SNAPSHOT_VERSION, packBodies, unpackBodies } from './snapshot.js';
+import { DEFAULT_SYSTEM_URL, loadSystem } from './system.js';
+import { createFloatingOrigin, createScaleModel } from './scale.js';
+import { createAssetManager, createFallbackTexture, pickTextureTier } from './assets.js';
+import { createSun } from './sun.js';
+import { createCameraRig } from './cameras.js';
+import { createOrbitOverlay } from './overlay.js';
+import { createSpinAxis, createSurfaceOverlays, localSolarTime, spinBody, spinCloudLayer, surfaceCoordinates, toSurfaceSpace } from './surface.js';
+import { createInputManager } from './input.js';
+import { createFlightRecorder } from './recorder.js';
+import { DAY_NIGHT_SAMPLERS, createAtmosphere, createCloudLayer, createDayNightMaterial, createRings, useLogarithmicDepth } from './planets.js';
+
+/**
+ * Builds the scene.
+ * @param {BABYLON.Engine} engine
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} [options]
+ * @param {object} [options.snapshot] - Validated snapshot (snapshot.js) to resume from instead of
+ *   the URL settings, today's planet positions and a freshly generated belt.
+ * @param {function} [options.onProgress] - Texture loading progress, ({ loaded, failed, total, file }).
+ * @param {HTMLElement} [options.labelContainer] - Element for the body name labels (overlay.js).
+ * @param {HTMLElement} [options.touchContainer] - Element for the on-screen touch sticks (input.js).
+ * @returns {Promise<object>} Scene objects and controllers (see the end of the function).
+ * @throws {SystemDefinitionError} If the system file is missing or invalid.
+ */
+export async function createScene(engine, canvas, options = {}) {
+    const snapshot = options.snapshot || null;
+    const urlParams = new URLSearchParams(window.location.search);
+    // A snapshot brings its own settings, system and date.
+    const settings = snapshot ? snapshot.settings || {} : {
+        system: urlParams.get('system'),
+        gravity: urlParams.get('gravity'),
+        integrator: urlParams.get('integrator'),
+        seed: urlParams.get('seed'),
+        scale: urlParams.get('scale')
+    };
+
+    // --- System Definition (?system=my-system.yaml, see system.js) ---
+    // Laid out at the distance scale picked with ?scale=log or ?scale=real (scale.js)
+    const systemUrl = settings.system || DEFAULT_SYSTEM_URL;
+    const scaleModel = createScaleModel(await loadSystem(systemUrl), settings.scale);
+    const system = scaleModel.system;
 
-export async function createScene(engine, canvas) {
     const scene = new BABYLON.Scene(engine);
     const root = new BABYLON.TransformNode('root', scene);
-    new BABYLON.HemisphericLight('light', new BABYLON.Vector3(1, 1, 0), scene);
+    // Real distances span more than a normal depth buffer resolves: every material gets a
+    // logarithmic one (planets.js), once its constructor has finished
+    if (scaleModel.mode === 'real' && engine.getCaps().fragmentDepthSupported) {
+        scene.onNewMaterialAddedObservable.add(material => queueMicrotask(() => useLogarithmicDepth(material, scene)));
+    }
+    // Faint fill light, so night sides are dark but not invisible; the star lights everything else
+    const fillLight = new BABYLON.HemisphericLight('light', new BABYLON.Vector3(1, 1, 0), scene);
+    fillLight.intensity = 0.08;
+    fillLight.specular = new BABYLON.Color3(0, 0, 0);
+
+    // --- Texture Loading ---
+    // 2k/4k/8k variants by device (override with ?textures=2k); missing files get a procedural
+    // stand-in instead of blocking startup
+    const assets = createAssetManager(scene, {
+        tier: pickTextureTier(engine, urlParams.get('textures')),
+        onProgress: options.onProgress
+    });
 
     // Add Skybox
     const skybox = BABYLON.MeshBuilder.CreateBox("skyBox", {size:1000.0}, scene);
     const skyboxMaterial = new BABYLON.StandardMaterial("skyBox", scene);
     skyboxMaterial.backFaceCulling = false;
-    skyboxMaterial.reflectionTexture = new BABYLON.Texture("8k_stars_milky_way.jpg", scene, true, false);
-    skyboxMaterial.reflectionTexture.coordinatesMode = BABYLON.Texture.SKYBOX_MODE;
+    if (system.background) {
+        assets.loadTexture(system.background, { noMipmap: true, invertY: false }).then(texture => {
+            if (!texture) return; // Plain black sky
+            texture.coordinatesMode = BABYLON.Texture.SKYBOX_MODE;
+            skyboxMaterial.reflectionTexture = texture;
+        });
+    }
     skyboxMaterial.diffuseColor = new BABYLON.Color3(0, 0, 0);
     skyboxMaterial.specularColor = new BABYLON.Color3(0, 0, 0);
     skybox.material = skyboxMaterial;
+    skybox.isPickable = false;
+    skybox.infiniteDistance = true; // Stays around the camera, however far out it flies
+
+    // --- Floating Origin ---
+    // Root space is relative to it (scale.js): the star is drawn at -origin, planets from there,
+    // and the game loop moves it along with the camera. ?origin=ship follows the ship instead.
+    const origin = createFloatingOrigin();
+    const originFollowsShip = urlParams.get('origin') === 'ship';
+
+    // --- Physics Constants ---
+    const G = system.physics.G;
+    const sunMass = system.star.mass;
+
+    // Sun: animated surface, corona, lens flares, and the light that casts the planets' shadows
+    const star = createSun(scene, root, system.star, assets, {
+        shadowRange: Math.max(...system.bodies.map(b => b.semiMajorAxis ?? b.distance)) * 2
+    });
+    const sun = star.mesh;
+    const sunData = { id: system.star.name, mass: sunMass, radius: system.star.radius, position: { x: 0, y: 0, z: 0 }, velocity: { x: 0, y: 0, z: 0 } };
+    const placeStar = () => {
+        sun.position.set(-origin.x, -origin.y, -origin.z);
+        Object.assign(sunData.position, { x: sun.position.x, y: sun.position.y, z: sun.position.z });
+    };
 
-    // --- Physics Constants (for asteroids) ---
-    const G = 0.1;
-    const sunMass = 1000;
-
-    // Sun
-    const sun = BABYLON.MeshBuilder.CreateSphere('sun', { diameter: 2 }, scene);
-    const sunMat = new BABYLON.StandardMaterial('sunMat', scene);
-    sunMat.emissiveColor = new BABYLON.Color3(1, 1, 0);
-    sun.material = sunMat;
-    sun.parent = root;
-    const sunData = { id: 'sun', mass: sunMass, position: { x: 0, y: 0, z: 0 }, velocity: { x: 0, y: 0, z: 0 } };
-
-    // Planets (Kinematic Orbits) - Increased distances, removed mass
-    const planetsData = [
-      { name: 'mercury', diameter: 0.4, distance: 10, speed: 0.005, angle: 0, diffuse: '8k_mercury.jpg' },
-      { name: 'venus',   diameter: 0.9, distance: 16, speed: 0.004, angle: 0, diffuse: '8k_venus_surface.jpg' },
-      { name: 'earth',   diameter: 1,   distance: 22, speed: 0.003, angle: 0, diffuse: 'earth_day.jpg', bump: 'earth_height_map.png', specular: '2k_earth_specular_map.png' },
-      { name: 'mars',    diameter: 0.7, distance: 28, speed: 0.002, angle: 0, diffuse: '8k_mars.jpg' },
-      { name: 'jupiter', diameter: 2.2, distance: 34, speed: 0.0015, angle: 0, diffuse: '8k_jupiter.jpg' },
-      { name: 'saturn',  diameter: 1.9, distance: 42, speed: 0.0012, angle: 0, diffuse: '8k_saturn.jpg' },
-      { name: 'uranus',  diameter: 1.5, distance: 50, speed: 0.0009, angle: 0, diffuse: '2k_uranus.jpg' },
-      { name: 'neptune', diameter: 1.5, distance: 58, speed: 0.0007, angle: 0, diffuse: '2k_neptune.jpg' }
-    ];
-
-    // --- Texture Loading ---
-    const textureLoadPromises = [];
-
-    // Create planet meshes and store references
-    const planets = planetsData.map(p => {
+    // Gravity mode for the physics worker: 'sun' (Sun only, kinematic planets) or
+    // 'nbody' (planets + asteroid self-gravity). Pick with ?gravity=nbody in the URL.
+    const gravityMode = settings.gravity === 'nbody' ? 'nbody' : 'sun';
+    // Integrator for the physics worker: 'euler', 'verlet' (default), 'rk4' or 'adaptive' (?integrator=rk4)
+    const integrator = settings.integrator || 'verlet';
+    // Seed of the belt layout and of collision fragments (?seed=42 reproduces a run; random otherwise)
+    const seed = settings.seed ?? String(Math.floor(Math.random() * 2 ** 32));
+
+    // Date the planets are placed for (?date=YYYY-MM-DD, defaults to now)
+    const dateParam = snapshot ? snapshot.clock.date : urlParams.get('date');
+    const ephemerisDate = dateParam && !isNaN(Date.parse(dateParam)) ? new Date(dateParam) : new Date();
+
+    // Planets (Keplerian Orbits unless gravityMode is 'nbody'), from the system file:
+    // distance: semi-major axis in scene units; mass relative to the star (only used in N-body mode).
+    // Explicit orbital elements replace the values from the J2000 table in orbits.js, which is
+    // only consulted for systems with "ephemeris": "j2000".
+    const planetsData = system.bodies;
+    const elementsDate = system.ephemeris === 'j2000' ? ephemerisDate : null;
+
+    // --- Simulation Clock ---
+    // One physics time unit lasts SECONDS_PER_PHYSICS_UNIT simulated seconds, calibrated so a
+    // circular orbit of the system's reference radius takes its reference period (one year at
+    // Earth's distance for the solar system) at every scale.
+    const clock = createSimulationClock({ startDate: ephemerisDate, warp: snapshot ? snapshot.clock.warp : undefined });
+    const SECONDS_PER_PHYSICS_UNIT = scaleModel.units.time;
+
+    // Create body meshes and store references. Every body gets its own TransformNode, placed
+    // on its orbit relative to its parent's node (root for planets), so moons follow their
+    // planet; under it an axis node tilted by the body's obliquity, and the mesh under that,
+    // spun with the clock (surface.js). systemBodies lists parents before their moons.
+    const systemBodies = [];
+    const cloudLayers = []; // { layer, periodDays }, turned in the game loop
+    // Planets are placed from the star (at -origin), moons from their planet
+    const placeNode = (body, position) => {
+        if (body.parentName) body.node.position.set(position.x, position.y, position.z);
+        else body.node.position.set(position.x - origin.x, position.y - origin.y, position.z - origin.z);
+    };
+    const createBody = (p, parent) => {
+        const node = new BABYLON.TransformNode(`${p.name}Node`, scene);
+        node.parent = parent ? parent.node : root;
+        const axis = createSpinAxis(`${p.name}Axis`, scene, node, p);
         const mesh = BABYLON.MeshBuilder.CreateSphere(p.name, { diameter: p.diameter }, scene);
-        const mat = new BABYLON.StandardMaterial(p.name + 'Mat', scene);
-
-        // Wrap texture loading in promises
-        if (p.diffuse) {
-            const diffuseTexture = new BABYLON.Texture(`./${p.diffuse}`, scene);
-            mat.diffuseTexture = diffuseTexture;
-            textureLoadPromises.push(new Promise(resolve => diffuseTexture.onLoadObservable.addOnce(resolve)));
-        }
-        if (p.bump) {
-            const bumpTexture = new BABYLON.Texture(`./${p.bump}`, scene);
-            mat.bumpTexture = bumpTexture;
-            textureLoadPromises.push(new Promise(resolve => bumpTexture.onLoadObservable.addOnce(resolve)));
+        const material = p.material || {};
+        // Bodies with city lights get the day/night shader, the rest a standard material
+        const dayNight = Boolean(material.night);
+        const mat = dayNight
+            ? createDayNightMaterial(p.name + 'Mat', scene, sun, { color: material.color })
+            : new BABYLON.StandardMaterial(p.name + 'Mat', scene);
+        const applyTexture = (slot, texture) => {
+            if (dayNight) mat.setTexture(DAY_NIGHT_SAMPLERS[slot], texture);
+            else mat[`${slot}Texture`] = texture;
+        };
+        if (!dayNight && material.emissive) mat.emissiveColor = BABYLON.Color3.FromArray(material.emissive);
+
+        // The colour tints a texture, so it only applies without one; a diffuse texture that
+        // fails to load is replaced by a procedural one in that colour. The other maps are
+        // simply left out.
+        if (!material.diffuse && material.color && !dayNight) mat.diffuseColor = BABYLON.Color3.FromArray(material.color);
+        ['diffuse', 'bump', 'specular', 'night'].forEach(slot => {
+            if (!material[slot]) return;
+            assets.loadTexture(material[slot]).then(texture => {
+                if (texture) applyTexture(slot, texture);
+                else if (slot === 'diffuse') applyTexture(slot, createFallbackTexture(p.name, scene, material.color));
+            });
+        });
+        mesh.material = mat;
+        mesh.isBlocker = true; // Hides the Sun's lens flares
+        mesh.receiveShadows = true; // Standard materials only; moons in their planet's shadow
+        star.addShadowCaster(mesh);
+
+        // Cloud layer, atmosphere and rings hang off the axis, so they share the body's tilt
+        // (rings lie in its equator) but not the spin of its mesh
+        if (p.clouds) {
+            const layer = createCloudLayer(`${p.name}Clouds`, scene, axis, p.diameter, { opacity: p.clouds.opacity });
+            assets.loadTexture(p.clouds.texture).then(texture => { if (texture) layer.setTexture(texture); });
+            if (p.clouds.periodDays) cloudLayers.push({ layer, periodDays: p.clouds.periodDays });
         }
-        if (p.specular) {
-            const specularTexture = new BABYLON.Texture(`./${p.specular}`, scene);
-            mat.specularTexture = specularTexture;
-            textureLoadPromises.push(new Promise(resolve => specularTexture.onLoadObservable.addOnce(resolve)));
+        if (p.atmosphere) createAtmosphere(`${p.name}Atmosphere`, scene, axis, sun, p.diameter, p.atmosphere);
+        if (p.rings) {
+            const rings = createRings(`${p.name}Rings`, scene, axis, mesh, sun, {
+                innerRadius: p.rings.innerRadius * p.diameter / 2,
+                outerRadius: p.rings.outerRadius * p.diameter / 2,
+                color: p.rings.color
+            });
+            if (p.rings.texture) assets.loadTexture(p.rings.texture).then(texture => { if (texture) rings.setTexture(texture); });
         }
-
-        mesh.material = mat;
-        mesh.position.x = p.distance;
-        mesh.parent = root;
-        return { ...p, mesh };
+        // Snapshot orbits are explicit elements at the snapshot date, so they win over the table
+        const savedPlanet = snapshot && snapshot.planets.find(saved => saved.name === p.name);
+        const orbit = resolveOrbit(savedPlanet ? { ...p, ...savedPlanet.orbit } : p, elementsDate);
+        const meanAnomaly = orbit.meanAnomalyAtEpoch * Math.PI / 180;
+        // Real period when known, otherwise Kepler's third law (around the parent) in physics units
+        const centralMass = parent ? parent.mass : sunMass;
+        const periodSeconds = orbit.periodDays !== null
+            ? orbit.periodDays * SECONDS_PER_DAY
+            : 2 * Math.PI * Math.sqrt(orbit.semiMajorAxis ** 3 / (G * centralMass)) * SECONDS_PER_PHYSICS_UNIT;
+        mesh.parent = axis;
+
+        const body = {
+            ...p,
+            parentName: parent ? parent.name : null,
+            orbit,
+            meanAnomaly,
+            meanMotion: 2 * Math.PI / periodSeconds,
+            node,
+            axis,
+            mesh,
+            position: new BABYLON.Vector3(0, 0, 0) // Position in root space, see updateBodyPositions
+        };
+        placeNode(body, orbitalState(orbit, meanAnomaly).position);
+        systemBodies.push(body);
+        (p.moons || []).forEach(moon => createBody(moon, body));
+        return body;
+    };
+    const planets = planetsData.map(p => createBody(p, null));
+    const moons = systemBodies.filter(b => b.parentName);
+    const bodiesByName = {};
+    systemBodies.forEach(b => bodiesByName[b.name] = b);
+
+    // Root-space positions, relative to the floating origin (parents first, so a moon adds its
+    // offset to its planet's)
+    const updateBodyPositions = () => systemBodies.forEach(b => {
+        b.position.copyFrom(b.node.position);
+        if (b.parentName) b.position.addInPlace(bodiesByName[b.parentName].position);
     });
+    updateBodyPositions();
+
+    // Spin and cloud rotation at a date (after updateBodyPositions: locked bodies face their
+    // parent, planets the star)
+    const toParent = new BABYLON.Vector3();
+    const spinBodies = (date) => {
+        systemBodies.forEach(b => {
+            const parentPosition = b.parentName ? bodiesByName[b.parentName].position : sun.position;
+            parentPosition.subtractToRef(b.position, toParent);
+            spinBody(b, date, toParent);
+        });
+        cloudLayers.forEach(({ layer, periodDays }) => spinCloudLayer(layer, periodDays, date));
+    };
+    spinBodies(ephemerisDate);
 
     // --- Wait for Planet Textures ---
-    await Promise.all(textureLoadPromises);
-    console.log("Planet textures loaded.");
+    await assets.whenIdle();
 
     // --- Asteroids (Generate AFTER planet textures are loaded) ---
-    const asteroidCount = 500;
-    const asteroidBeltMinRadius = 35;
-    const asteroidBeltMaxRadius = 41;
-    const asteroidBeltHeight = 1.0;
-
-    const vec3Length = (v) => Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
-    const vec3Normalize = (v) => {
-        const len = vec3Length(v);
-        return len > 0 ? { x: v.x / len, y: v.y / len, z: v.z / len } : { x: 0, y: 0, z: 0 };
-    };
-    const vec3Scale = (v, s) => ({ x: v.x * s, y: v.y * s, z: v.z * s });
+    // Belts from the system file; a URL parameter named after a belt overrides its count
+    // (?asteroids=50000&kuiper=20000). All are drawn as thin instances of a few rock shapes.
+    const belts = system.belts.map(belt => {
+        const count = parseInt(urlParams.get(belt.name), 10);
+        return Number.isFinite(count) && count >= 0 ? { ...belt, count } : belt;
+    });
+    const restoredAsteroids = snapshot ? unpackBodies(snapshot.asteroids) : null;
+    const asteroidCount = restoredAsteroids ? restoredAsteroids.length : belts.reduce((sum, belt) => sum + belt.count, 0);
 
-    const asteroidMat = new BABYLON.StandardMaterial("asteroidMat", scene);
-    asteroidMat.diffuseColor = new BABYLON.Color3(0.6, 0.6, 0.6);
-    asteroidMat.specularColor = new BABYLON.Color3(0.2, 0.2, 0.2);
+    const vec3Scale = (v, s) => ({ x: v.x * s, y: v.y * s, z: v.z * s });
 
-    const asteroidMeshes = {};
+    const asteroidBelt = createAsteroidBelt(scene, root);
     const asteroidPhysicsData = [];
-    const INITIAL_SPEED_BOOST_FACTOR = 1.01;
-
-    for (let i = 0; i < asteroidCount; i++) {
-        const id = `asteroid_${i}`;
-        const radius = asteroidBeltMinRadius + Math.random() * (asteroidBeltMaxRadius - asteroidBeltMinRadius);
-        const angle = Math.random() * Math.PI * 2;
-        const height = (Math.random() - 0.5) * asteroidBeltHeight;
-        const size = 0.05 + Math.random() * 0.1;
-
-        const mesh = BABYLON.MeshBuilder.CreateIcoSphere(id, { radius: size, subdivisions: 2 }, scene);
-        mesh.material = asteroidMat;
-        const initialPosition = { x: Math.cos(angle) * radius, y: height, z: Math.sin(angle) * radius };
-        mesh.position = new BABYLON.Vector3(initialPosition.x, initialPosition.y, initialPosition.z);
-        mesh.parent = root;
-        asteroidMeshes[id] = mesh;
-
-        const rVec = { x: initialPosition.x, y: 0, z: initialPosition.z };
-        const rMag = vec3Length(rVec);
-        let initialVelocity = { x: 0, y: 0, z: 0 };
-        if (rMag > 0.01) {
-             const orbitalSpeedMag = Math.sqrt(G * sunMass / rMag) * INITIAL_SPEED_BOOST_FACTOR;
-             const tangentDir = vec3Normalize({ x: -rVec.z, y: 0, z: rVec.x });
-             initialVelocity = vec3Scale(tangentDir, orbitalSpeedMag);
-        }
-
-        const mass = size * size * size * 5;
-
-        asteroidPhysicsData.push({
-            id: id,
-            mass: mass,
-            position: initialPosition,
-            velocity: initialVelocity
+    // Only the legacy Euler integrator needs the nudge; the others hold circular orbits on their own
+    const INITIAL_SPEED_BOOST_FACTOR = integrator === 'euler' ? 1.01 : 1.0;
+
+    if (restoredAsteroids) {
+        restoredAsteroids.forEach(body => {
+            asteroidBelt.add(body.id, body.radius, body.position);
+            asteroidPhysicsData.push(body);
+        });
+    } else {
+        belts.forEach(belt => {
+            generateBelt(belt, { G, starMass: sunMass, seed, speedFactor: INITIAL_SPEED_BOOST_FACTOR }).forEach(body => {
+                asteroidBelt.add(body.id, body.radius, body.position);
+                asteroidPhysicsData.push(body);
+            });
         });
     }
 
+    // --- Planet Physics Data (N-body mode only: start from each planet's Keplerian state) ---
+    const planetPhysicsData = gravityMode === 'nbody' ? planets.map(p => {
+        const saved = snapshot && snapshot.planets.find(s => s.name === p.name && s.position);
+        if (saved) return { id: p.name, mass: p.mass, radius: p.diameter / 2, position: saved.position, velocity: saved.velocity };
+        const { position, velocity } = orbitalState(p.orbit, p.meanAnomaly, G * sunMass);
+        return { id: p.name, mass: p.mass, radius: p.diameter / 2, position, velocity };
+    }) : [];
+    // Moons stay on their Keplerian orbits around the parent (stylized distances are far outside
+    // the planets' Hill spheres, so they could not hold a real orbit); in N-body mode the worker
+    // places them around its simulated planets and lets them pull on the asteroids
+    const moonPhysicsData = moons.map(m => ({
+        id: m.name,
+        parent: m.parentName,
+        mass: m.mass,
+        radius: m.diameter / 2,
+        orbit: m.orbit,
+        meanAnomaly: m.meanAnomaly,
+        meanMotion: m.meanMotion * SECONDS_PER_PHYSICS_UNIT // Radians per physics time unit
+    }));
+
+    // --- Collisions (detected and resolved in the worker) ---
+    // Swap belt instances for removed/created asteroids, flash at the impact, and respawn the ship
+    // if it flew into the Sun or a planet. Uses `flight`/`respawnShip`, set up with the ship below.
+    // Collisions that arrive during a replay wait for its end (recorder.whenLive), without the flash.
+    // Worker positions are relative to the origin it knew of when it sent them; the origin may
+    // have moved on since (a recentre crossing the message), which this offset makes up for
+    const workerOffset = (workerOrigin) => ({ x: workerOrigin.x - origin.x, y: workerOrigin.y - origin.y, z: workerOrigin.z - origin.z });
+    const addOffset = (position, offset) => ({ x: position.x + offset.x, y: position.y + offset.y, z: position.z + offset.z });
+    const handleCollision = (event, offset, late = false) => {
+        event.removed.forEach(id => {
+            asteroidBelt.remove(id);
+            const index = asteroidPhysicsData.findIndex(p => p.id === id);
+            if (index >= 0) asteroidPhysicsData.splice(index, 1);
+        });
+        event.created.forEach(body => {
+            const position = addOffset(body.position, offset);
+            asteroidBelt.add(body.id, body.radius, position);
+            asteroidPhysicsData.push({ ...body, position });
+        });
+
+        const crashed = event.kind === 'ship' && (event.target === sunData.id || bodiesByName[event.target]);
+        const flashSize = crashed ? 3 : Math.max(0.3, event.created.reduce((r, b) => Math.max(r, b.radius), 0) * 4);
+        if (!late) playImpactFlash(scene, root, addOffset(event.position, offset), flashSize);
+        if (crashed) respawnShip();
+    };
+
     // --- Physics Worker Setup (Initialize AFTER planet textures and asteroid data are ready) ---
     let physicsWorker = null;
+    let trajectoryPlanner = null; // Created with the ship below; predictions come back through the worker
+    const physicsDiagnostics = {}; // Latest energy / angular momentum report from the worker
+    // Asteroid states arrive as Float32Arrays in the order of the latest 'layout' message; past the
+    // shared buffer's capacity the worker falls back to transferring them (transport.js)
+    const sharedState = canShareMemory() ? createSharedState(Math.max(asteroidCount * 4, 4096)) : null;
+    const stateReader = createStateReader(sharedState);
+    let asteroidLayoutVersion = 0;
+    const pendingSnapshots = new Map(); // requestId -> resolve, for captureSnapshot()
+    let selected = null; // Clicked object, { kind: 'star'|'body'|'asteroid'|'ship', id, point? }; see Selection below
+    let inspectedAsteroid = null; // Latest worker state of a selected asteroid
+    let nextSnapshotRequest = 1;
     if (window.Worker) {
-        physicsWorker = new Worker('physics.worker.js');
+        physicsWorker = new Worker('physics.worker.js', { type: 'module' });
 
+        // The worker simulates in SI (scale.js has the units); the setup is still heliocentric,
+        // the origin has not moved yet. Softening and the smallest fragment follow the rock sizes.
+        const smallestRock = belts.length ? Math.min(...belts.map(belt => belt.minSize)) : undefined;
         physicsWorker.postMessage({
             type: 'init',
             payload: {
+                units: scaleModel.units,
+                origin: { x: origin.x, y: origin.y, z: origin.z },
+                softening: smallestRock,
+                minFragmentRadius: smallestRock && smallestRock * 0.4,
+                maxStep: 0.05,
                 bodies: asteroidPhysicsData,
-                sun: sunData
+                sun: sunData,
+                mode: gravityMode,
+                planets: planetPhysicsData,
+                moons: moonPhysicsData,
+                integrator: integrator,
+                seed,
+                shared: sharedState,
+                restore: snapshot ? snapshot.worker : undefined
             }
         });
 
         physicsWorker.onmessage = function(e) {
             const { type, payload } = e.data;
-            if (type === 'update') {
-                payload.bodies.forEach(bodyUpdate => {
-                    const mesh = asteroidMeshes[bodyUpdate.id];
-                    if (mesh) {
-                        mesh.position.x = bodyUpdate.position.x;
-                        mesh.position.y = bodyUpdate.position.y;
-                        mesh.position.z = bodyUpdate.position.z;
-                        const pData = asteroidPhysicsData.find(p => p.id === bodyUpdate.id);
-                        if(pData) pData.velocity = bodyUpdate.velocity;
-                    }
+            // Asteroid layouts, states and collisions reach the belt through the flight
+            // recorder, which holds them back during a replay
+            if (type === 'layout') {
+                asteroidLayoutVersion = payload.version;
+                recorder.setLayout(payload.ids);
+            } else if (type === 'update') {
+                if (payload.sharedOverflow) {
+                    console.warn(`More than ${payload.sharedOverflow} asteroids: the shared state buffer is full, switched to the slower transfer mode.`);
+                }
+                const frame = stateReader.read(payload, asteroidLayoutVersion);
+                if (frame) {
+                    // Tumble in real time, backwards while the clock runs in reverse
+                    const spinDt = engine.getDeltaTime() / 1000 * clock.direction;
+                    recorder.updateAsteroids(frame.positions, frame.count, spinDt, workerOffset(frame.origin));
+                }
+                // N-body mode: planets are simulated in the worker too
+                const offset = workerOffset(payload.origin);
+                payload.planets.forEach(planetUpdate => {
+                    const planet = bodiesByName[planetUpdate.id];
+                    if (!planet) return;
+                    const position = addOffset(planetUpdate.position, offset);
+                    planet.node.position.set(position.x, position.y, position.z);
+                    planet.velocity = planetUpdate.velocity;
                 });
+                Object.assign(physicsDiagnostics, payload.diagnostics);
+            } else if (type === 'collision') {
+                const offset = workerOffset(payload.origin);
+                recorder.whenLive(late => payload.events.forEach(event => handleCollision(event, offset, late)));
+            } else if (type === 'prediction' && trajectoryPlanner) {
+                trajectoryPlanner.handlePrediction(payload);
+            } else if (type === 'snapshot') {
+                const resolve = pendingSnapshots.get(payload.requestId);
+                pendingSnapshots.delete(payload.requestId);
+                if (resolve) resolve(payload);
+            } else if (type === 'inspect') {
+                if (!selected || selected.id !== payload.id) return;
+                if (payload.body) inspectedAsteroid = payload.body;
+                else select(null); // Merged, shattered or absorbed
             }
         };
 
@@ -167,16 +420,230 @@ export async function createScene(engine, canvas) {
     }
 
     // --- Ship ---
-    // Use the imported function - can pass options here if desired
-    // e.g., const ship = createSpaceship(scene, { bodyLength: 1.2, wingSpan: 2.0 });
-    const ship = createSpaceship(scene); // Creates ship with default parameters
+    // Built to the design last chosen in the hangar (hangar.js), the default ship otherwise
+    const ship = createSpaceship(scene, loadShipDesign());
     ship.parent = root;
 
+    // Flight model: start on a circular orbit around the Sun, pulled by the Sun and planets.
+    // Start positions (and snapshot positions) are heliocentric; the origin is still at the star.
+    // Engines grow with the layout, so crossing it takes about as long at every scale.
+    const shipStartPosition = new BABYLON.Vector3(0, 0, -scaleModel.distance(-ship.position.z));
+    const shipOrbitalSpeed = Math.sqrt(G * sunMass / shipStartPosition.length());
+    const shipStartVelocity = new BABYLON.Vector3(-shipStartPosition.z, 0, shipStartPosition.x).normalize().scale(shipOrbitalSpeed);
+    ship.position.copyFrom(shipStartPosition);
+    const flight = createFlightModel(ship, { velocity: shipStartVelocity, scale: scaleModel.lengthFactor });
+    const measureShip = () => {
+        const bounds = ship.getHierarchyBoundingVectors();
+        return Math.max(...bounds.max.subtract(bounds.min).asArray()) / 2;
+    };
+    let shipRadius = measureShip();
+    // Crashed into the Sun or a planet: start over on the initial orbit with a full tank
+    function respawnShip() {
+        flight.reset(shipStartPosition.subtract(new BABYLON.Vector3(origin.x, origin.y, origin.z)), shipStartVelocity);
+    }
+    if (snapshot) {
+        const saved = snapshot.ship;
+        flight.reset(BABYLON.Vector3.FromArray(saved.position), BABYLON.Vector3.FromArray(saved.velocity));
+        if (saved.rotation) ship.rotationQuaternion.copyFrom(BABYLON.Quaternion.FromArray(saved.rotation));
+        if (saved.angularVelocity) flight.state.angularVelocity.copyFrom(BABYLON.Vector3.FromArray(saved.angularVelocity));
+        if (Number.isFinite(saved.fuel)) flight.state.fuel = Math.min(saved.fuel, flight.config.fuelMass);
+    }
+    // Hangar: live design changes rebuild the mesh and refit the flight model; the collision
+    // radius and the orbit camera distance follow the new size
+    const hangar = createHangar(ship, flight, {
+        onRefit: () => {
+            shipRadius = measureShip();
+            const target = cameras.targets.find(t => t.id === 'ship');
+            target.radius = shipRadius;
+        }
+    });
+    const shipGravityAt = pointMassGravity(G, [
+        sunData,
+        ...systemBodies.map(b => ({ mass: b.mass, radius: b.diameter / 2, position: b.position }))
+    ]);
+
+    // Predicted orbit + maneuver nodes (the prediction is computed in the physics worker)
+    if (physicsWorker) {
+        trajectoryPlanner = createTrajectoryPlanner({
+            scene, root, worker: physicsWorker, flight, clock, bodies: systemBodies, origin,
+            mu: G * sunMass,
+            secondsPerPhysicsUnit: SECONDS_PER_PHYSICS_UNIT,
+            scale: scaleModel.lengthFactor
+        });
+    }
+
+    // --- Selection ---
+    // Click (tap) the Sun, a planet or moon, an asteroid or the ship. Tiny asteroids are also
+    // found by proximity on screen; a body also remembers the point clicked on its surface.
+    // selectionInfo() reports live data for the info panel.
+    const overlay = createOrbitOverlay(scene, root, systemBodies, options.labelContainer || document.body);
+    const surfaceOverlays = createSurfaceOverlays(scene, systemBodies);
+    const VELOCITY_ARROW_TIME = 2; // The arrow shows the distance covered in this many physics time units
+    const INSPECT_INTERVAL_MS = 250; // How often a selected asteroid's state is requested
+    let lastInspect = 0;
+    function select(target) {
+        selected = target;
+        inspectedAsteroid = null;
+        overlay.setHighlighted(target && target.kind === 'body' ? target.id : null);
+        overlay.hideVector();
+    }
+    const selectableFromMesh = (mesh) => {
+        for (let m = mesh; m; m = m.parent) { // Ship parts and such are children of what they belong to
+            if (m === ship) return { kind: 'ship', id: 'ship' };
+            if (m === sun) return { kind: 'star', id: sunData.id };
+            const body = systemBodies.find(b => b.mesh === m);
+            if (body) return { kind: 'body', id: body.name };
+        }
+        return null;
+    };
+    scene.onPointerObservable.add(pointerInfo => {
+        if (pointerInfo.type !== BABYLON.PointerEventTypes.POINTERTAP) return;
+        // XR controllers pick along their ray and pass the result; in-world menus handle their own clicks
+        const xrPick = pointerInfo.pickInfo && scene.activeCamera.getClassName() === 'WebXRCamera';
+        const pick = xrPick ? pointerInfo.pickInfo : scene.pick(scene.pointerX, scene.pointerY);
+        if (pick.hit && pick.pickedMesh.metadata && pick.pickedMesh.metadata.menu) return;
+        let target = null;
+        if (pick.hit) {
+            const asteroidId = asteroidBelt.idAt(pick.pickedMesh, pick.thinInstanceIndex);
+            target = asteroidId ? { kind: 'asteroid', id: asteroidId } : selectableFromMesh(pick.pickedMesh);
+            // Where on the body, in its mesh's space (so the point turns with it)
+            const body = target && target.kind === 'body' && bodiesByName[target.id];
+            if (body && pick.pickedMesh === body.mesh) target.point = toSurfaceSpace(body.mesh, pick.pickedPoint);
+        }
+        if (!target && !xrPick) {
+            const asteroidId = asteroidBelt.nearestOnScreen(scene.pointerX, scene.pointerY, 10);
+            if (asteroidId) target = { kind: 'asteroid', id: asteroidId };
+        }
+        select(target);
+    });
+
+    // Name, mass, distance from the Sun, speed (scene units per day), orbital period (days) and
+    // eccentricity of the selection; heliocentric osculating elements for free-flying objects.
+    // A clicked surface point adds its latitude, longitude (degrees) and local solar time (hours).
+    function selectionInfo() {
+        if (!selected) return null;
+        const mu = G * sunMass;
+        const daysPerUnit = SECONDS_PER_PHYSICS_UNIT / SECONDS_PER_DAY; // Physics time unit in days
+        const length = (v) => Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+        const heliocentric = (p) => ({ x: p.x + origin.x, y: p.y + origin.y, z: p.z + origin.z });
+        // position in root space (relative to the floating origin)
+        const freeFlying = (mass, position, velocity) => {
+            const elements = elementsFromState(heliocentric(position), velocity, mu);
+            return {
+                mass,
+                distance: length(heliocentric(position)),
+                speed: length(velocity) / daysPerUnit,
+                periodDays: elements.period === null ? null : elements.period * daysPerUnit,
+                eccentricity: elements.eccentricity
+            };
+        };
+        const info = { name: selected.id, kind: selected.kind, parent: null };
+        if (selected.kind === 'star') {
+            return { ...info, mass: sunMass, distance: 0, speed: 0, periodDays: null, eccentricity: null };
+        }
+        if (selected.kind === 'ship') {
+            return { ...info, ...freeFlying(flight.mass, flight.state.position, flight.state.velocity) };
+        }
+        if (selected.kind === 'asteroid') {
+            if (!inspectedAsteroid) return { ...info, mass: null, distance: null, speed: null, periodDays: null, eccentricity: null };
+            const position = asteroidBelt.positionOf(selected.id) || inspectedAsteroid.position;
+            return { ...info, ...freeFlying(inspectedAsteroid.mass, position, inspectedAsteroid.velocity) };
+        }
+        const body = bodiesByName[selected.id];
+        if (selected.point) {
+            info.surface = {
+                ...surfaceCoordinates(selected.point),
+                localTime: localSolarTime(selected.point, toSurfaceSpace(body.mesh, sun.getAbsolutePosition()))
+            };
+        }
+        if (gravityMode === 'nbody' && !body.parentName && body.velocity) {
+            return { ...info, ...freeFlying(body.mass, body.position, body.velocity) };
+        }
+        // Keplerian: speed and period around the parent
+        const centralMass = body.parentName ? bodiesByName[body.parentName].mass : sunMass;
+        const { velocity } = orbitalState(body.orbit, body.meanAnomaly, G * centralMass);
+        return {
+            ...info,
+            parent: body.parentName,
+            mass: body.mass,
+            distance: length(heliocentric(body.position)),
+            speed: length(velocity) / daysPerUnit,
+            periodDays: 2 * Math.PI / body.meanMotion / SECONDS_PER_DAY,
+            eccentricity: body.orbit.eccentricity
+        };
+    }
+
+    // --- Snapshots ---
+    // Clock, planet orbits and ship are read right away; the asteroids (and N-body planets)
+    // come from the worker, which answers after the ticks already sent, i.e. at the same time
+    function captureSnapshot() {
+        if (!physicsWorker) return Promise.reject(new Error('Snapshots need the physics worker'));
+        const base = {
+            format: SNAPSHOT_FORMAT,
+            version: SNAPSHOT_VERSION,
+            savedAt: new Date().toISOString(),
+            settings: { system: systemUrl, gravity: gravityMode, integrator, seed, scale: scaleModel.mode },
+            clock: { date: clock.date.toISOString(), warp: clock.warp },
+            planets: systemBodies.map(p => {
+                const meanAnomaly = p.orbit.meanAnomalyAtEpoch + p.meanMotion * clock.elapsed * 180 / Math.PI;
+                return { name: p.name, orbit: { ...p.orbit, meanAnomalyAtEpoch: ((meanAnomaly % 360) + 360) % 360 } };
+            }),
+            ship: {
+                position: flight.state.position.add(new BABYLON.Vector3(origin.x, origin.y, origin.z)).asArray(), // Heliocentric
+                velocity: flight.state.velocity.asArray(),
+                rotation: ship.rotationQuaternion.asArray(),
+                angularVelocity: flight.state.angularVelocity.asArray(),
+                fuel: flight.state.fuel
+            }
+        };
+        const requestId = nextSnapshotRequest++;
+        return new Promise(resolve => {
+            pendingSnapshots.set(requestId, resolve);
+            physicsWorker.postMessage({ type: 'snapshot', payload: { requestId } });
+        }).then(state => {
+            state.planets.forEach(simulated => {
+                const saved = base.planets.find(p => p.name === simulated.id);
+                if (saved) Object.assign(saved, { position: simulated.position, velocity: simulated.velocity });
+            });
+            return {
+                ...base,
+                asteroids: packBodies(state.bodies),
+                worker: { simTime: state.simTime, nextFragmentId: state.nextFragmentId }
+            };
+        });
+    }
+
     // --- Controls ---
-    const inputMap = {};
-    scene.actionManager = new BABYLON.ActionManager(scene);
-    scene.actionManager.registerAction(new BABYLON.ExecuteCodeAction(BABYLON.ActionManager.OnKeyDownTrigger, evt => inputMap[evt.sourceEvent.key.toLowerCase()] = true));
-    scene.actionManager.registerAction(new BABYLON.ExecuteCodeAction(BABYLON.ActionManager.OnKeyUpTrigger, evt => inputMap[evt.sourceEvent.key.toLowerCase()] = false));
+    // Keyboard, gamepad, touch and XR controllers through remappable actions (input.js)
+    const input = createInputManager(scene, { touchContainer: options.touchContainer });
+    const CRUISE_THROTTLE = 0.5; // Main engine setting at full thrust input; boost opens it fully
+
+    // --- Floating Origin Rebase ---
+    // Moves the origin onto what the camera looks at (or the ship) once that strays too far,
+    // and everything drawn from absolute positions along with it. XR sessions anchor the scene
+    // to the room, so they go back to the star instead.
+    const rebaseOrigin = () => {
+        const camera = scene.activeCamera;
+        let shift;
+        if (camera.getClassName() === 'WebXRCamera') {
+            if (!origin.x && !origin.y && !origin.z) return;
+            shift = origin.reset();
+        } else {
+            const focus = originFollowsShip ? ship.position
+                : camera instanceof BABYLON.ArcRotateCamera ? camera.target : camera.globalPosition;
+            shift = origin.recenter(focus);
+        }
+        if (!shift) return;
+        const delta = new BABYLON.Vector3(shift.x, shift.y, shift.z);
+        ship.position.subtractInPlace(delta);
+        planets.forEach(p => p.node.position.subtractInPlace(delta));
+        updateBodyPositions();
+        placeStar();
+        asteroidBelt.shift(shift);
+        cameras.shift(shift);
+        overlay.setOrigin(origin);
+        if (physicsWorker) physicsWorker.postMessage({ type: 'origin', payload: { x: origin.x, y: origin.y, z: origin.z } });
+    };
 
     // --- Game Loop ---
     let lastTime = performance.now();
@@ -185,44 +652,140 @@ export async function createScene(engine, canvas) {
         const deltaTime = (currentTime - lastTime) / 1000.0;
         lastTime = currentTime;
 
-        // Update Planets (Kinematic)
-        planets.forEach(p => {
-            p.angle += p.speed;
-            p.mesh.position.x = Math.cos(p.angle) * p.distance;
-            p.mesh.position.z = Math.sin(p.angle) * p.distance;
-            p.mesh.position.y = 0;
+        // Replaying a recording: the live simulation holds still meanwhile
+        if (recorder.replaying) {
+            recorder.update(deltaTime, 0);
+            updateBodyPositions();
+            spinBodies(recorder.date);
+            surfaceOverlays.update(sun.position);
+            return;
+        }
+        rebaseOrigin();
+
+        // Advance the shared simulation clock (handles pause, step, reverse and warp)
+        const simDeltaTime = clock.advance(deltaTime);
+
+        // Update Planets and Moons (Keplerian, relative to the parent; the worker moves the
+        // planets in N-body mode)
+        systemBodies.forEach(p => {
+            if (gravityMode === 'nbody' && !p.parentName) return;
+            p.meanAnomaly = p.orbit.meanAnomalyAtEpoch * Math.PI / 180 + p.meanMotion * clock.elapsed;
+            placeNode(p, orbitalState(p.orbit, p.meanAnomaly).position);
         });
+        updateBodyPositions();
+        spinBodies(clock.date);
+        surfaceOverlays.update(sun.position);
 
-        // Send tick to physics worker (for asteroids)
-        if (physicsWorker) {
-            const stableDeltaTime = Math.min(deltaTime, 0.05);
+        // Send tick to physics worker (for asteroids), converted to physics time units
+        if (physicsWorker && simDeltaTime !== 0) {
+             const recycle = stateReader.takeRecycled(); // Spent state buffers go back for reuse
              physicsWorker.postMessage({
                  type: 'tick',
                  payload: {
-                     dt: stableDeltaTime
+                     dt: simDeltaTime / SECONDS_PER_PHYSICS_UNIT,
+                     recycle,
+                     // Collision shapes the worker does not simulate itself
+                     planets: gravityMode === 'nbody' ? [] : systemBodies.map(p => ({
+                         id: p.name,
+                         radius: p.diameter / 2,
+                         position: { x: p.position.x, y: p.position.y, z: p.position.z }
+                     })),
+                     ship: {
+                         radius: shipRadius,
+                         position: { x: ship.position.x, y: ship.position.y, z: ship.position.z },
+                         velocity: { x: flight.state.velocity.x, y: flight.state.velocity.y, z: flight.state.velocity.z }
+                     }
                  }
-             });
+             }, recycle);
+        }
+
+        // Ship controls fed into the flight model: forward thrust is the main engine, reverse
+        // thrust and strafe/lift the RCS jets
+        const command = input.read();
+        flight.update({
+            throttle: Math.max(0, command.thrust) * (command.boost ? 1 : CRUISE_THROTTLE),
+            translate: { x: command.strafe, y: command.lift, z: Math.min(0, command.thrust) },
+            rotate: { x: command.pitch, y: command.yaw, z: command.roll }
+        }, simDeltaTime / SECONDS_PER_PHYSICS_UNIT, Math.min(deltaTime, 0.1), shipGravityAt);
+
+        // Execute due maneuver nodes and keep the predicted path fresh
+        if (trajectoryPlanner) trajectoryPlanner.update();
+
+        // Selected asteroid: poll its state from the worker, keep its velocity arrow on the rock
+        if (selected && selected.kind === 'asteroid' && physicsWorker && currentTime - lastInspect > INSPECT_INTERVAL_MS) {
+            lastInspect = currentTime;
+            physicsWorker.postMessage({ type: 'inspect', payload: { id: selected.id } });
         }
+        const arrowStart = inspectedAsteroid && asteroidBelt.positionOf(selected.id);
+        if (arrowStart) overlay.showVector(arrowStart, vec3Scale(inspectedAsteroid.velocity, VELOCITY_ARROW_TIME));
+
+        recorder.update(deltaTime, simDeltaTime);
+    });
 
-        // Ship controls update
-        const speed = 0.1, rot = 0.02;
-        if (inputMap['w']) ship.translate(BABYLON.Axis.Z, speed, BABYLON.Space.LOCAL);
-        if (inputMap['s']) ship.translate(BABYLON.Axis.Z, -speed, BABYLON.Space.LOCAL);
-        if (inputMap['a']) ship.rotate(BABYLON.Axis.Y, -rot, BABYLON.Space.LOCAL);
-        if (inputMap['d']) ship.rotate(BABYLON.Axis.Y, rot, BABYLON.Space.LOCAL);
-        if (inputMap['r']) ship.translate(BABYLON.Axis.Y, speed, BABYLON.Space.LOCAL);
-        if (inputMap['f']) ship.translate(BABYLON.Axis.Y, -speed, BABYLON.Space.LOCAL);
+    // --- Cameras ---
+    // Isometric overview (the default), orbit camera following the ship or any body, chase and cockpit
+    const cameras = createCameraRig(scene, canvas, {
+        ship,
+        scale: scaleModel.lengthFactor,
+        targets: [
+            { id: 'ship', node: ship, radius: shipRadius },
+            { id: sunData.id, node: sun, radius: system.star.radius },
+            ...systemBodies.map(b => ({ id: b.name, node: b.mesh, radius: b.diameter / 2 }))
+        ]
     });
 
-    const isoCam = new BABYLON.ArcRotateCamera('isoCam', Math.PI/4, Math.PI/4, 50, BABYLON.Vector3.Zero(), scene);
-    isoCam.mode = BABYLON.Camera.ORTHOGRAPHIC_CAMERA;
-    const ratio = engine.getRenderWidth() / engine.getRenderHeight();
-    const size = 20;
-    isoCam.orthoLeft = -size * ratio;
-    isoCam.orthoRight = size * ratio;
-    isoCam.orthoTop = size;
-    isoCam.orthoBottom = -size;
-    isoCam.attachControl(canvas, true);
-
-    return { scene, isoCam, root, skybox };
+    // --- Flight Recorder ---
+    // Samples the ship, bodies, asteroids and view while the simulation runs, for replays
+    const recorder = createFlightRecorder(scene, { ship, bodies: systemBodies, asteroidBelt, clock, cameras, origin });
+
+    // --- Graphics Quality ---
+    // HDR bloom with ACES tone mapping, and shadows. Both default to on where the GPU can render
+    // to float textures and the device has memory to spare; override with ?hdr=0/1 and ?shadows=0/1.
+    const caps = engine.getCaps();
+    const capableDevice = Boolean(caps.textureHalfFloatRender || caps.textureFloatRender) && (navigator.deviceMemory ?? 8) >= 4;
+    const qualityFlag = (name) => urlParams.has(name) ? urlParams.get(name) !== '0' : capableDevice;
+    let renderPipeline = null;
+    const graphics = {
+        get hdr() { return Boolean(renderPipeline); },
+        get shadows() { return star.shadows; },
+
+        /** Creates or disposes the post-processing pipeline (for every camera in the scene). */
+        setHdr(enabled) {
+            if (enabled === Boolean(renderPipeline)) return;
+            if (!enabled) {
+                renderPipeline.dispose();
+                renderPipeline = null;
+                return;
+            }
+            renderPipeline = new BABYLON.DefaultRenderingPipeline('hdrPipeline', true, scene, scene.cameras);
+            renderPipeline.bloomEnabled = true;
+            renderPipeline.bloomThreshold = 0.8;
+            renderPipeline.bloomWeight = 0.6;
+            renderPipeline.bloomKernel = 64;
+            renderPipeline.bloomScale = 0.5;
+            renderPipeline.imageProcessingEnabled = true;
+            renderPipeline.imageProcessing.toneMappingEnabled = true;
+            renderPipeline.imageProcessing.toneMappingType = BABYLON.ImageProcessingConfiguration.TONEMAPPING_ACES;
+        },
+
+        setShadows(enabled) {
+            star.setShadows(enabled);
+        }
+    };
+    graphics.setHdr(qualityFlag('hdr'));
+    graphics.setShadows(qualityFlag('shadows'));
+
+    const selection = {
+        get selected() { return selected; },
+        // Everything selectable by name, in the camera target order
+        choices: [
+            { kind: 'ship', id: 'ship' },
+            { kind: 'star', id: sunData.id },
+            ...systemBodies.map(b => ({ kind: 'body', id: b.name }))
+        ],
+        select,
+        info: selectionInfo
+    };
+
+    return { scene, cameras, root, skybox, assets, graphics, overlay, surface: surfaceOverlays, selection, input, asteroidBelt, physicsDiagnostics, clock, ship, flight, hangar, trajectoryPlanner, recorder, captureSnapshot, scale: scaleModel, origin };
 }
\ No newline at end of file
@@ -0,0 +1,909 @@
+// simulation.js
+// The physics core: Sun gravity with an optional full N-body mode, a choice of integrators,
+// collisions and trajectory prediction, plus the seeded asteroid belt generator.
+// ('sun'   -> Sun->Asteroid gravity only, planets stay kinematic on the main thread)
+// ('nbody' -> planets become massive bodies integrated here, asteroids also feel each
+//             other through a Barnes-Hut octree, and the planets' moons, which ride
+//             Keplerian orbits around their simulated parents)
+// Integrators ('integrator' in the init setup): 'euler', 'verlet' (default), 'rk4', 'adaptive'
+// After each step, collisions between asteroids, planets, the Sun and the ship are resolved
+// (merge / fragmentation / absorption) and returned as events.
+// Plain ES module without browser APIs: physics.worker.js drives it from its messages, and it
+// runs as is in Node. Everything random comes from a seeded generator (random.js), so the
+// same seed, setup and steps give the same bodies.
+// Units are SI (metres, kilograms, seconds) unless init() is given another G; the lengths in
+// the setup (softening, maxStep, minFragmentRadius) must then be in the same units.
+import { orbitalState } from './orbits.js';
+import { hashString, seededRandom } from './random.js';
+
+// Constants
+const DEFAULT_THETA = 0.7; // Barnes-Hut opening angle (0 = exact, larger = faster/rougher)
+const G_SI = 6.6743e-11; // m^3 kg^-1 s^-2
+const DEFAULT_SOFTENING = 1e4; // Plummer softening length for asteroid-asteroid gravity (m)
+const INTEGRATORS = ['euler', 'verlet', 'rk4', 'adaptive'];
+const ADAPTIVE_MAX_SUBSTEPS = 64; // Per step; past this the adaptive integrator accepts the error
+const DEFAULT_MAX_STEP = 21600; // Longest fixed integrator step (s); longer steps are split into sub-steps
+const DEFAULT_MIN_FRAGMENT_RADIUS = 1000; // Fragments smaller than this (m) are lost as dust
+const GRAVITY_CORE = 0.3; // Point-mass gravity is capped inside this fraction of the source's radius
+
+// Basic Vector operations (can be replaced with a library if needed)
+const vec3 = {
+    create: (x = 0, y = 0, z = 0) => ({ x, y, z }),
+    subtract: (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z }),
+    add: (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z }),
+    scale: (v, s) => ({ x: v.x * s, y: v.y * s, z: v.z * s }),
+    lengthSq: (v) => v.x * v.x + v.y * v.y + v.z * v.z,
+    length: (v) => Math.sqrt(vec3.lengthSq(v)),
+    normalize: (v) => {
+        const len = vec3.length(v);
+        return len > 0 ? vec3.scale(v, 1 / len) : vec3.create();
+    }
+};
+
+// --- Barnes-Hut Octree ---
+// Each node covers a cube (center + half-size) and stores the total mass and
+// centre of mass of everything inside it. Leaves hold at most one body.
+const MAX_TREE_DEPTH = 32; // Guards against bodies sharing (almost) the same position
+
+function createOctreeNode(cx, cy, cz, half) {
+    return { cx, cy, cz, half, mass: 0, comX: 0, comY: 0, comZ: 0, body: null, children: null };
+}
+
+function octantIndex(node, p) {
+    return (p.x >= node.cx ? 1 : 0) | (p.y >= node.cy ? 2 : 0) | (p.z >= node.cz ? 4 : 0);
+}
+
+function childFor(node, index) {
+    if (!node.children[index]) {
+        const h = node.half / 2;
+        node.children[index] = createOctreeNode(
+            node.cx + (index & 1 ? h : -h),
+            node.cy + (index & 2 ? h : -h),
+            node.cz + (index & 4 ? h : -h),
+            h
+        );
+    }
+    return node.children[index];
+}
+
+function octreeInsert(node, body, depth) {
+    // Accumulate mass and (un-normalized) centre of mass on the way down
+    node.comX += body.position.x * body.mass;
+    node.comY += body.position.y * body.mass;
+    node.comZ += body.position.z * body.mass;
+    node.mass += body.mass;
+
+    if (node.children) {
+        octreeInsert(childFor(node, octantIndex(node, body.position)), body, depth + 1);
+    } else if (!node.body) {
+        node.body = body;
+    } else if (depth < MAX_TREE_DEPTH) {
+        // Split the leaf and push both bodies down
+        const existing = node.body;
+        node.body = null;
+        node.children = new Array(8).fill(null);
+        octreeInsert(childFor(node, octantIndex(node, existing.position)), existing, depth + 1);
+        octreeInsert(childFor(node, octantIndex(node, body.position)), body, depth + 1);
+    }
+    // Past MAX_TREE_DEPTH the body only contributes to this node's aggregate mass
+}
+
+function finalizeOctree(node) {
+    if (node.mass > 0) {
+        node.comX /= node.mass;
+        node.comY /= node.mass;
+        node.comZ /= node.mass;
+    }
+    if (node.children) node.children.forEach(child => child && finalizeOctree(child));
+}
+
+function buildOctree(list) {
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    list.forEach(b => {
+        minX = Math.min(minX, b.position.x); maxX = Math.max(maxX, b.position.x);
+        minY = Math.min(minY, b.position.y); maxY = Math.max(maxY, b.position.y);
+        minZ = Math.min(minZ, b.position.z); maxZ = Math.max(maxZ, b.position.z);
+    });
+    const half = Math.max(maxX - minX, maxY - minY, maxZ - minZ) / 2 + 1e-3;
+    const root = createOctreeNode((minX + maxX) / 2, (minY + maxY) / 2, (minZ + maxZ) / 2, half);
+    list.forEach(b => octreeInsert(root, b, 0));
+    finalizeOctree(root);
+    return root;
+}
+
+// --- Collisions ---
+// Broad phase: spatial hash over asteroids (cell size = largest asteroid diameter).
+// Narrow phase: sphere overlap using each body's radius.
+const FRAGMENT_SPEED_FACTOR = 4; // Impacts faster than this many mutual escape speeds shatter
+const MAX_FRAGMENTS = 4;
+const MAX_BODIES = 60000; // No new fragments past this many asteroids
+const FRAGMENT_GRACE_TICKS = 30; // Fresh fragments ignore their siblings and the ship for this long
+
+function hashCell(ix, iy, iz) {
+    return ((ix * 73856093) ^ (iy * 19349663) ^ (iz * 83492791)) | 0;
+}
+
+function buildSpatialHash(list, cellSize) {
+    const cells = new Map();
+    list.forEach(body => {
+        const key = hashCell(
+            Math.floor(body.position.x / cellSize),
+            Math.floor(body.position.y / cellSize),
+            Math.floor(body.position.z / cellSize)
+        );
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(body);
+    });
+    return cells;
+}
+
+// Calls visit(other) for every asteroid in the cells within `reach` cells of `position`
+// (reach 1 = the 27 surrounding cells, enough for asteroid-asteroid contacts)
+function forEachNeighbour(cells, cellSize, position, visit, reach = 1) {
+    const ix = Math.floor(position.x / cellSize);
+    const iy = Math.floor(position.y / cellSize);
+    const iz = Math.floor(position.z / cellSize);
+    for (let dx = -reach; dx <= reach; dx++) {
+        for (let dy = -reach; dy <= reach; dy++) {
+            for (let dz = -reach; dz <= reach; dz++) {
+                const cell = cells.get(hashCell(ix + dx, iy + dy, iz + dz));
+                if (cell) cell.forEach(visit);
+            }
+        }
+    }
+}
+
+const overlaps = (a, aRadius, b, bRadius) =>
+    vec3.lengthSq(vec3.subtract(a, b)) < (aRadius + bRadius) * (aRadius + bRadius);
+
+// Squared distance inside which a body's gravity stops growing (the point-mass field diverges)
+const coreRadiusSq = (body) => (GRAVITY_CORE * (body.radius || 0)) ** 2;
+
+// Mass-weighted centre of mass and momentum-conserving velocity of a group of bodies
+function combinedState(group) {
+    const mass = group.reduce((sum, b) => sum + b.mass, 0);
+    const weighted = (key) => group.reduce((sum, b) => vec3.add(sum, vec3.scale(b[key], b.mass / mass)), vec3.create());
+    return { mass, position: weighted('position'), velocity: weighted('velocity') };
+}
+
+// state + sum(coefficient_k * k_k) * h
+function combine(state, h, terms) {
+    const out = new Float64Array(state);
+    terms.forEach(([coefficient, k]) => {
+        if (coefficient === 0) return;
+        const scale = coefficient * h;
+        for (let i = 0; i < out.length; i++) out[i] += k[i] * scale;
+    });
+    return out;
+}
+
+// --- Asteroid Belts ---
+
+/**
+ * Generates a belt's asteroids on circular orbits around the star (in the scene frame, y up).
+ * The layout depends only on the belt and the seed; every belt draws from its own stream, so
+ * changing one belt's count leaves the others where they were.
+ * @param {object} belt - Belt from the system file: name, count, minRadius, maxRadius, height,
+ *   minSize, maxSize, density.
+ * @param {object} options
+ * @param {number} options.G - Gravitational constant.
+ * @param {number} options.starMass - Mass of the star.
+ * @param {number|string} [options.seed=0] - Seed of the layout.
+ * @param {number} [options.speedFactor=1] - Multiplies the circular orbit speed.
+ * @returns {Array<object>} Bodies { id, mass, radius, position, velocity } for init().
+ */
+export function generateBelt(belt, { G, starMass, seed = 0, speedFactor = 1 }) {
+    const random = seededRandom(hashString(`${seed}:${belt.name}`));
+    return Array.from({ length: belt.count }, (_, i) => {
+        const radius = belt.minRadius + random() * (belt.maxRadius - belt.minRadius);
+        const angle = random() * Math.PI * 2;
+        const height = (random() - 0.5) * belt.height;
+        const size = belt.minSize + random() * (belt.maxSize - belt.minSize);
+        const speed = radius > 0 ? Math.sqrt(G * starMass / radius) * speedFactor : 0;
+        return {
+            id: `${belt.name}_${i}`,
+            mass: size * size * size * belt.density,
+            radius: size,
+            position: { x: Math.cos(angle) * radius, y: height, z: Math.sin(angle) * radius },
+            velocity: { x: -Math.sin(angle) * speed, y: 0, z: Math.cos(angle) * speed }
+        };
+    });
+}
+
+// --- Simulation ---
+
+/**
+ * Creates a simulation. It is empty until init().
+ * @returns {object} The simulation: init(setup), step(dt, options), snapshot(), inspect(id),
+ *   predict(request), and getters for time, bodies, planets and diagnostics.
+ */
+export function createSimulation() {
+    let G = G_SI; // Gravitational constant; init() may override it
+    let bodies = []; // Array to hold { id, mass, radius, position: {x,y,z}, velocity: {x,y,z} }
+    let planets = []; // Massive bodies (N-body mode only), same shape as asteroids
+    let moons = []; // N-body mode only: { id, parent, mass, radius, orbit, meanAnomaly, meanMotion, position }
+    let moonEpoch = 0; // simTime the moons' mean anomalies refer to
+    let sun = null;
+    let config = {
+        mode: 'sun', theta: DEFAULT_THETA, softening: DEFAULT_SOFTENING, integrator: 'verlet', tolerance: 1e-6,
+        maxStep: DEFAULT_MAX_STEP, minFragmentRadius: DEFAULT_MIN_FRAGMENT_RADIUS
+    };
+    let simTime = 0; // Simulated seconds since init
+    let adaptiveStep = null; // Last accepted step size of the adaptive integrator
+    let initialDiagnostics = null; // Energy/angular momentum right after init, to measure drift
+    let kinematicPlanets = []; // Planet positions passed to each step in 'sun' mode (collisions only)
+    let nextFragmentId = 0;
+    let tickCount = 0;
+    let random = seededRandom(0); // Fragmentation; reseeded by init()
+    // Adds the acceleration exerted by the tree on `body` into `out`
+    function accumulateOctreeAcceleration(node, body, out) {
+        if (!node || node.mass === 0 || node.body === body) return;
+
+        const dx = node.comX - body.position.x;
+        const dy = node.comY - body.position.y;
+        const dz = node.comZ - body.position.z;
+        const distSq = dx * dx + dy * dy + dz * dz;
+        const size = node.half * 2;
+
+        // Leaf, or far enough away that the whole cell can be treated as one point mass
+        if (!node.children || size * size < config.theta * config.theta * distSq) {
+            const softDistSq = distSq + config.softening * config.softening;
+            const invDist = 1 / Math.sqrt(softDistSq);
+            const aMag = G * node.mass * invDist * invDist * invDist;
+            out.x += dx * aMag;
+            out.y += dy * aMag;
+            out.z += dz * aMag;
+            return;
+        }
+
+        for (let i = 0; i < 8; i++) {
+            accumulateOctreeAcceleration(node.children[i], body, out);
+        }
+    }
+
+    // --- Forces ---
+    // Sun gravity as an acceleration on `body` (bodies that reach the surface are absorbed
+    // by the collision pass, so no close-range repulsion is needed)
+    function accumulateSunAcceleration(body, out) {
+        const toSun = vec3.subtract(sun.position, body.position);
+        const distSq = vec3.lengthSq(toSun);
+        const safeDistSq = Math.max(distSq, coreRadiusSq(sun));
+
+        const gravDir = vec3.normalize(toSun);
+        const gravMag = G * sun.mass / safeDistSq;
+        out.x += gravDir.x * gravMag;
+        out.y += gravDir.y * gravMag;
+        out.z += gravDir.z * gravMag;
+    }
+
+    // Direct-sum gravity from every body in `sources` (used for the handful of planets)
+    function accumulateDirectAcceleration(sources, body, out) {
+        sources.forEach(source => {
+            if (source === body) return;
+            const dx = source.position.x - body.position.x;
+            const dy = source.position.y - body.position.y;
+            const dz = source.position.z - body.position.z;
+            const distSq = Math.max(dx * dx + dy * dy + dz * dz, coreRadiusSq(source));
+            const invDist = 1 / Math.sqrt(distSq);
+            const aMag = G * source.mass * invDist * invDist * invDist;
+            out.x += dx * aMag;
+            out.y += dy * aMag;
+            out.z += dz * aMag;
+        });
+    }
+
+    function computeAccelerations() {
+        const tree = config.mode === 'nbody' ? buildOctree(bodies) : null;
+
+        // 1. Planets: Sun, the other planets and the asteroids' pull back on them
+        // (direct sums, so planet-asteroid forces stay equal and opposite)
+        planets.forEach(planet => {
+            planet.acceleration = vec3.create();
+            accumulateSunAcceleration(planet, planet.acceleration);
+            accumulateDirectAcceleration(planets, planet, planet.acceleration);
+            accumulateDirectAcceleration(bodies, planet, planet.acceleration);
+        });
+
+        // 2. Asteroids: Sun, then planets and asteroid self-gravity in N-body mode
+        bodies.forEach(body => {
+            body.acceleration = vec3.create();
+            accumulateSunAcceleration(body, body.acceleration);
+            if (tree) {
+                accumulateDirectAcceleration(planets, body, body.acceleration);
+                accumulateDirectAcceleration(moons, body, body.acceleration);
+                accumulateOctreeAcceleration(tree, body, body.acceleration);
+            }
+        });
+    }
+
+    // Puts every moon on its orbit at simulation time `time`, around its parent from `parents`
+    // (or an earlier moon). Moons only pull on asteroids: they are driven, not simulated, so the
+    // energy they exchange with asteroids is not part of the conservation diagnostics.
+    function placeMoons(time, parents) {
+        const byId = new Map(parents.map(p => [p.id, p]));
+        moons.forEach(moon => {
+            const parent = byId.get(moon.parent);
+            if (!parent) return;
+            const offset = orbitalState(moon.orbit, moon.meanAnomaly + moon.meanMotion * (time - moonEpoch)).position;
+            moon.position = vec3.add(parent.position, offset);
+            byId.set(moon.id, moon);
+        });
+    }
+
+    // Potential energy of `body` in the Sun's field (matches accumulateSunAcceleration)
+    function sunPotential(body) {
+        const distSq = vec3.lengthSq(vec3.subtract(sun.position, body.position));
+        return -G * sun.mass * body.mass / Math.sqrt(Math.max(distSq, coreRadiusSq(sun)));
+    }
+
+    // Softened potential energy between `body` and everything in the tree (each pair is seen twice)
+    function octreePotential(node, body) {
+        if (!node || node.mass === 0 || node.body === body) return 0;
+        const dx = node.comX - body.position.x;
+        const dy = node.comY - body.position.y;
+        const dz = node.comZ - body.position.z;
+        const distSq = dx * dx + dy * dy + dz * dz;
+        const size = node.half * 2;
+        if (!node.children || size * size < config.theta * config.theta * distSq) {
+            return -G * node.mass * body.mass / Math.sqrt(distSq + config.softening * config.softening);
+        }
+        let potential = 0;
+        for (let i = 0; i < 8; i++) {
+            potential += octreePotential(node.children[i], body);
+        }
+        return potential;
+    }
+
+    // --- Diagnostics ---
+    // Total energy and angular momentum (about the fixed Sun) of everything the worker simulates
+    function computeDiagnostics() {
+        const all = [...planets, ...bodies];
+        let kinetic = 0, potential = 0;
+        const angularMomentum = vec3.create();
+
+        all.forEach(body => {
+            const { position: r, velocity: v } = body;
+            kinetic += 0.5 * body.mass * vec3.lengthSq(v);
+            potential += sunPotential(body);
+            angularMomentum.x += body.mass * (r.y * v.z - r.z * v.y);
+            angularMomentum.y += body.mass * (r.z * v.x - r.x * v.z);
+            angularMomentum.z += body.mass * (r.x * v.y - r.y * v.x);
+        });
+
+        // Planet-planet and planet-asteroid pairs
+        planets.forEach((planet, i) => {
+            all.forEach((other, j) => {
+                if (j <= i) return;
+                const distSq = Math.max(vec3.lengthSq(vec3.subtract(planet.position, other.position)), coreRadiusSq(planet), coreRadiusSq(other));
+                potential -= G * planet.mass * other.mass / Math.sqrt(distSq);
+            });
+        });
+
+        // Asteroid-asteroid pairs
+        if (config.mode === 'nbody') {
+            const tree = buildOctree(bodies);
+            bodies.forEach(body => potential += 0.5 * octreePotential(tree, body));
+        }
+
+        return { kinetic, potential, energy: kinetic + potential, angularMomentum };
+    }
+
+    function driftReport(current) {
+        const relative = (now, start) => start !== 0 ? (now - start) / Math.abs(start) : 0;
+        const startL = vec3.length(initialDiagnostics.angularMomentum);
+        const nowL = vec3.length(current.angularMomentum);
+        return {
+            time: simTime,
+            integrator: config.integrator,
+            energy: current.energy,
+            kinetic: current.kinetic,
+            potential: current.potential,
+            angularMomentum: current.angularMomentum,
+            energyDrift: relative(current.energy, initialDiagnostics.energy),
+            angularMomentumDrift: relative(nowL, startL)
+        };
+    }
+
+    // --- Integrators ---
+    // State vectors pack [x, y, z, vx, vy, vz] per body (planets first, then asteroids)
+    function simulatedBodies() {
+        return planets.length ? [...planets, ...bodies] : bodies;
+    }
+
+    function readState(list) {
+        const state = new Float64Array(list.length * 6);
+        list.forEach((body, i) => {
+            const o = i * 6;
+            state[o] = body.position.x; state[o + 1] = body.position.y; state[o + 2] = body.position.z;
+            state[o + 3] = body.velocity.x; state[o + 4] = body.velocity.y; state[o + 5] = body.velocity.z;
+        });
+        return state;
+    }
+
+    function writeState(list, state) {
+        list.forEach((body, i) => {
+            const o = i * 6;
+            body.position = vec3.create(state[o], state[o + 1], state[o + 2]);
+            body.velocity = vec3.create(state[o + 3], state[o + 4], state[o + 5]);
+        });
+    }
+
+    // d(state)/dt: velocities and the accelerations at the given state
+    function derivative(list, state) {
+        writeState(list, state);
+        computeAccelerations();
+        const out = new Float64Array(state.length);
+        list.forEach((body, i) => {
+            const o = i * 6;
+            out[o] = state[o + 3]; out[o + 1] = state[o + 4]; out[o + 2] = state[o + 5];
+            out[o + 3] = body.acceleration.x; out[o + 4] = body.acceleration.y; out[o + 5] = body.acceleration.z;
+        });
+        return out;
+    }
+
+    // Explicit (semi-implicit) Euler: the original scheme, kept for comparison
+    function stepEuler(dt) {
+        computeAccelerations();
+        simulatedBodies().forEach(body => {
+            body.velocity = vec3.add(body.velocity, vec3.scale(body.acceleration, dt));
+            body.position = vec3.add(body.position, vec3.scale(body.velocity, dt));
+        });
+    }
+
+    // Velocity Verlet (kick-drift-kick leapfrog): symplectic, one force evaluation per step
+    function stepVerlet(dt) {
+        const list = simulatedBodies();
+        if (list.some(body => !body.acceleration)) computeAccelerations();
+        list.forEach(body => {
+            body.velocity = vec3.add(body.velocity, vec3.scale(body.acceleration, dt / 2));
+            body.position = vec3.add(body.position, vec3.scale(body.velocity, dt));
+        });
+        computeAccelerations();
+        list.forEach(body => {
+            body.velocity = vec3.add(body.velocity, vec3.scale(body.acceleration, dt / 2));
+        });
+    }
+
+    // Classic fourth-order Runge-Kutta
+    function stepRK4(dt) {
+        const list = simulatedBodies();
+        const y = readState(list);
+        const k1 = derivative(list, y);
+        const k2 = derivative(list, combine(y, dt / 2, [[1, k1]]));
+        const k3 = derivative(list, combine(y, dt / 2, [[1, k2]]));
+        const k4 = derivative(list, combine(y, dt, [[1, k3]]));
+        writeState(list, combine(y, dt / 6, [[1, k1], [2, k2], [2, k3], [1, k4]]));
+    }
+
+    // One Runge-Kutta-Fehlberg 4(5) trial step of size h from state y:
+    // returns the 5th-order result and the error estimate relative to config.tolerance
+    function rkf45Trial(list, y, h) {
+        const k1 = derivative(list, y);
+        const k2 = derivative(list, combine(y, h, [[1 / 4, k1]]));
+        const k3 = derivative(list, combine(y, h, [[3 / 32, k1], [9 / 32, k2]]));
+        const k4 = derivative(list, combine(y, h, [[1932 / 2197, k1], [-7200 / 2197, k2], [7296 / 2197, k3]]));
+        const k5 = derivative(list, combine(y, h, [[439 / 216, k1], [-8, k2], [3680 / 513, k3], [-845 / 4104, k4]]));
+        const k6 = derivative(list, combine(y, h, [[-8 / 27, k1], [2, k2], [-3544 / 2565, k3], [1859 / 4104, k4], [-11 / 40, k5]]));
+        const y5 = combine(y, h, [[16 / 135, k1], [6656 / 12825, k3], [28561 / 56430, k4], [-9 / 50, k5], [2 / 55, k6]]);
+        const y4 = combine(y, h, [[25 / 216, k1], [1408 / 2565, k3], [2197 / 4104, k4], [-1 / 5, k5]]);
+
+        let error = 0;
+        for (let i = 0; i < y.length; i++) {
+            const scale = config.tolerance * (1 + Math.abs(y[i]));
+            error = Math.max(error, Math.abs(y5[i] - y4[i]) / scale);
+        }
+        return { next: y5, error };
+    }
+
+    // Runge-Kutta-Fehlberg 4(5): sub-steps through `dt` (forwards or backwards), growing or
+    // shrinking the step so the embedded error estimate stays under config.tolerance
+    function stepAdaptive(dt) {
+        const list = simulatedBodies();
+        const direction = Math.sign(dt);
+        let remaining = Math.abs(dt);
+        let h = Math.min(adaptiveStep ?? remaining, remaining);
+        let substeps = 0;
+
+        while (remaining > 1e-12) {
+            // Out of budget: cover whatever is left in one go and accept the error
+            const lastChance = ++substeps >= ADAPTIVE_MAX_SUBSTEPS;
+            const stepSize = lastChance ? remaining : Math.min(h, remaining);
+            const y = readState(list);
+            const { next, error } = rkf45Trial(list, y, stepSize * direction);
+
+            if (error <= 1 || lastChance) {
+                writeState(list, next);
+                remaining -= stepSize;
+            } else {
+                writeState(list, y); // Rejected: restore and retry with a smaller step
+            }
+            // Standard step-size controller with a safety factor and growth limits
+            const factor = error > 0 ? 0.9 * Math.pow(1 / error, 0.2) : 4;
+            h = stepSize * Math.min(4, Math.max(0.1, factor));
+        }
+        adaptiveStep = h;
+    }
+
+    const STEPPERS = { euler: stepEuler, verlet: stepVerlet, rk4: stepRK4, adaptive: stepAdaptive };
+
+    // --- Collision Resolution ---
+    // Fragments still separating from the impact that created them
+    const inGrace = (body) => body.graceUntil !== undefined && tickCount < body.graceUntil;
+    const siblings = (a, b) => inGrace(a) && inGrace(b) && a.family === b.family;
+
+    function randomUnitVector() {
+        const z = random() * 2 - 1;
+        const phi = random() * Math.PI * 2;
+        const r = Math.sqrt(1 - z * z);
+        return vec3.create(r * Math.cos(phi), z, r * Math.sin(phi));
+    }
+
+    // Breaks the combined mass of `group` into fragments flying apart at `spreadSpeed`
+    // (momentum is conserved: the kicks are mirrored in pairs around the centre of mass)
+    function fragment(group, spreadSpeed) {
+        const { mass, position, velocity } = combinedState(group);
+        const volume = group.reduce((sum, b) => sum + b.radius ** 3, 0);
+        const count = random() < 0.5 ? 2 : MAX_FRAGMENTS; // Even, so kicks can be mirrored
+        const fragmentRadius = Math.cbrt(volume / count);
+        if (fragmentRadius < config.minFragmentRadius || bodies.length + count > MAX_BODIES) return [];
+
+        const fragments = [];
+        const family = nextFragmentId;
+        for (let i = 0; i < count; i += 2) {
+            const direction = randomUnitVector();
+            [1, -1].forEach(sign => {
+                const offset = vec3.scale(direction, sign * fragmentRadius * 1.5);
+                fragments.push({
+                    id: `fragment_${nextFragmentId++}`,
+                    mass: mass / count,
+                    radius: fragmentRadius,
+                    position: vec3.add(position, offset),
+                    velocity: vec3.add(velocity, vec3.scale(direction, sign * spreadSpeed)),
+                    family,
+                    graceUntil: tickCount + FRAGMENT_GRACE_TICKS
+                });
+            });
+        }
+        return fragments;
+    }
+
+    // Merges `group` into a single body with the group's total mass, volume and momentum
+    function merge(group) {
+        const { mass, position, velocity } = combinedState(group);
+        const survivor = group.reduce((big, b) => (b.mass > big.mass ? b : big));
+        return {
+            id: survivor.id,
+            mass,
+            radius: Math.cbrt(group.reduce((sum, b) => sum + b.radius ** 3, 0)),
+            position,
+            velocity
+        };
+    }
+
+    // Detects and resolves all contacts after a sub-step. `ship` is { position, velocity, radius }
+    // or null; it and the kinematic planets ('sun' mode) are only known at the end of a step, so
+    // they are only tested when `stepEnd` is set. Returns the list of collision events.
+    function resolveCollisions(ship, stepEnd) {
+        const events = [];
+        const removed = new Set();
+        const created = [];
+        const grown = new Map(); // Planets that absorbed asteroids: their new { mass, velocity }
+        const massiveBodies = config.mode === 'nbody' ? [...planets, ...moons] : stepEnd ? kinematicPlanets : [];
+        const snapshot = (b) => ({ id: b.id, mass: b.mass, radius: b.radius, position: b.position, velocity: b.velocity });
+
+        // 1. Asteroids hitting the Sun or a planet are absorbed (planets gain the mass and momentum in N-body mode)
+        bodies.forEach(body => {
+            if (overlaps(body.position, body.radius, sun.position, sun.radius)) {
+                removed.add(body);
+                events.push({ kind: 'absorb', target: sun.id, removed: [body.id], created: [], position: body.position, speed: vec3.length(body.velocity) });
+                return;
+            }
+            const planet = massiveBodies.find(p => overlaps(body.position, body.radius, p.position, p.radius));
+            if (planet) {
+                removed.add(body);
+                if (planet.velocity && config.mode === 'nbody') { // Moons have no velocity: they stay on their orbits
+                    const { mass, velocity } = combinedState([{ ...planet, ...grown.get(planet) }, body]);
+                    grown.set(planet, { mass, velocity });
+                }
+                events.push({ kind: 'absorb', target: planet.id, removed: [body.id], created: [], position: body.position, speed: vec3.length(body.velocity) });
+            }
+        });
+
+        // 2. Asteroid-asteroid contacts through the spatial hash
+        const live = bodies.filter(b => !removed.has(b));
+        // (a thousandth of the star's radius keeps the grid finite when no asteroid is left)
+        const cellSize = 2 * live.reduce((max, b) => Math.max(max, b.radius), sun.radius * 1e-3);
+        const cells = buildSpatialHash(live, cellSize);
+        live.forEach(body => {
+            if (removed.has(body)) return;
+            const group = [body];
+            forEachNeighbour(cells, cellSize, body.position, other => {
+                if (other !== body && !removed.has(other) && !siblings(body, other) &&
+                    overlaps(body.position, body.radius, other.position, other.radius)) {
+                    group.push(other);
+                }
+            });
+            if (group.length < 2) return;
+            group.forEach(b => removed.add(b));
+
+            const other = group[1];
+            const impactSpeed = vec3.length(vec3.subtract(body.velocity, other.velocity));
+            const escapeSpeed = Math.sqrt(2 * G * (body.mass + other.mass) / (body.radius + other.radius));
+            const pieces = impactSpeed > FRAGMENT_SPEED_FACTOR * escapeSpeed ? fragment(group, impactSpeed * 0.3) : [merge(group)];
+            const kind = pieces.length === 1 ? 'merge' : 'fragment';
+            created.push(...pieces);
+            events.push({ kind, removed: group.map(b => b.id), created: pieces.map(snapshot), position: combinedState(group).position, speed: impactSpeed });
+        });
+
+        // 3. Ship contacts: asteroids shatter against the hull, the Sun and planets destroy the ship
+        if (ship && stepEnd) {
+            const reach = Math.ceil(ship.radius / cellSize) + 1;
+            forEachNeighbour(cells, cellSize, ship.position, body => {
+                if (removed.has(body) || inGrace(body) || !overlaps(body.position, body.radius, ship.position, ship.radius)) return;
+                removed.add(body);
+                const impactSpeed = vec3.length(vec3.subtract(body.velocity, ship.velocity));
+                const pieces = fragment([body], impactSpeed * 0.3);
+                created.push(...pieces);
+                events.push({ kind: 'ship', target: body.id, removed: [body.id], created: pieces.map(snapshot), position: body.position, speed: impactSpeed });
+            }, reach);
+            if (overlaps(ship.position, ship.radius, sun.position, sun.radius)) {
+                events.push({ kind: 'ship', target: sun.id, removed: [], created: [], position: ship.position, speed: vec3.length(ship.velocity) });
+            }
+            massiveBodies.forEach(planet => {
+                if (overlaps(ship.position, ship.radius, planet.position, planet.radius)) {
+                    events.push({ kind: 'ship', target: planet.id, removed: [], created: [], position: ship.position, speed: vec3.length(ship.velocity) });
+                }
+            });
+        }
+
+        if (removed.size) {
+            // Energy and momentum lost in collisions are not integrator drift, so the drift
+            // baseline moves with them
+            const before = computeDiagnostics();
+            grown.forEach((state, planet) => Object.assign(planet, state));
+            bodies = bodies.filter(b => !removed.has(b)).concat(created);
+            const after = computeDiagnostics();
+            initialDiagnostics.energy += after.energy - before.energy;
+            initialDiagnostics.angularMomentum = vec3.add(initialDiagnostics.angularMomentum,
+                vec3.subtract(after.angularMomentum, before.angularMomentum));
+        }
+        return events;
+    }
+
+    // --- Trajectory Prediction ---
+    // Planet and moon positions along a prediction. N-body mode propagates copies of the worker's
+    // own planets; otherwise the Keplerian orbits sent by scene.js are evaluated directly. Moons
+    // (entries with a parent, listed after it) are always placed on their orbit around the parent.
+    function createPlanetTracks(keplerBodies = []) {
+        let t = 0;
+        const keplerPosition = (p) => orbitalState(p.orbit, p.meanAnomaly + p.meanMotion * t).position;
+        const moonTracks = keplerBodies.filter(p => p.parent).map(p => ({ ...p, position: null }));
+        let primaries;
+        let advancePrimaries;
+
+        if (config.mode === 'nbody') {
+            primaries = planets.map(p => ({ id: p.id, mass: p.mass, radius: p.radius, position: { ...p.position }, velocity: { ...p.velocity } }));
+            const accelerate = () => primaries.forEach(p => {
+                p.acceleration = vec3.create();
+                accumulateSunAcceleration(p, p.acceleration);
+                accumulateDirectAcceleration(primaries, p, p.acceleration);
+            });
+            accelerate();
+            advancePrimaries = (h) => {
+                primaries.forEach(p => {
+                    p.velocity = vec3.add(p.velocity, vec3.scale(p.acceleration, h / 2));
+                    p.position = vec3.add(p.position, vec3.scale(p.velocity, h));
+                });
+                accelerate();
+                primaries.forEach(p => p.velocity = vec3.add(p.velocity, vec3.scale(p.acceleration, h / 2)));
+            };
+        } else {
+            primaries = keplerBodies.filter(p => !p.parent).map(p => ({ ...p, position: keplerPosition(p) }));
+            advancePrimaries = () => primaries.forEach(p => p.position = keplerPosition(p));
+        }
+
+        const byId = new Map(primaries.map(p => [p.id, p]));
+        const placeMoonTracks = () => moonTracks.forEach(moon => {
+            const parent = byId.get(moon.parent);
+            moon.position = parent ? vec3.add(parent.position, keplerPosition(moon)) : keplerPosition(moon);
+            byId.set(moon.id, moon);
+        });
+        placeMoonTracks();
+
+        return {
+            bodies: [...primaries, ...moonTracks],
+            advance(h) {
+                t += h;
+                advancePrimaries(h);
+                placeMoonTracks();
+            }
+        };
+    }
+
+    // Applies a maneuver node's delta-v (prograde / normal / radial, relative to the Sun) to `ship`
+    function applyManeuver(ship, node) {
+        const r = vec3.subtract(ship.position, sun.position);
+        const prograde = vec3.normalize(ship.velocity);
+        const normal = vec3.normalize({
+            x: r.y * ship.velocity.z - r.z * ship.velocity.y,
+            y: r.z * ship.velocity.x - r.x * ship.velocity.z,
+            z: r.x * ship.velocity.y - r.y * ship.velocity.x
+        });
+        const radial = {
+            x: normal.y * prograde.z - normal.z * prograde.y,
+            y: normal.z * prograde.x - normal.x * prograde.z,
+            z: normal.x * prograde.y - normal.y * prograde.x
+        };
+        ship.velocity = vec3.add(ship.velocity, vec3.add(
+            vec3.scale(prograde, node.prograde || 0),
+            vec3.add(vec3.scale(normal, node.normal || 0), vec3.scale(radial, node.radial || 0))
+        ));
+    }
+
+    // Propagates the ship ballistically (Sun + planets, like the flight model) through its
+    // maneuver nodes. Returns sampled points, the index where each node's segment starts,
+    // the ship state at each node and the closest approach to every planet.
+    function predictTrajectory({ ship: start, nodes = [], duration, samples = 500, planets: keplerPlanets }) {
+        const SUBSTEPS_PER_SAMPLE = 4;
+        const h = duration / (samples * SUBSTEPS_PER_SAMPLE);
+        const tracks = createPlanetTracks(keplerPlanets);
+        const ship = { position: { ...start.position }, velocity: { ...start.velocity } };
+        const pending = [...nodes].sort((a, b) => a.time - b.time);
+
+        const shipAcceleration = () => {
+            const a = vec3.create();
+            accumulateSunAcceleration(ship, a);
+            accumulateDirectAcceleration(tracks.bodies, ship, a);
+            return a;
+        };
+
+        const points = new Float64Array((samples + 1) * 3);
+        const nodeIndices = [];
+        const nodeStates = [];
+        const closest = tracks.bodies.map(p => ({ id: p.id, distance: Infinity, time: 0, shipPosition: null, planetPosition: null }));
+        const recordSample = (index) => {
+            points[index * 3] = ship.position.x;
+            points[index * 3 + 1] = ship.position.y;
+            points[index * 3 + 2] = ship.position.z;
+        };
+        const recordApproaches = (t) => tracks.bodies.forEach((planet, i) => {
+            const distance = vec3.length(vec3.subtract(ship.position, planet.position));
+            if (distance < closest[i].distance) {
+                closest[i] = { id: planet.id, distance, time: t, shipPosition: { ...ship.position }, planetPosition: { ...planet.position } };
+            }
+        });
+
+        let t = 0;
+        let acceleration = shipAcceleration();
+        recordSample(0);
+        recordApproaches(0);
+        for (let sample = 1; sample <= samples; sample++) {
+            for (let i = 0; i < SUBSTEPS_PER_SAMPLE; i++) {
+                // Burn any node that falls inside this step (impulsive, at the start of the step)
+                while (pending.length && pending[0].time <= t + h / 2) {
+                    applyManeuver(ship, pending.shift());
+                    nodeIndices.push(sample - 1);
+                    nodeStates.push({ time: t, position: { ...ship.position }, velocity: { ...ship.velocity } });
+                }
+                ship.velocity = vec3.add(ship.velocity, vec3.scale(acceleration, h / 2));
+                ship.position = vec3.add(ship.position, vec3.scale(ship.velocity, h));
+                tracks.advance(h);
+                acceleration = shipAcceleration();
+                ship.velocity = vec3.add(ship.velocity, vec3.scale(acceleration, h / 2));
+                t += h;
+                recordApproaches(t);
+            }
+            recordSample(sample);
+        }
+
+        return { points, nodeIndices, nodeStates, closestApproaches: closest };
+    }
+    const plain = (b) => ({ id: b.id, mass: b.mass, radius: b.radius, position: b.position, velocity: b.velocity });
+
+    return {
+        /** Simulated time since init (seconds). */
+        get time() { return simTime; },
+        /** The asteroids, { id, mass, radius, position, velocity } (live objects; do not modify). */
+        get bodies() { return bodies; },
+        /** The simulated planets (N-body mode only), same shape. */
+        get planets() { return planets; },
+        /** Energy and angular momentum now, and their drift since init. */
+        get diagnostics() { return driftReport(computeDiagnostics()); },
+
+        /**
+         * (Re)starts the simulation; this is the payload of the worker's 'init' message.
+         * @param {object} setup
+         * @param {number} [setup.G=6.6743e-11] - Gravitational constant (SI by default).
+         * @param {Array<object>} setup.bodies - Asteroids (e.g. from generateBelt); kept and updated in place.
+         * @param {object} setup.sun - { id, mass, radius, position, velocity }.
+         * @param {string} [setup.mode='sun'] - 'sun' or 'nbody'.
+         * @param {Array<object>} [setup.planets] - Massive bodies (N-body mode only).
+         * @param {Array<object>} [setup.moons] - Keplerian moons (N-body mode only).
+         * @param {string} [setup.integrator='verlet'] - One of 'euler', 'verlet', 'rk4', 'adaptive'.
+         * @param {number} [setup.theta=0.7] - Barnes-Hut opening angle.
+         * @param {number} [setup.softening=1e4] - Softening length for asteroid-asteroid gravity.
+         * @param {number} [setup.maxStep=21600] - Longest step of the fixed-step integrators.
+         * @param {number} [setup.minFragmentRadius=1000] - Smaller fragments are lost as dust.
+         * @param {number} [setup.tolerance=1e-6] - Error tolerance of the adaptive integrator.
+         * @param {number|string} [setup.seed=0] - Seed of the fragmentation randomness.
+         * @param {object} [setup.restore] - { simTime, nextFragmentId } from a snapshot.
+         */
+        init(setup) {
+            G = setup.G ?? G;
+            bodies = setup.bodies; // Asteroids
+            sun = setup.sun;
+            config = {
+                mode: setup.mode === 'nbody' ? 'nbody' : 'sun',
+                theta: setup.theta ?? DEFAULT_THETA,
+                softening: setup.softening ?? DEFAULT_SOFTENING,
+                integrator: INTEGRATORS.includes(setup.integrator) ? setup.integrator : 'verlet',
+                tolerance: setup.tolerance ?? 1e-6,
+                maxStep: setup.maxStep ?? DEFAULT_MAX_STEP,
+                minFragmentRadius: setup.minFragmentRadius ?? DEFAULT_MIN_FRAGMENT_RADIUS
+            };
+            // Planets are only simulated here in N-body mode; otherwise scene.js moves them
+            planets = config.mode === 'nbody' ? (setup.planets || []) : [];
+            moons = config.mode === 'nbody' ? (setup.moons || []) : [];
+            // Restored snapshot (snapshot.js): continue the clock and fragment numbering where it left off
+            const restore = setup.restore || {};
+            simTime = restore.simTime ?? 0;
+            moonEpoch = simTime;
+            placeMoons(simTime, planets);
+            adaptiveStep = null;
+            nextFragmentId = restore.nextFragmentId ?? 0;
+            tickCount = 0;
+            random = seededRandom(hashString(`${setup.seed ?? 0}:fragments`));
+            initialDiagnostics = computeDiagnostics();
+        },
+
+        /**
+         * Advances every simulated body by `dt` with the selected integrator, resolving contacts
+         * after every sub-step.
+         * @param {number} dt - Signed: negative runs the simulation backwards.
+         * @param {object} [options]
+         * @param {object} [options.ship] - { position, velocity, radius } of the ship, for collisions.
+         * @param {Array<object>} [options.planets] - Planet positions in 'sun' mode (collisions only).
+         * @returns {object|null} { collisions, diagnostics }, or null if there was nothing to do.
+         */
+        step(dt, options = {}) {
+            if (!sun || (bodies.length === 0 && planets.length === 0) || !dt) return null;
+
+            if (config.mode !== 'nbody') kinematicPlanets = options.planets || [];
+            tickCount++;
+
+            // Split big (time-warped) steps so the fixed-step integrators stay stable; contacts
+            // are resolved after each sub-step, so fast bodies cannot pass through each other
+            const substeps = config.integrator === 'adaptive' ? 1 : Math.ceil(Math.abs(dt) / config.maxStep);
+            const collisions = [];
+            for (let i = 0; i < substeps; i++) {
+                if (moons.length) placeMoons(simTime + (i + 0.5) * dt / substeps, planets);
+                STEPPERS[config.integrator](dt / substeps);
+                if (moons.length) placeMoons(simTime + (i + 1) * dt / substeps, planets);
+                collisions.push(...resolveCollisions(options.ship || null, i === substeps - 1));
+            }
+            simTime += dt;
+            return { collisions, diagnostics: driftReport(computeDiagnostics()) };
+        },
+
+        /** Full-precision state for a saved snapshot: { simTime, nextFragmentId, bodies, planets }. */
+        snapshot() {
+            return { simTime, nextFragmentId, bodies: bodies.map(plain), planets: planets.map(plain) };
+        },
+
+        /** Live state of one asteroid ({ mass, radius, position, velocity }); null once it is gone. */
+        inspect(id) {
+            const body = bodies.find(b => b.id === id);
+            return body ? { mass: body.mass, radius: body.radius, position: body.position, velocity: body.velocity } : null;
+        },
+
+        /**
+         * The ship's future trajectory (see predictTrajectory); null before init.
+         * @param {object} request - { ship, nodes, duration, samples, planets }.
+         */
+        predict(request) {
+            if (!sun || !request.duration) return null;
+            return predictTrajectory(request);
+        }
+    };
+}
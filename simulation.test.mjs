@@ -0,0 +1,109 @@
+// simulation.test.mjs
+// Golden-output regression tests for the simulation core (run with `npm test`): a seeded belt
+// stepped a fixed number of times must end where it did when simulation.golden.json was
+// written, and each integrator must keep its energy drift within tolerance.
+// After an intended change to the physics, rewrite the golden file with
+// `UPDATE_GOLDEN=1 npm test` and commit it with the change.
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { createSimulation, generateBelt } from './simulation.js';
+import { AU, G_SI, SOLAR_MASS } from './scale.js';
+
+const GOLDEN_URL = new URL('./simulation.golden.json', import.meta.url);
+const UPDATE_GOLDEN = Boolean(process.env.UPDATE_GOLDEN);
+const SEED = 42;
+const STEPS = 200;
+const DT = 86400; // One day per step
+const POSITION_TOLERANCE = 1e-9; // Relative to the distance from the star
+// Largest |energy drift| after STEPS, per integrator ('adaptive' is the RKF45 one)
+const ENERGY_TOLERANCE = { euler: 1e-5, verlet: 1e-9, rk4: 1e-12, adaptive: 1e-10 };
+
+const BELT = { name: 'asteroids', count: 40, minRadius: 2.2 * AU, maxRadius: 3.3 * AU, height: 0.1 * AU, minSize: 5e3, maxSize: 5e4, density: 8000 };
+const SUN = { id: 'sun', mass: SOLAR_MASS, radius: 6.96e8, position: { x: 0, y: 0, z: 0 }, velocity: { x: 0, y: 0, z: 0 } };
+// A Jupiter for the N-body runs
+const JUPITER_DISTANCE = 5.2 * AU;
+const JUPITER = {
+    id: 'jupiter', mass: 1.898e27, radius: 6.99e7,
+    position: { x: JUPITER_DISTANCE, y: 0, z: 0 },
+    velocity: { x: 0, y: 0, z: Math.sqrt(G_SI * SOLAR_MASS / JUPITER_DISTANCE) }
+};
+
+// Runs a fresh simulation and returns the final positions ([x, y, z] per body) and diagnostics
+function run(integrator, mode, steps = STEPS) {
+    const simulation = createSimulation();
+    simulation.init({
+        G: G_SI,
+        sun: { ...SUN },
+        bodies: generateBelt(BELT, { G: G_SI, starMass: SOLAR_MASS, seed: SEED }),
+        planets: mode === 'nbody' ? [structuredClone(JUPITER)] : [],
+        mode,
+        integrator,
+        theta: 0, // Exact asteroid-asteroid gravity, so the energy drift is the integrator's alone
+        seed: SEED
+    });
+    for (let i = 0; i < steps; i++) simulation.step(DT);
+    const positions = [...simulation.planets, ...simulation.bodies].map(b => [b.position.x, b.position.y, b.position.z]);
+    return { positions, diagnostics: simulation.diagnostics };
+}
+
+// With UPDATE_GOLDEN the runs below fill in a fresh golden file, written once they are done
+const golden = UPDATE_GOLDEN ? { positions: {} } : JSON.parse(readFileSync(GOLDEN_URL, 'utf8'));
+after(() => {
+    if (!UPDATE_GOLDEN) return;
+    // One body per line
+    const runs = Object.entries(golden.positions).map(([key, positions]) =>
+        `    ${JSON.stringify(key)}: [\n${positions.map(p => `      ${JSON.stringify(p)}`).join(',\n')}\n    ]`);
+    writeFileSync(GOLDEN_URL, `{\n  "seed": ${SEED}, "steps": ${STEPS}, "dt": ${DT},\n  "positions": {\n${runs.join(',\n')}\n  }\n}\n`);
+});
+
+test('the belt generator is deterministic', () => {
+    const options = { G: G_SI, starMass: SOLAR_MASS, seed: SEED };
+    assert.deepEqual(generateBelt(BELT, options), generateBelt(BELT, options));
+    assert.notDeepEqual(generateBelt(BELT, options), generateBelt(BELT, { ...options, seed: SEED + 1 }));
+});
+
+test('the same seed gives the same run', () => {
+    assert.deepEqual(run('verlet', 'nbody', 20).positions, run('verlet', 'nbody', 20).positions);
+});
+
+test('N-body planets keep moving without asteroids', () => {
+    const simulation = createSimulation();
+    simulation.init({ G: G_SI, sun: { ...SUN }, bodies: [], planets: [structuredClone(JUPITER)], mode: 'nbody' });
+    assert.ok(simulation.step(DT), 'step did nothing');
+    assert.notEqual(simulation.planets[0].position.z, 0);
+});
+
+test('contacts are resolved after every sub-step', () => {
+    // Two rocks that meet after the first of four sub-steps and are far apart again at its end
+    const rock = (z, vz) => ({ id: `rock${z}`, mass: 4e18, radius: 5e4, position: { x: 3 * AU, y: 0, z }, velocity: { x: 0, y: 0, z: vz } });
+    const simulation = createSimulation();
+    simulation.init({ G: G_SI, sun: { ...SUN }, bodies: [rock(-2.16e8, 1e4), rock(2.16e8, -1e4)], maxStep: 21600 });
+    assert.equal(simulation.step(4 * 21600).collisions.length, 1);
+});
+
+['euler', 'verlet', 'rk4', 'adaptive'].forEach(integrator => ['sun', 'nbody'].forEach(mode => {
+    const key = `${integrator}/${mode}`;
+
+    test(key, async (t) => {
+        const { positions, diagnostics } = run(integrator, mode);
+        if (UPDATE_GOLDEN) golden.positions[key] = positions;
+
+        await t.test('positions match the golden run', () => {
+            const expected = golden.positions[key];
+            assert.ok(expected, `no golden positions for ${key}`);
+            assert.equal(positions.length, expected.length, 'body count');
+            positions.forEach((p, i) => {
+                const scale = Math.hypot(...expected[i]);
+                const error = Math.hypot(p[0] - expected[i][0], p[1] - expected[i][1], p[2] - expected[i][2]);
+                assert.ok(error <= POSITION_TOLERANCE * scale, `body ${i} is off by ${error} m`);
+            });
+        });
+
+        await t.test(`energy drift stays within ${ENERGY_TOLERANCE[integrator]}`, () => {
+            assert.ok(Number.isFinite(diagnostics.energyDrift));
+            assert.ok(Math.abs(diagnostics.energyDrift) <= ENERGY_TOLERANCE[integrator],
+                `energy drift ${diagnostics.energyDrift}`);
+        });
+    });
+}));
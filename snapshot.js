@@ -0,0 +1,159 @@
+// snapshot.js
+// Versioned simulation snapshots: the whole state (date, planet orbits, every asteroid,
+// the ship) as JSON, for download/upload and for sharing in a compact URL hash.
+//
+// Format (version 1):
+//   {
+//     format: 'solar-system-snapshot', version: 1, savedAt: ISO string,
+//     settings: { system: system file URL, gravity: 'sun'|'nbody', integrator, seed, scale? },
+//     clock: { date: ISO string, warp },
+//     planets: [{ name, orbit: { semiMajorAxis, eccentricity, inclination, longitudeOfAscendingNode,
+//                 argumentOfPeriapsis, meanAnomalyAtEpoch, periodDays }, position?, velocity? }],
+//     asteroids: { ids: [], mass: [], radius: [], position: [x, y, z, ...], velocity: [x, y, z, ...] },
+//     worker: { simTime, nextFragmentId },
+//     ship: { position: [x, y, z], velocity: [x, y, z], rotation: [x, y, z, w], angularVelocity: [x, y, z], fuel }
+//   }
+// Planet orbits (moons included, relative to their parent) are stored with meanAnomalyAtEpoch
+// at clock.date; position/velocity are only present in N-body mode, where the worker owns the planets. Asteroids are stored column-wise
+// to keep files and hashes small. Lengths are in the scene units of settings.scale (scale.js;
+// stylized when absent), positions measured from the star.
+
+export const SNAPSHOT_FORMAT = 'solar-system-snapshot';
+export const SNAPSHOT_VERSION = 1;
+const HASH_PREFIX = '#snapshot=';
+
+/**
+ * Packs worker bodies ({ id, mass, radius, position, velocity }) into the column layout.
+ * @param {Array<object>} bodies
+ * @returns {object} { ids, mass, radius, position, velocity }
+ */
+export function packBodies(bodies) {
+    const packed = { ids: [], mass: [], radius: [], position: [], velocity: [] };
+    bodies.forEach(b => {
+        packed.ids.push(b.id);
+        packed.mass.push(b.mass);
+        packed.radius.push(b.radius);
+        packed.position.push(b.position.x, b.position.y, b.position.z);
+        packed.velocity.push(b.velocity.x, b.velocity.y, b.velocity.z);
+    });
+    return packed;
+}
+
+/**
+ * Unpacks the column layout back into worker bodies.
+ * @param {object} packed - { ids, mass, radius, position, velocity }
+ * @returns {Array<object>}
+ */
+export function unpackBodies(packed) {
+    return packed.ids.map((id, i) => ({
+        id,
+        mass: packed.mass[i],
+        radius: packed.radius[i],
+        position: { x: packed.position[i * 3], y: packed.position[i * 3 + 1], z: packed.position[i * 3 + 2] },
+        velocity: { x: packed.velocity[i * 3], y: packed.velocity[i * 3 + 1], z: packed.velocity[i * 3 + 2] }
+    }));
+}
+
+const isNumberArray = (value, length) =>
+    Array.isArray(value) && (length === undefined || value.length === length) && value.every(Number.isFinite);
+
+/**
+ * Checks a parsed snapshot and brings older versions up to date.
+ * @param {object} data - Parsed JSON.
+ * @returns {object} The snapshot, in the current version.
+ * @throws {Error} If the data is not a usable snapshot.
+ */
+export function validateSnapshot(data) {
+    if (!data || data.format !== SNAPSHOT_FORMAT) throw new Error('Not a simulation snapshot');
+    if (!Number.isInteger(data.version) || data.version > SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version ${data.version} (this build reads up to ${SNAPSHOT_VERSION})`);
+    }
+    // Older versions would be migrated here, one version at a time
+
+    if (!data.clock || isNaN(Date.parse(data.clock.date))) throw new Error('Snapshot has no valid date');
+    if (!Array.isArray(data.planets)) throw new Error('Snapshot has no planets');
+    data.planets.forEach(p => {
+        if (typeof p.name !== 'string' || !p.orbit) throw new Error('Snapshot planet without name or orbit');
+    });
+
+    const asteroids = data.asteroids;
+    const count = asteroids && Array.isArray(asteroids.ids) ? asteroids.ids.length : -1;
+    if (count < 0
+        || !isNumberArray(asteroids.mass, count) || !isNumberArray(asteroids.radius, count)
+        || !isNumberArray(asteroids.position, count * 3) || !isNumberArray(asteroids.velocity, count * 3)) {
+        throw new Error('Snapshot asteroid columns are missing or have mismatched lengths');
+    }
+
+    const ship = data.ship;
+    if (!ship || !isNumberArray(ship.position, 3) || !isNumberArray(ship.velocity, 3)) {
+        throw new Error('Snapshot has no valid ship state');
+    }
+    return data;
+}
+
+/**
+ * Saves a snapshot as a .json download.
+ * @param {object} snapshot
+ * @param {string} [filename] - Defaults to a name built from the simulated date.
+ */
+export function downloadSnapshot(snapshot, filename) {
+    const name = filename || `snapshot-${snapshot.clock.date.slice(0, 10)}.json`;
+    const url = URL.createObjectURL(new Blob([JSON.stringify(snapshot)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Reads and validates an uploaded snapshot file.
+ * @param {File} file
+ * @returns {Promise<object>} The snapshot.
+ */
+export async function readSnapshotFile(file) {
+    return validateSnapshot(JSON.parse(await file.text()));
+}
+
+// --- URL hash encoding: JSON -> raw deflate -> base64url ---
+
+async function pipeThrough(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+const toBase64Url = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+};
+
+/**
+ * Encodes a snapshot for a URL hash.
+ * @param {object} snapshot
+ * @returns {Promise<string>} Hash including the leading '#snapshot='.
+ */
+export async function encodeSnapshotHash(snapshot) {
+    const json = new TextEncoder().encode(JSON.stringify(snapshot));
+    return HASH_PREFIX + toBase64Url(await pipeThrough(json, new CompressionStream('deflate-raw')));
+}
+
+/**
+ * Decodes a snapshot from a URL hash.
+ * @param {string} hash - e.g. window.location.hash.
+ * @returns {Promise<object|null>} The validated snapshot, or null if the hash holds none.
+ */
+export async function decodeSnapshotHash(hash) {
+    if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+    const bytes = await pipeThrough(fromBase64Url(hash.slice(HASH_PREFIX.length)), new DecompressionStream('deflate-raw'));
+    return validateSnapshot(JSON.parse(new TextDecoder().decode(bytes)));
+}
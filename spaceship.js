@@ -1,42 +1,86 @@
+/** Hull finishes: look, and density (mass per unit of hull volume) for the flight model. */
+export const HULL_MATERIALS = {
+    painted: { label: 'Painted alloy', density: 1, specular: 0.2, specularPower: 16 },
+    metal: { label: 'Polished metal', density: 1.4, specular: 0.9, specularPower: 96 },
+    carbon: { label: 'Carbon composite', density: 0.6, specular: 0.35, specularPower: 32 }
+};
+
+/** The default ship; every design is a partial override of these values. */
+export const DEFAULT_SHIP_DESIGN = {
+    bodyLength: 2.5,    // Longer body
+    bodyWidth: 0.8,     // Wider body
+    bodyHeight: 0.6,    // Slightly taller body
+    wingSpan: 2.0,      // Adjusted wing span relative to body
+    wingDepth: 1.0,     // Deeper wings
+    wingSweep: 0,       // Degrees the wing tips are swept back
+    noseLength: 1.0,    // Longer nose cone
+    thrusterCount: 2,
+    thrusterRadius: 0.2, // Slightly larger thrusters
+    hasTailFin: true,
+    hullMaterial: 'painted',
+    hullColor: [0.7, 0.7, 0.7],
+    engineGlow: [1, 0.5, 0.1] // Exhaust colour at full throttle
+};
+
 /**
  * Creates a more detailed, procedurally-influenced spaceship mesh.
  * @param {BABYLON.Scene} scene - The Babylon scene.
- * @param {object} [options] - Optional parameters for customization.
+ * @param {object} [options] - Optional parameters for customization (see DEFAULT_SHIP_DESIGN).
  * @param {number} [options.bodyLength=2.5] - Length of the main ship body.
  * @param {number} [options.bodyWidth=0.8] - Width of the main ship body.
  * @param {number} [options.bodyHeight=0.6] - Height of the main ship body.
  * @param {number} [options.wingSpan=2.0] - Total span of the wings.
  * @param {number} [options.wingDepth=1.0] - Depth (chord) of the wings.
+ * @param {number} [options.wingSweep=0] - Sweep of the wings, in degrees (tips pushed back).
  * @param {number} [options.noseLength=1.0] - Length of the nose cone.
  * @param {number} [options.thrusterCount=2] - Number of thrusters.
  * @param {number} [options.thrusterRadius=0.2] - Radius of the thrusters.
  * @param {boolean} [options.hasTailFin=true] - Whether to add a tail fin.
- * @returns {BABYLON.Mesh} The main ship mesh (root of the spaceship hierarchy).
+ * @param {string} [options.hullMaterial='painted'] - One of HULL_MATERIALS.
+ * @param {number[]} [options.hullColor=[0.7, 0.7, 0.7]] - Hull colour [r, g, b], 0..1.
+ * @param {number[]} [options.engineGlow=[1, 0.5, 0.1]] - Thruster glow at full throttle [r, g, b].
+ * @returns {BABYLON.Mesh} The main ship mesh (root of the spaceship hierarchy). Its
+ *   metadata holds the resolved `config` and the `thrusters` meshes for the flight model.
  */
 export function createSpaceship(scene, options = {}) {
-    // Default values adjusted for more realistic proportions (relative scale)
+    // Ship Body (its geometry, and everything attached to it, is built by updateSpaceship)
+    const ship = new BABYLON.Mesh('ship', scene);
+    ship.material = new BABYLON.StandardMaterial('shipMat', scene);
+    ship.position = new BABYLON.Vector3(0, 0, -10); // Initial position
+    ship.metadata = { config: null, thrusters: [], parts: [] };
+    return updateSpaceship(ship, options);
+}
+
+/**
+ * Rebuilds a ship from createSpaceship to a new design, in place: the ship mesh (and with it
+ * its position, attitude and anything parented to it, like cameras) stays the same object.
+ * @param {BABYLON.Mesh} ship - Root mesh returned by createSpaceship.
+ * @param {object} [options] - The design, as for createSpaceship.
+ * @returns {BABYLON.Mesh} The ship.
+ */
+export function updateSpaceship(ship, options = {}) {
+    const scene = ship.getScene();
     const config = {
-        bodyLength: 2.5,    // Longer body
-        bodyWidth: 0.8,     // Wider body
-        bodyHeight: 0.6,    // Slightly taller body
-        wingSpan: 2.0,      // Adjusted wing span relative to body
-        wingDepth: 1.0,     // Deeper wings
-        noseLength: 1.0,    // Longer nose cone
-        thrusterCount: 2,
-        thrusterRadius: 0.2, // Slightly larger thrusters
-        hasTailFin: true,
+        ...DEFAULT_SHIP_DESIGN,
         ...options // Override defaults with provided options
     };
 
-    // Ship Body
-    const ship = BABYLON.MeshBuilder.CreateBox('ship', {
+    // Parts of the previous design
+    ship.metadata.parts.forEach(part => part.dispose());
+    ship.metadata.thrusters.forEach(thruster => thruster.material.dispose());
+    const parts = [];
+
+    BABYLON.VertexData.CreateBox({
         height: config.bodyHeight,
         width: config.bodyWidth,
         depth: config.bodyLength
-    }, scene);
-    ship.material = new BABYLON.StandardMaterial('shipMat', scene);
-    ship.material.diffuseColor = new BABYLON.Color3(0.7, 0.7, 0.7);
-    ship.position = new BABYLON.Vector3(0, 0, -10); // Initial position
+    }).applyToMesh(ship);
+    ship.refreshBoundingInfo();
+
+    const finish = HULL_MATERIALS[config.hullMaterial] || HULL_MATERIALS.painted;
+    ship.material.diffuseColor = BABYLON.Color3.FromArray(config.hullColor);
+    ship.material.specularColor = new BABYLON.Color3(finish.specular, finish.specular, finish.specular);
+    ship.material.specularPower = finish.specularPower;
 
     // Nose cone
     const nose = BABYLON.MeshBuilder.CreateCylinder('noseCone', {
@@ -47,23 +91,30 @@ export function createSpaceship(scene, options = {}) {
     }, scene);
     nose.rotation.x = Math.PI / 2;
     nose.position = new BABYLON.Vector3(0, 0, config.bodyLength / 2 + config.noseLength / 2 - 0.1); // Position relative to body center
-    nose.parent = ship;
-
-    // Wings
-    const wingOpts = { width: config.wingSpan / 2, height: config.wingDepth, sideOrientation: BABYLON.Mesh.DOUBLESIDE };
-    const wingL = BABYLON.MeshBuilder.CreatePlane('wingLeft', wingOpts, scene);
-    wingL.rotation.x = Math.PI / 2;
-    // Adjust wing position based on new dimensions
-    wingL.position = new BABYLON.Vector3(-(config.bodyWidth / 2 + config.wingSpan / 4), 0, -config.bodyLength * 0.2); // Position wings further back
-    wingL.material = ship.material;
-    wingL.parent = ship;
+    nose.material = ship.material;
+    parts.push(nose);
 
-    const wingR = wingL.clone('wingRight');
-    wingR.position.x = (config.bodyWidth / 2 + config.wingSpan / 4);
+    // Wings: flat quads from the body side to the tip, the tip set back by the sweep
+    const wingCenter = -config.bodyLength * 0.2; // Wings sit towards the back
+    const sweepOffset = config.wingSpan / 2 * Math.tan(config.wingSweep * Math.PI / 180);
+    [-1, 1].forEach(side => {
+        const rootX = side * config.bodyWidth / 2;
+        const tipX = side * (config.bodyWidth / 2 + config.wingSpan / 2);
+        const wing = BABYLON.MeshBuilder.CreateRibbon(side < 0 ? 'wingLeft' : 'wingRight', {
+            pathArray: [
+                [new BABYLON.Vector3(rootX, 0, wingCenter + config.wingDepth / 2), new BABYLON.Vector3(tipX, 0, wingCenter + config.wingDepth / 2 - sweepOffset)],
+                [new BABYLON.Vector3(rootX, 0, wingCenter - config.wingDepth / 2), new BABYLON.Vector3(tipX, 0, wingCenter - config.wingDepth / 2 - sweepOffset)]
+            ],
+            sideOrientation: BABYLON.Mesh.DOUBLESIDE
+        }, scene);
+        wing.material = ship.material;
+        parts.push(wing);
+    });
 
     // Thrusters
     const thrusterHeight = config.thrusterRadius * 1.5;
     const thrusterSpacing = config.bodyWidth / (config.thrusterCount + 1);
+    const thrusters = [];
     for (let i = 0; i < config.thrusterCount; i++) {
         const thruster = BABYLON.MeshBuilder.CreateCylinder(`thruster_${i}`, {
             diameter: config.thrusterRadius * 2,
@@ -76,7 +127,8 @@ export function createSpaceship(scene, options = {}) {
         thruster.position = new BABYLON.Vector3(xPos, 0, -config.bodyLength / 2 - thrusterHeight / 2 + 0.05);
         thruster.material = new BABYLON.StandardMaterial(`thrusterMat_${i}`, scene);
         thruster.material.diffuseColor = new BABYLON.Color3(0.4, 0.4, 0.4); // Darker grey
-        thruster.parent = ship;
+        parts.push(thruster);
+        thrusters.push(thruster);
     }
 
     // Tail Fin
@@ -91,8 +143,11 @@ export function createSpaceship(scene, options = {}) {
         // Adjust fin position based on new dimensions
         tailFin.position = new BABYLON.Vector3(0, config.bodyHeight / 2 + finHeight / 2 - 0.05, -config.bodyLength / 2 + finDepth / 2 + 0.1); // Move slightly forward
         tailFin.material = ship.material;
-        tailFin.parent = ship;
+        parts.push(tailFin);
     }
 
+    parts.forEach(part => part.parent = ship);
+    ship.metadata = { config, thrusters, parts };
+
     return ship;
 }
@@ -0,0 +1,153 @@
+// sun.js
+// The star: an animated emissive surface, a corona billboard, lens flares, and the point light
+// that lights the system and casts the planets' shadows onto their moons (cube shadow map).
+
+import { SURFACE_VERTEX_SHADER } from './planets.js';
+
+// Two copies of the texture drifting at different rates read as churning granulation;
+// limb darkening makes the disc look like a sphere. Output above 1 feeds the bloom.
+BABYLON.Effect.ShadersStore['sunSurfaceFragmentShader'] = `
+#ifdef LOGARITHMICDEPTH
+#extension GL_EXT_frag_depth : enable
+#endif
+precision highp float;
+varying vec3 vPositionW;
+varying vec3 vNormalW;
+varying vec2 vUV;
+uniform sampler2D surfaceTexture;
+uniform vec3 eyePosition;
+uniform vec3 tint;
+uniform float time;
+uniform float intensity;
+#include<logDepthDeclaration>
+void main() {
+    vec3 a = texture2D(surfaceTexture, vUV + vec2(time * 0.003, 0.0)).rgb;
+    vec3 b = texture2D(surfaceTexture, vUV * 2.0 + vec2(-time * 0.005, time * 0.002)).rgb;
+    vec3 surface = mix(a, b, 0.35);
+    float mu = max(dot(normalize(vNormalW), normalize(eyePosition - vPositionW)), 0.0);
+    float limb = 1.0 - 0.6 * (1.0 - sqrt(mu));
+    gl_FragColor = vec4(surface * tint * limb * intensity, 1.0);
+    #include<logDepthFragment>
+}`;
+
+// Square texture fading out from the centre; `ring` moves the bright part out to a halo
+function createRadialTexture(name, scene, size, ring = 0) {
+    const texture = new BABYLON.DynamicTexture(name, { width: size, height: size }, scene, true);
+    const context = texture.getContext();
+    const half = size / 2;
+    const gradient = context.createRadialGradient(half, half, 0, half, half, half);
+    if (ring > 0) {
+        gradient.addColorStop(0, 'rgba(255,255,255,0)');
+        gradient.addColorStop(ring, 'rgba(255,255,255,0.6)');
+        gradient.addColorStop(Math.min(1, ring + 0.1), 'rgba(255,255,255,0)');
+    } else {
+        gradient.addColorStop(0, 'rgba(255,255,255,1)');
+        gradient.addColorStop(0.25, 'rgba(255,255,255,0.45)');
+        gradient.addColorStop(1, 'rgba(255,255,255,0)');
+    }
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, size, size);
+    texture.hasAlpha = true;
+    texture.update();
+    return texture;
+}
+
+/**
+ * Creates the star.
+ * @param {BABYLON.Scene} scene - The Babylon scene.
+ * @param {BABYLON.TransformNode} root - Node the star is parented to (it sits at its origin until the
+ *   floating origin moves it, see scale.js).
+ * @param {object} star - The system file's star entry ({ name, radius, material }).
+ * @param {object} assets - Asset manager (assets.js) for the surface texture.
+ * @param {object} [options]
+ * @param {number} [options.intensity=1.6] - Surface brightness; above 1 blooms with HDR on.
+ * @param {number} [options.shadowRange=200] - Farthest distance shadows are computed for.
+ * @param {number} [options.shadowMapSize=1024] - Resolution of each shadow cube face.
+ * @returns {object} The star: mesh, light, shadowGenerator, addShadowCaster(mesh),
+ *   setShadows(enabled) and the shadows getter.
+ */
+export function createSun(scene, root, star, assets, options = {}) {
+    const tint = BABYLON.Color3.FromArray(star.material?.emissive || [1, 1, 0]);
+
+    const mesh = BABYLON.MeshBuilder.CreateSphere(star.name, { diameter: star.radius * 2 }, scene);
+    mesh.parent = root;
+    const material = new BABYLON.ShaderMaterial('sunMat', scene, { vertex: SURFACE_VERTEX_SHADER, fragment: 'sunSurface' }, {
+        attributes: ['position', 'normal', 'uv'],
+        uniforms: ['world', 'worldViewProjection', 'eyePosition', 'tint', 'time', 'intensity'],
+        samplers: ['surfaceTexture']
+    });
+    // Plain tint until (or unless) the texture loads
+    material.setTexture('surfaceTexture', BABYLON.RawTexture.CreateRGBATexture(new Uint8Array([255, 255, 255, 255]), 1, 1, scene));
+    material.setColor3('tint', tint);
+    material.setFloat('intensity', options.intensity ?? 1.6);
+    material.onBindObservable.add(() => {
+        const effect = material.getEffect();
+        effect.setVector3('eyePosition', scene.activeCamera.globalPosition);
+        effect.setFloat('time', performance.now() / 1000); // Real time: the surface churns at any warp
+    });
+    mesh.material = material;
+    if (star.material?.diffuse) {
+        assets.loadTexture(star.material.diffuse).then(texture => { if (texture) material.setTexture('surfaceTexture', texture); });
+    }
+
+    // Corona: an additive glow billboard several radii across, breathing slowly
+    const corona = BABYLON.MeshBuilder.CreatePlane(`${star.name}Corona`, { size: star.radius * 8 }, scene);
+    corona.parent = mesh;
+    corona.billboardMode = BABYLON.Mesh.BILLBOARDMODE_ALL;
+    corona.isPickable = false;
+    const coronaMat = new BABYLON.StandardMaterial(`${star.name}CoronaMat`, scene);
+    const coronaTexture = createRadialTexture(`${star.name}CoronaTexture`, scene, 256);
+    coronaMat.emissiveTexture = coronaTexture;
+    coronaMat.opacityTexture = coronaTexture;
+    coronaMat.emissiveColor = tint;
+    coronaMat.diffuseColor = new BABYLON.Color3(0, 0, 0);
+    coronaMat.disableLighting = true;
+    coronaMat.alphaMode = BABYLON.Engine.ALPHA_ADD;
+    corona.material = coronaMat;
+    scene.onBeforeRenderObservable.add(() => {
+        corona.scaling.setAll(1 + 0.04 * Math.sin(performance.now() / 1000 * 0.8));
+    });
+
+    // Lens flares along the line from the star through the screen centre. Only meshes with
+    // isBlocker set (the bodies) hide them.
+    const flares = new BABYLON.LensFlareSystem(`${star.name}Flares`, mesh, scene);
+    const glowTexture = createRadialTexture(`${star.name}FlareGlow`, scene, 128);
+    const ringTexture = createRadialTexture(`${star.name}FlareRing`, scene, 128, 0.8);
+    [
+        { size: 0.4, position: 0, color: tint, texture: glowTexture },
+        { size: 0.05, position: 0.35, color: new BABYLON.Color3(0.6, 0.8, 1), texture: glowTexture },
+        { size: 0.12, position: 0.6, color: new BABYLON.Color3(0.5, 0.6, 1), texture: ringTexture },
+        { size: 0.03, position: 0.8, color: new BABYLON.Color3(1, 0.6, 0.4), texture: glowTexture },
+        { size: 0.2, position: 1.1, color: new BABYLON.Color3(0.4, 1, 0.6), texture: ringTexture }
+    ].forEach(({ size, position, color, texture }) => {
+        const flare = new BABYLON.LensFlare(size, position, color, null, flares);
+        flare.texture = texture;
+    });
+
+    // Sunlight: a point light at the star (no falloff, distances are stylized), moving with it
+    // when the floating origin moves the star away from zero (scale.js)
+    const light = new BABYLON.PointLight('sunLight', BABYLON.Vector3.Zero(), scene);
+    light.parent = mesh;
+    light.shadowMinZ = star.radius * 0.5;
+    light.shadowMaxZ = options.shadowRange ?? 200;
+    const shadowGenerator = new BABYLON.ShadowGenerator(options.shadowMapSize ?? 1024, light);
+    shadowGenerator.usePoissonSampling = true;
+    shadowGenerator.bias = 0.0005;
+
+    return {
+        mesh,
+        light,
+        shadowGenerator,
+        get shadows() { return light.shadowEnabled; },
+
+        /** Adds a mesh that casts shadows (receivers set mesh.receiveShadows themselves). */
+        addShadowCaster(caster) {
+            shadowGenerator.addShadowCaster(caster, false);
+        },
+
+        /** Turns shadow rendering on or off (off saves six extra passes per frame). */
+        setShadows(enabled) {
+            light.shadowEnabled = enabled;
+        }
+    };
+}
@@ -0,0 +1,220 @@
+// surface.js
+// Body rotation and surface coordinates. Every body spins about an axis tilted by its
+// axialTilt, at its sidereal period and phased to the simulation date, or keeps one face
+// towards its parent when tidally locked (system.js has the fields). Points on a surface
+// convert to latitude, longitude and local solar time, and two optional overlays draw the
+// latitude/longitude grid and the terminator.
+//
+// Frames: a body's node carries its position, an axis node under it the tilt (the north pole
+// leans from the ecliptic pole towards ecliptic longitude 90°, scene +z, like Earth's), and
+// the mesh under that the spin. Rotation angles run eastwards, the way the planets orbit
+// (scene +x towards +z), from the equator's ascending node on scene +x. Latitude and
+// longitude are the texture's: Babylon's sphere puts the top of the image at local +y and
+// longitude 0 (the middle column) on local -x, longitudes growing towards local -z.
+
+const DEG = Math.PI / 180;
+const J2000 = Date.UTC(2000, 0, 1, 12); // The epoch of rotationAtEpoch
+const MS_PER_HOUR = 3600 * 1000;
+const GRID_STEP = 30; // Degrees between grid lines
+const GRID_SAMPLES = 72; // Points per circle
+const GRID_HEIGHT = 1.004; // Overlay radii, in body radii: just above the surface
+const TERMINATOR_HEIGHT = 1.008;
+const GRID_COLOR = new BABYLON.Color3(0.5, 0.7, 0.85);
+const TERMINATOR_COLOR = new BABYLON.Color3(1, 0.75, 0.3);
+
+// Angle of a mesh-local direction around the axis, measured like the texture's u
+const azimuth = (v) => Math.atan2(-v.z, v.x);
+const wrap = (value, period) => ((value % period) + period) % period;
+
+// Mesh rotation for a rotation angle: the prime meridian (local -x) on +x at angle 0
+const meshRotation = (angle) => Math.PI - angle;
+
+/**
+ * Creates the node a body's mesh (and its clouds, atmosphere and rings) hang from, tilted by
+ * the body's axialTilt.
+ * @param {string} name - Node name.
+ * @param {BABYLON.Scene} scene - The Babylon scene.
+ * @param {BABYLON.Node} parent - The body's node.
+ * @param {object} body - Body from the system file.
+ * @returns {BABYLON.TransformNode} The axis node.
+ */
+export function createSpinAxis(name, scene, parent, body) {
+    const axis = new BABYLON.TransformNode(name, scene);
+    axis.parent = parent;
+    axis.rotation.x = (body.axialTilt ?? 0) * DEG;
+    return axis;
+}
+
+/**
+ * Rotation angle of something turning at a fixed period, e.g. a body or its cloud layer.
+ * @param {number} periodHours - Sidereal period; negative turns backwards.
+ * @param {Date} date - Simulation date.
+ * @param {number} [atEpoch=0] - Angle at J2000, in degrees.
+ * @returns {number} Radians, eastwards from the equator's ascending node.
+ */
+export function rotationAngle(periodHours, date, atEpoch = 0) {
+    const turns = (date.getTime() - J2000) / MS_PER_HOUR / periodHours + atEpoch / 360;
+    return wrap(turns, 1) * 2 * Math.PI;
+}
+
+/**
+ * Rotation angle that points the prime meridian along a direction (for tidal locking).
+ * @param {{x:number,y:number,z:number}} direction - In the space of the body's node.
+ * @param {number} [axialTilt=0] - Degrees.
+ * @returns {number} Radians, eastwards from the equator's ascending node.
+ */
+export function facingAngle(direction, axialTilt = 0) {
+    const tilt = axialTilt * DEG;
+    return Math.atan2(direction.z * Math.cos(tilt) - direction.y * Math.sin(tilt), direction.x);
+}
+
+/**
+ * Turns a body's mesh to its rotation at a date. Bodies without a period or tidal locking
+ * stay at their rotationAtEpoch, if they have one.
+ * @param {object} body - Body from scene.js (mesh and the spin fields of the system file).
+ * @param {Date} date - Simulation date.
+ * @param {{x:number,y:number,z:number}} [towards] - Direction to the parent, for tidally
+ *   locked bodies.
+ * @returns {number|null} The rotation angle (radians), or null if the body does not turn.
+ */
+export function spinBody(body, date, towards) {
+    const angle = body.tidallyLocked && towards ? facingAngle(towards, body.axialTilt)
+        : body.rotationPeriodHours ? rotationAngle(body.rotationPeriodHours, date, body.rotationAtEpoch)
+        : body.rotationAtEpoch !== undefined ? body.rotationAtEpoch * DEG
+        : null;
+    if (angle !== null) body.mesh.rotation.y = meshRotation(angle);
+    return angle;
+}
+
+/**
+ * Turns a cloud layer (planets.js) to its rotation at a date.
+ * @param {object} layer - From createCloudLayer, parented to the body's axis node.
+ * @param {number} periodDays - The layer's rotation period; negative turns backwards.
+ * @param {Date} date - Simulation date.
+ */
+export function spinCloudLayer(layer, periodDays, date) {
+    layer.setRotation(meshRotation(rotationAngle(periodDays * 24, date)));
+}
+
+/**
+ * Converts a world position into a body mesh's own space, where the surface functions work.
+ * @param {BABYLON.AbstractMesh} mesh - The body's mesh.
+ * @param {BABYLON.Vector3} position - World position.
+ * @returns {BABYLON.Vector3}
+ */
+export function toSurfaceSpace(mesh, position) {
+    return BABYLON.Vector3.TransformCoordinates(position, mesh.getWorldMatrix().clone().invert());
+}
+
+/**
+ * Latitude and longitude of a point on (or over) a body.
+ * @param {{x:number,y:number,z:number}} point - In the mesh's space.
+ * @returns {{latitude:number, longitude:number}} Degrees; longitude in [-180, 180).
+ */
+export function surfaceCoordinates(point) {
+    const r = Math.hypot(point.x, point.y, point.z);
+    return {
+        latitude: Math.asin(point.y / r) / DEG,
+        longitude: wrap(azimuth(point) / DEG, 360) - 180
+    };
+}
+
+/**
+ * Local solar time at a point: 12 with the star on the point's meridian, advancing with the
+ * body's rotation (so it works the same for bodies that spin backwards or are locked).
+ * @param {{x:number,y:number,z:number}} point - In the mesh's space.
+ * @param {{x:number,y:number,z:number}} star - The star's position in the mesh's space.
+ * @returns {number} Hours in [0, 24).
+ */
+export function localSolarTime(point, star) {
+    // The star drifts towards growing azimuth as the mesh turns the other way
+    const hourAngle = azimuth(star) - azimuth(point);
+    return wrap(12 + hourAngle / (2 * Math.PI) * 24, 24);
+}
+
+// Mesh-space point at a latitude/longitude and radius
+const surfacePoint = (latitude, longitude, radius) => {
+    const lat = latitude * DEG;
+    const a = (longitude + 180) * DEG;
+    return new BABYLON.Vector3(radius * Math.cos(lat) * Math.cos(a), radius * Math.sin(lat), -radius * Math.cos(lat) * Math.sin(a));
+};
+
+/**
+ * Creates the latitude/longitude grids and terminators of the bodies (hidden until turned on).
+ * Grids turn with their mesh; terminators hang off the node and face the star.
+ * @param {BABYLON.Scene} scene - The Babylon scene.
+ * @param {Array<object>} bodies - Bodies with name, diameter, node, mesh and position (scene.js).
+ * @returns {object} The overlays: setGrid(visible), setTerminator(visible), update(starPosition)
+ *   (once per frame, with the star in root space) and the grid and terminator flags.
+ */
+export function createSurfaceOverlays(scene, bodies) {
+    let grid = false;
+    let terminator = false;
+
+    const grids = bodies.map(body => {
+        const radius = body.diameter / 2 * GRID_HEIGHT;
+        const lines = [];
+        for (let lon = -180; lon < 180; lon += GRID_STEP) {
+            const meridian = [];
+            for (let i = 0; i <= GRID_SAMPLES / 2; i++) meridian.push(surfacePoint(-90 + i * 360 / GRID_SAMPLES, lon, radius));
+            lines.push(meridian);
+        }
+        for (let lat = -90 + GRID_STEP; lat < 90; lat += GRID_STEP) {
+            const parallel = [];
+            for (let i = 0; i <= GRID_SAMPLES; i++) parallel.push(surfacePoint(lat, i * 360 / GRID_SAMPLES, radius));
+            lines.push(parallel);
+        }
+        const mesh = BABYLON.MeshBuilder.CreateLineSystem(`${body.name}Grid`, { lines }, scene);
+        mesh.color = GRID_COLOR;
+        mesh.parent = body.mesh;
+        mesh.isPickable = false;
+        mesh.setEnabled(false);
+        return mesh;
+    });
+
+    // A great circle around the node's y axis, turned towards the star in update()
+    const terminators = bodies.map(body => {
+        const radius = body.diameter / 2 * TERMINATOR_HEIGHT;
+        const points = [];
+        for (let i = 0; i <= GRID_SAMPLES; i++) points.push(surfacePoint(0, i * 360 / GRID_SAMPLES, radius));
+        const mesh = BABYLON.MeshBuilder.CreateLines(`${body.name}Terminator`, { points }, scene);
+        mesh.color = TERMINATOR_COLOR;
+        mesh.parent = body.node;
+        mesh.rotationQuaternion = new BABYLON.Quaternion();
+        mesh.isPickable = false;
+        mesh.setEnabled(false);
+        return { body, mesh };
+    });
+
+    const toStar = new BABYLON.Vector3();
+    return {
+        get grid() { return grid; },
+        get terminator() { return terminator; },
+
+        /** Shows or hides the latitude/longitude grids. */
+        setGrid(visible) {
+            grid = visible;
+            grids.forEach(mesh => mesh.setEnabled(visible));
+        },
+
+        /** Shows or hides the terminators. */
+        setTerminator(visible) {
+            terminator = visible;
+            terminators.forEach(({ mesh }) => mesh.setEnabled(visible));
+        },
+
+        /**
+         * Turns the terminators towards the star.
+         * @param {BABYLON.Vector3} starPosition - In root space, like the bodies' positions.
+         */
+        update(starPosition) {
+            if (!terminator) return;
+            terminators.forEach(({ body, mesh }) => {
+                starPosition.subtractToRef(body.position, toStar);
+                if (toStar.lengthSquared() === 0) return;
+                toStar.normalize();
+                BABYLON.Quaternion.FromUnitVectorsToRef(BABYLON.Vector3.UpReadOnly, toStar, mesh.rotationQuaternion);
+            });
+        }
+    };
+}
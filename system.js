@@ -0,0 +1,290 @@
+// system.js
+// Data-driven star systems: the scene is built from a system description file (JSON, or YAML
+// when js-yaml is loaded) instead of hardcoded tables. solar-system.json is the default;
+// pick another with ?system=path/to/file.yaml.
+//
+// Units are the simulation's own: distances and sizes in scene units, masses relative to
+// each other (the star's mass sets the scale), G from physics.G. physics.referenceOrbit
+// calibrates time: a circular orbit of that radius takes periodDays simulated days.
+// The optional real-world figures (star.solarMasses, radiusKm, distanceKm, the belts' *Km
+// fields) are only used by the logarithmic and real scales (scale.js). Spin and axial tilt
+// are in hours and degrees (surface.js).
+
+export const DEFAULT_SYSTEM_URL = 'solar-system.json';
+
+/** Thrown when a system file cannot be parsed or does not match the schema. */
+export class SystemDefinitionError extends Error {
+    /**
+     * @param {string} source - File the definition came from.
+     * @param {string[]} problems - One message per problem, each starting with its path.
+     */
+    constructor(source, problems) {
+        super(`Invalid system definition ${source}:\n  ${problems.join('\n  ')}`);
+        this.name = 'SystemDefinitionError';
+        this.source = source;
+        this.problems = problems;
+    }
+}
+
+// --- Schema ---
+// type: 'object' | 'array' | 'number' | 'string' | 'boolean' | 'color'; objects list their properties
+// (anything else is reported as unknown, which catches typos) and which are required.
+
+const positive = { type: 'number', exclusiveMinimum: 0 };
+const nonNegative = { type: 'number', minimum: 0 };
+const angle = { type: 'number' }; // Degrees
+const color = { type: 'color' }; // [r, g, b], 0..1
+
+const MATERIAL = {
+    type: 'object',
+    properties: {
+        diffuse: { type: 'string' }, // Texture file names
+        bump: { type: 'string' }, // Normal map
+        specular: { type: 'string' },
+        night: { type: 'string' }, // City lights; switches the body to the day/night shader
+        color, // Diffuse colour without a texture, and the tint of the stand-in for one that fails to load
+        emissive: color
+    }
+};
+
+const BODY = {
+    type: 'object',
+    required: ['name', 'diameter', 'distance', 'mass'],
+    properties: {
+        name: { type: 'string' },
+        diameter: positive,
+        distance: positive, // Semi-major axis around the parent
+        mass: nonNegative,
+        radiusKm: positive, // Real size and orbit; without distanceKm the orbit comes from the
+        distanceKm: positive, // ephemeris or from periodDays and the real masses
+        // Orbital elements; anything missing comes from the ephemeris or a flat circular orbit
+        semiMajorAxis: positive,
+        eccentricity: { type: 'number', minimum: 0, exclusiveMaximum: 1 },
+        inclination: angle,
+        longitudeOfAscendingNode: angle,
+        argumentOfPeriapsis: angle,
+        meanAnomalyAtEpoch: angle,
+        periodDays: positive,
+        angle, // Starting angle (degrees) of a flat circular orbit without elements
+        // Spin: sidereal period, obliquity to the ecliptic (past 90 the body turns backwards) and
+        // the prime meridian's angle at J2000, eastwards from the equator's ascending node.
+        // A tidally locked body keeps its prime meridian towards its parent instead.
+        rotationPeriodHours: positive,
+        axialTilt: { type: 'number', minimum: 0, maximum: 180 },
+        rotationAtEpoch: angle,
+        tidallyLocked: { type: 'boolean' },
+        material: MATERIAL,
+        clouds: {
+            type: 'object',
+            required: ['texture'],
+            properties: {
+                texture: { type: 'string' }, // Brightness is opacity
+                opacity: { type: 'number', minimum: 0, maximum: 1 },
+                periodDays: { type: 'number' } // Rotation period of the layer about the body's axis; negative turns it backwards
+            }
+        },
+        atmosphere: {
+            type: 'object',
+            required: ['color'],
+            properties: {
+                color, // Scattered light
+                thickness: positive, // In planet radii
+                intensity: positive
+            }
+        },
+        rings: {
+            type: 'object',
+            required: ['innerRadius', 'outerRadius'],
+            properties: {
+                innerRadius: positive, // In planet radii
+                outerRadius: positive,
+                texture: { type: 'string' },
+                color
+            }
+        }
+    }
+};
+BODY.properties.moons = { type: 'array', items: BODY };
+
+const BELT = {
+    type: 'object',
+    required: ['name', 'count', 'minRadius', 'maxRadius'],
+    properties: {
+        name: { type: 'string' }, // Also the URL parameter overriding count (?asteroids=50000)
+        count: { type: 'number', minimum: 0, integer: true },
+        minRadius: positive,
+        maxRadius: positive,
+        height: nonNegative,
+        minSize: positive,
+        maxSize: positive,
+        density: positive, // Mass = size^3 * density
+        minRadiusKm: positive, // Real extent and asteroid sizes (radii); without them the belt
+        maxRadiusKm: positive, // is placed between the planets as in the stylized layout
+        minSizeKm: positive,
+        maxSizeKm: positive
+    }
+};
+
+const SYSTEM_SCHEMA = {
+    type: 'object',
+    required: ['name', 'star', 'bodies'],
+    properties: {
+        name: { type: 'string' },
+        description: { type: 'string' },
+        ephemeris: { type: 'string', enum: ['j2000', 'none'] }, // 'j2000': real planet positions from orbits.js
+        background: { type: 'string' },
+        physics: {
+            type: 'object',
+            properties: {
+                G: positive,
+                referenceOrbit: {
+                    type: 'object',
+                    required: ['distance', 'periodDays'],
+                    properties: { distance: positive, periodDays: positive }
+                }
+            }
+        },
+        star: {
+            type: 'object',
+            required: ['name', 'mass', 'radius'],
+            properties: {
+                name: { type: 'string' },
+                mass: positive,
+                radius: positive,
+                solarMasses: positive, // Real mass (1 by default), which fixes what a mass unit weighs
+                radiusKm: positive,
+                material: MATERIAL // emissive tints the surface, corona and flare
+            }
+        },
+        bodies: { type: 'array', items: BODY },
+        belts: { type: 'array', items: BELT }
+    }
+};
+
+const describe = (value) => Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+function checkValue(schema, value, path, problems) {
+    switch (schema.type) {
+        case 'object': {
+            if (describe(value) !== 'object') return problems.push(`${path}: expected an object, got ${describe(value)}`);
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) problems.push(`${path}.${key}: required`);
+            });
+            Object.keys(value).forEach(key => {
+                const property = schema.properties[key];
+                if (!property) problems.push(`${path}.${key}: unknown property`);
+                else checkValue(property, value[key], `${path}.${key}`, problems);
+            });
+            return;
+        }
+        case 'array':
+            if (!Array.isArray(value)) return problems.push(`${path}: expected an array, got ${describe(value)}`);
+            value.forEach((item, i) => checkValue(schema.items, item, `${path}[${i}]`, problems));
+            return;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return problems.push(`${path}: expected a number, got ${describe(value)}`);
+            if (schema.integer && !Number.isInteger(value)) problems.push(`${path}: expected a whole number, got ${value}`);
+            if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${path}: must be at least ${schema.minimum}, got ${value}`);
+            if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${path}: must be at most ${schema.maximum}, got ${value}`);
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) problems.push(`${path}: must be greater than ${schema.exclusiveMinimum}, got ${value}`);
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) problems.push(`${path}: must be less than ${schema.exclusiveMaximum}, got ${value}`);
+            return;
+        case 'string':
+            if (typeof value !== 'string') return problems.push(`${path}: expected a string, got ${describe(value)}`);
+            if (schema.enum && !schema.enum.includes(value)) problems.push(`${path}: must be one of ${schema.enum.join(', ')}, got '${value}'`);
+            return;
+        case 'boolean':
+            if (typeof value !== 'boolean') problems.push(`${path}: expected true or false, got ${describe(value)}`);
+            return;
+        case 'color':
+            if (!Array.isArray(value) || value.length !== 3 || !value.every(c => typeof c === 'number' && c >= 0 && c <= 1)) {
+                problems.push(`${path}: expected a colour [r, g, b] with components between 0 and 1`);
+            }
+            return;
+    }
+}
+
+// Rules the schema cannot express
+function checkConsistency(system, problems) {
+    const names = new Set([system.star.name]);
+    const checkNames = (bodies, path) => bodies.forEach((body, i) => {
+        if (names.has(body.name)) problems.push(`${path}[${i}].name: '${body.name}' is used twice`);
+        names.add(body.name);
+        if (body.rings && body.rings.outerRadius <= body.rings.innerRadius) {
+            problems.push(`${path}[${i}].rings: outerRadius must be larger than innerRadius`);
+        }
+        if (body.moons) checkNames(body.moons, `${path}[${i}].moons`);
+    });
+    checkNames(system.bodies, 'system.bodies');
+    (system.belts || []).forEach((belt, i) => {
+        if (belt.maxRadius < belt.minRadius) problems.push(`system.belts[${i}]: maxRadius must not be below minRadius`);
+        if ((belt.maxSize ?? 0) < (belt.minSize ?? 0)) problems.push(`system.belts[${i}]: maxSize must not be below minSize`);
+        if ((belt.maxRadiusKm ?? Infinity) < (belt.minRadiusKm ?? 0)) problems.push(`system.belts[${i}]: maxRadiusKm must not be below minRadiusKm`);
+        if ((belt.maxSizeKm ?? Infinity) < (belt.minSizeKm ?? 0)) problems.push(`system.belts[${i}]: maxSizeKm must not be below minSizeKm`);
+    });
+}
+
+/**
+ * Validates a parsed system description and fills in defaults.
+ * @param {object} data - Parsed JSON/YAML.
+ * @param {string} [source='system'] - Name used in error messages.
+ * @returns {object} The system with physics, belts and their defaults filled in.
+ * @throws {SystemDefinitionError} Listing every problem found.
+ */
+export function validateSystem(data, source = 'system') {
+    const problems = [];
+    checkValue(SYSTEM_SCHEMA, data, 'system', problems);
+    if (!problems.length) checkConsistency(data, problems);
+    if (problems.length) throw new SystemDefinitionError(source, problems);
+
+    const G = data.physics?.G ?? 0.1;
+    return {
+        ...data,
+        ephemeris: data.ephemeris || 'none',
+        physics: {
+            G,
+            // Without a reference orbit, one physics time unit lasts one simulated day
+            referenceOrbit: data.physics?.referenceOrbit || { distance: 1, periodDays: 2 * Math.PI * Math.sqrt(1 / (G * data.star.mass)) }
+        },
+        belts: (data.belts || []).map(belt => ({ height: 1, minSize: 0.05, maxSize: 0.15, density: 5, ...belt }))
+    };
+}
+
+/**
+ * Parses system file contents; YAML needs the js-yaml global (loaded in index.html).
+ * @param {string} text - File contents.
+ * @param {string} source - File name or URL, used to pick the format and in errors.
+ * @returns {object} The validated system.
+ * @throws {SystemDefinitionError}
+ */
+export function parseSystem(text, source) {
+    let data;
+    try {
+        if (/\.ya?ml$/i.test(source)) {
+            if (typeof jsyaml === 'undefined') throw new Error('YAML support needs js-yaml, which is not loaded');
+            data = jsyaml.load(text);
+        } else {
+            data = JSON.parse(text);
+        }
+    } catch (e) {
+        throw new SystemDefinitionError(source, [`could not be parsed: ${e.message}`]);
+    }
+    return validateSystem(data, source);
+}
+
+/**
+ * Fetches and validates a system description.
+ * @param {string} [url=DEFAULT_SYSTEM_URL]
+ * @returns {Promise<object>} The validated system.
+ * @throws {SystemDefinitionError}
+ */
+export async function loadSystem(url = DEFAULT_SYSTEM_URL) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (e) {
+        throw new SystemDefinitionError(url, [`could not be loaded: ${e.message}`]);
+    }
+    if (!response.ok) throw new SystemDefinitionError(url, [`could not be loaded: HTTP ${response.status}`]);
+    return parseSystem(await response.text(), url);
+}
@@ -0,0 +1,252 @@
+// trajectory.js
+// Predicted ship orbit and KSP-style maneuver nodes.
+// The prediction itself runs in the physics worker ('predict' message); this module asks
+// for it a few times per second, draws the returned path, node markers and closest-approach
+// markers, and executes nodes as impulsive burns when the simulation clock reaches them.
+// Predictions come back relative to the floating origin they were requested with (scale.js);
+// everything drawn hangs off a node that keeps them there when the origin moves on.
+
+const PREDICTION_INTERVAL_MS = 250; // How often a new prediction is requested
+const MIN_DURATION = 20; // Prediction length bounds, in physics time units
+const MAX_DURATION = 400;
+const PATH_COLOR = new BABYLON.Color3(0.3, 0.8, 1.0);
+const NODE_PATH_COLOR = new BABYLON.Color3(1.0, 0.6, 0.1);
+
+/**
+ * Prograde / normal / radial unit vectors for a ship state relative to the Sun
+ * (the same frame the worker uses when it applies a node).
+ * @param {BABYLON.Vector3} position - Ship position relative to the Sun.
+ * @param {BABYLON.Vector3} velocity - Ship velocity.
+ * @returns {{prograde: BABYLON.Vector3, normal: BABYLON.Vector3, radial: BABYLON.Vector3}}
+ */
+export function maneuverFrame(position, velocity) {
+    const prograde = velocity.normalizeToNew();
+    const normal = new BABYLON.Vector3(
+        position.y * velocity.z - position.z * velocity.y,
+        position.z * velocity.x - position.x * velocity.z,
+        position.x * velocity.y - position.y * velocity.x
+    ).normalize();
+    const radial = new BABYLON.Vector3(
+        normal.y * prograde.z - normal.z * prograde.y,
+        normal.z * prograde.x - normal.x * prograde.z,
+        normal.x * prograde.y - normal.y * prograde.x
+    );
+    return { prograde, normal, radial };
+}
+
+/**
+ * Creates the trajectory planner.
+ * @param {object} options
+ * @param {BABYLON.Scene} options.scene - The Babylon scene.
+ * @param {BABYLON.TransformNode} options.root - Node the markers are parented to (physics space).
+ * @param {object} options.origin - The floating origin ({ x, y, z }; root space is relative to it, see scale.js).
+ * @param {Worker} options.worker - The physics worker.
+ * @param {object} options.flight - Flight model from createFlightModel.
+ * @param {object} options.clock - Simulation clock from createSimulationClock.
+ * @param {Array} options.bodies - Planet and moon entries from createScene (orbit, meanAnomaly, meanMotion,
+ *   mass, parentName), parents before their moons.
+ * @param {number} options.mu - G * sunMass in scene units.
+ * @param {number} options.secondsPerPhysicsUnit - Simulated seconds per physics time unit.
+ * @param {number} [options.scale=1] - Grows the markers for layouts larger than the stylized one
+ *   (the scale model's lengthFactor, scale.js).
+ * @returns {object} The planner: update(), handlePrediction(payload), addNode(), removeNode(node),
+ *   setNodeTimeFraction(node, fraction), plus nodes, closestApproaches and predictionDuration.
+ */
+export function createTrajectoryPlanner({ scene, root, worker, flight, clock, bodies, origin, mu, secondsPerPhysicsUnit, scale = 1 }) {
+    const nodes = []; // { id, time (clock seconds), prograde, normal, radial }
+    let nextNodeId = 1;
+    let requestId = 0;
+    let pendingRequest = null;
+    let lastRequestTime = 0;
+    let duration = MIN_DURATION; // Physics units covered by the current prediction
+    let closestApproaches = [];
+    let pathMeshes = [];
+    // Path and markers, placed at the origin of the prediction they come from
+    const frame = new BABYLON.TransformNode('trajectoryFrame', scene);
+    frame.parent = root;
+    let frameOrigin = { x: origin.x, y: origin.y, z: origin.z };
+    const placeFrame = () => frame.position.set(frameOrigin.x - origin.x, frameOrigin.y - origin.y, frameOrigin.z - origin.z);
+    // Ship position relative to the Sun
+    const heliocentric = () => flight.state.position.add(new BABYLON.Vector3(origin.x, origin.y, origin.z));
+
+    // --- Markers ---
+    const nodeMarkerMat = new BABYLON.StandardMaterial('maneuverNodeMat', scene);
+    nodeMarkerMat.emissiveColor = NODE_PATH_COLOR;
+    nodeMarkerMat.disableLighting = true;
+    const approachMarkerMat = new BABYLON.StandardMaterial('closestApproachMat', scene);
+    approachMarkerMat.emissiveColor = new BABYLON.Color3(1, 0.2, 0.8);
+    approachMarkerMat.disableLighting = true;
+
+    const nodeMarkers = new Map(); // node id -> mesh
+    const approachMarkers = new Map(); // planet name -> { marker, link }
+
+    const makeMarker = (name, diameter, material) => {
+        const marker = BABYLON.MeshBuilder.CreateSphere(name, { diameter: diameter * scale, segments: 8 }, scene);
+        marker.material = material;
+        marker.isPickable = false;
+        marker.parent = frame;
+        return marker;
+    };
+
+    // Ship orbital period around the Sun (vis-viva), clamped; unbound orbits get the maximum
+    function predictionLength() {
+        const r = heliocentric().length();
+        const v2 = flight.state.velocity.lengthSquared();
+        const inverseA = 2 / r - v2 / mu;
+        if (inverseA <= 0) return MAX_DURATION;
+        const period = 2 * Math.PI * Math.sqrt(1 / (inverseA * inverseA * inverseA) / mu);
+        return Math.max(MIN_DURATION, Math.min(MAX_DURATION, period * 1.05));
+    }
+
+    function requestPrediction() {
+        duration = predictionLength();
+        pendingRequest = ++requestId;
+        lastRequestTime = performance.now();
+        worker.postMessage({
+            type: 'predict',
+            payload: {
+                requestId: pendingRequest,
+                duration,
+                ship: {
+                    position: { x: flight.state.position.x, y: flight.state.position.y, z: flight.state.position.z },
+                    velocity: { x: flight.state.velocity.x, y: flight.state.velocity.y, z: flight.state.velocity.z }
+                },
+                nodes: nodes
+                    .filter(node => node.time >= clock.elapsed)
+                    .map(node => ({ ...node, time: (node.time - clock.elapsed) / secondsPerPhysicsUnit })),
+                // Kinematic planets and moons for the worker to evaluate (only the moons in N-body mode)
+                planets: bodies.map(p => ({
+                    id: p.name,
+                    parent: p.parentName,
+                    mass: p.mass,
+                    radius: p.diameter / 2,
+                    orbit: p.orbit,
+                    meanAnomaly: p.meanAnomaly,
+                    meanMotion: p.meanMotion * secondsPerPhysicsUnit
+                }))
+            }
+        });
+    }
+
+    // Burns every node the clock has reached, as an instant delta-v (fuel permitting)
+    function executeDueNodes() {
+        while (nodes.length && clock.direction > 0 && nodes[0].time <= clock.elapsed) {
+            const node = nodes.shift();
+            const axes = maneuverFrame(heliocentric(), flight.state.velocity);
+            const deltaV = axes.prograde.scale(node.prograde)
+                .addInPlace(axes.normal.scale(node.normal))
+                .addInPlace(axes.radial.scale(node.radial));
+            flight.applyImpulse(deltaV);
+            removeNodeMarker(node);
+        }
+    }
+
+    function removeNodeMarker(node) {
+        if (nodeMarkers.has(node.id)) {
+            nodeMarkers.get(node.id).dispose();
+            nodeMarkers.delete(node.id);
+        }
+    }
+
+    function drawPath(points, nodeIndices) {
+        pathMeshes.forEach(mesh => mesh.dispose());
+        pathMeshes = [];
+
+        // One line per segment: before the first node, then after each node
+        const breaks = [0, ...nodeIndices, points.length / 3 - 1];
+        for (let s = 0; s < breaks.length - 1; s++) {
+            const segment = [];
+            for (let i = breaks[s]; i <= breaks[s + 1]; i++) {
+                segment.push(new BABYLON.Vector3(points[i * 3], points[i * 3 + 1], points[i * 3 + 2]));
+            }
+            if (segment.length < 2) continue;
+            const line = BABYLON.MeshBuilder.CreateLines(`trajectory_${s}`, { points: segment }, scene);
+            line.color = s === 0 ? PATH_COLOR : NODE_PATH_COLOR;
+            line.isPickable = false;
+            line.parent = frame;
+            pathMeshes.push(line);
+        }
+    }
+
+    function drawApproaches(approaches) {
+        approaches.forEach(approach => {
+            if (!approach.shipPosition) return;
+            let entry = approachMarkers.get(approach.id);
+            if (!entry) {
+                entry = { marker: makeMarker(`closestApproach_${approach.id}`, 0.3, approachMarkerMat), link: null };
+                approachMarkers.set(approach.id, entry);
+            }
+            const shipPos = new BABYLON.Vector3(approach.shipPosition.x, approach.shipPosition.y, approach.shipPosition.z);
+            const planetPos = new BABYLON.Vector3(approach.planetPosition.x, approach.planetPosition.y, approach.planetPosition.z);
+            entry.marker.position.copyFrom(shipPos);
+            entry.link = BABYLON.MeshBuilder.CreateLines(`closestApproachLink_${approach.id}`, {
+                points: [shipPos, planetPos],
+                instance: entry.link || undefined,
+                updatable: true
+            }, scene);
+            entry.link.color = approachMarkerMat.emissiveColor;
+            entry.link.isPickable = false;
+            entry.link.parent = frame;
+        });
+    }
+
+    return {
+        nodes,
+        get closestApproaches() { return closestApproaches; },
+        /** Simulated seconds covered by the current prediction. */
+        get predictionDuration() { return duration * secondsPerPhysicsUnit; },
+
+        /** Call once per frame. */
+        update() {
+            executeDueNodes();
+            placeFrame();
+            if (!pendingRequest && performance.now() - lastRequestTime > PREDICTION_INTERVAL_MS) {
+                requestPrediction();
+            }
+        },
+
+        /** Handles a 'prediction' message from the worker (points: null if it had none). */
+        handlePrediction(payload) {
+            if (payload.requestId !== pendingRequest) return;
+            pendingRequest = null;
+            if (!payload.points) return; // Keep the last path; the next request comes after the usual interval
+            frameOrigin = payload.origin;
+            placeFrame();
+            drawPath(payload.points, payload.nodeIndices);
+            drawApproaches(payload.closestApproaches);
+            closestApproaches = payload.closestApproaches.map(a => ({
+                ...a,
+                time: clock.elapsed + a.time * secondsPerPhysicsUnit
+            }));
+
+            // Node markers sit where the burn happens on the predicted path
+            const upcoming = nodes.filter(node => node.time >= clock.elapsed);
+            payload.nodeStates.forEach((state, i) => {
+                const node = upcoming[i];
+                if (!node) return;
+                if (!nodeMarkers.has(node.id)) nodeMarkers.set(node.id, makeMarker(`maneuverNode_${node.id}`, 0.4, nodeMarkerMat));
+                nodeMarkers.get(node.id).position.set(state.position.x, state.position.y, state.position.z);
+            });
+        },
+
+        /** Adds a node a quarter of the way along the current prediction. */
+        addNode() {
+            const node = { id: nextNodeId++, time: clock.elapsed + 0.25 * duration * secondsPerPhysicsUnit, prograde: 0, normal: 0, radial: 0 };
+            nodes.push(node);
+            nodes.sort((a, b) => a.time - b.time);
+            return node;
+        },
+
+        removeNode(node) {
+            const index = nodes.indexOf(node);
+            if (index >= 0) nodes.splice(index, 1);
+            removeNodeMarker(node);
+        },
+
+        /** Moves a node to a fraction (0..1) of the way along the current prediction. */
+        setNodeTimeFraction(node, fraction) {
+            node.time = clock.elapsed + fraction * duration * secondsPerPhysicsUnit;
+            nodes.sort((a, b) => a.time - b.time);
+        }
+    };
+}
@@ -0,0 +1,168 @@
+// transport.js
+// Binary body-state transport between the physics worker and the main thread.
+//
+// Asteroid positions and velocities travel as Float32Arrays (x, y, z per body, in the
+// order of the last 'layout' message) instead of arrays of objects. Positions are written
+// relative to the main thread's floating origin (scale.js), which each frame carries along,
+// so they keep their precision far from the star. Two modes:
+//   - shared:   SharedArrayBuffer with two slots. The worker writes the slot the main
+//               thread is not reading and bumps VERSION; the main thread reads the newest
+//               slot and stores it in ACK. The worker only reuses a slot once it was acked.
+//               Needs a cross-origin isolated page (COOP/COEP headers).
+//   - transfer: fresh ArrayBuffers are transferred with each update; the main thread hands
+//               the previous frame's buffers back with the next tick for reuse.
+// The shared buffers have a fixed capacity; once fragmentation makes more bodies than fit,
+// the worker falls back to transfer mode for good and says so in that update
+// (sharedOverflow), and the main thread follows.
+
+const VERSION = 0; // Last published frame
+const ACK = 1; // Last frame the main thread finished reading
+const COUNT = 2; // COUNT + slot: body count written to that slot
+const LAYOUT = 4; // LAYOUT + slot: layout version the slot was written with
+const CONTROL_SIZE = 6;
+const IDENTITY_FRAME = { lengthScale: 1, velocityScale: 1, origin: { x: 0, y: 0, z: 0 } };
+
+/**
+ * Whether SharedArrayBuffer can be used on this page.
+ * @returns {boolean}
+ */
+export function canShareMemory() {
+    return typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated === true;
+}
+
+/**
+ * Allocates the shared double buffer (main thread), to be passed to the worker in 'init'.
+ * @param {number} capacity - Maximum number of bodies.
+ * @returns {object} { capacity, control, positions: [slot0, slot1], velocities: [slot0, slot1],
+ *   origins: x, y, z of slot 0 then slot 1 }
+ */
+export function createSharedState(capacity) {
+    const floats = () => new Float32Array(new SharedArrayBuffer(capacity * 3 * Float32Array.BYTES_PER_ELEMENT));
+    return {
+        capacity,
+        control: new Int32Array(new SharedArrayBuffer(CONTROL_SIZE * Int32Array.BYTES_PER_ELEMENT)),
+        positions: [floats(), floats()],
+        velocities: [floats(), floats()],
+        origins: new Float64Array(new SharedArrayBuffer(6 * Float64Array.BYTES_PER_ELEMENT))
+    };
+}
+
+/**
+ * Worker side: packs body states for the next 'update' message.
+ * @param {object|null} shared - State from createSharedState, or null for transfer mode.
+ * @returns {{publish: function, recycle: function}} publish(bodies, layoutVersion, frame) returns
+ *   { fields, transfer }: extra payload fields and the transfer list for postMessage (with
+ *   sharedOverflow: the capacity, on the update that leaves shared mode). frame
+ *   converts the bodies' units: { lengthScale, velocityScale, origin }, written values being
+ *   position * lengthScale - origin and velocity * velocityScale (no conversion by default).
+ *   recycle(buffers) takes back ArrayBuffers returned by the main thread.
+ */
+export function createStatePublisher(shared) {
+    const pool = [];
+
+    const fill = (positions, velocities, bodies, count, frame) => {
+        const { lengthScale: l, velocityScale: v, origin } = frame;
+        for (let i = 0; i < count; i++) {
+            const b = bodies[i];
+            const o = i * 3;
+            positions[o] = b.position.x * l - origin.x; positions[o + 1] = b.position.y * l - origin.y; positions[o + 2] = b.position.z * l - origin.z;
+            velocities[o] = b.velocity.x * v; velocities[o + 1] = b.velocity.y * v; velocities[o + 2] = b.velocity.z * v;
+        }
+    };
+
+    const takeBuffer = (length) => {
+        const index = pool.findIndex(buffer => buffer.byteLength >= length * Float32Array.BYTES_PER_ELEMENT);
+        return index >= 0 ? new Float32Array(pool.splice(index, 1)[0], 0, length) : new Float32Array(length);
+    };
+
+    return {
+        publish(bodies, layoutVersion, frame = IDENTITY_FRAME) {
+            let overflow = null;
+            if (shared && bodies.length > shared.capacity) {
+                overflow = { sharedOverflow: shared.capacity };
+                shared = null;
+            }
+            if (shared) {
+                const { control } = shared;
+                const version = Atomics.load(control, VERSION);
+                // Main thread still reading the slot we would overwrite: skip this frame
+                if (Atomics.load(control, ACK) < version - 1) return { fields: { shared: true }, transfer: [] };
+                const slot = (version + 1) % 2;
+                const count = bodies.length;
+                fill(shared.positions[slot], shared.velocities[slot], bodies, count, frame);
+                shared.origins.set([frame.origin.x, frame.origin.y, frame.origin.z], slot * 3);
+                Atomics.store(control, COUNT + slot, count);
+                Atomics.store(control, LAYOUT + slot, layoutVersion);
+                Atomics.store(control, VERSION, version + 1);
+                return { fields: { shared: true }, transfer: [] };
+            }
+
+            const positions = takeBuffer(bodies.length * 3);
+            const velocities = takeBuffer(bodies.length * 3);
+            fill(positions, velocities, bodies, bodies.length, frame);
+            const { x, y, z } = frame.origin;
+            return {
+                fields: { positions, velocities, count: bodies.length, layoutVersion, origin: { x, y, z }, ...overflow },
+                transfer: [positions.buffer, velocities.buffer]
+            };
+        },
+
+        recycle(buffers) {
+            if (buffers) pool.push(...buffers);
+        }
+    };
+}
+
+/**
+ * Main-thread side: reads the newest body states from an 'update' payload.
+ * @param {object|null} shared - State from createSharedState, or null for transfer mode.
+ * @returns {{read: function, takeRecycled: function}} read(payload, layoutVersion) returns
+ *   { positions, velocities, count, origin } or null when there is nothing new for that
+ *   layout; positions are relative to origin.
+ *   takeRecycled() returns buffers to send back to the worker (transfer mode).
+ */
+export function createStateReader(shared) {
+    let lastVersion = 0;
+    let current = null; // Frame currently exposed to the scene
+    let recycled = [];
+
+    return {
+        read(payload, layoutVersion) {
+            if (shared && payload.sharedOverflow) shared = null; // The worker has left shared mode
+            if (shared) {
+                const { control } = shared;
+                const version = Atomics.load(control, VERSION);
+                if (version === lastVersion) return null;
+                const slot = version % 2;
+                // Slot written for a layout we have not received yet: wait for the 'layout' message
+                if (Atomics.load(control, LAYOUT + slot) !== layoutVersion) return null;
+                const count = Atomics.load(control, COUNT + slot);
+                current = {
+                    positions: shared.positions[slot].subarray(0, count * 3),
+                    velocities: shared.velocities[slot].subarray(0, count * 3),
+                    count,
+                    origin: { x: shared.origins[slot * 3], y: shared.origins[slot * 3 + 1], z: shared.origins[slot * 3 + 2] }
+                };
+                lastVersion = version;
+                // The scene copies what it needs right away, so the slot is released now
+                // (lookups through these views later on may already see a newer frame)
+                Atomics.store(control, ACK, version);
+                return current;
+            }
+
+            if (!payload.positions || payload.layoutVersion !== layoutVersion) {
+                if (payload.positions) recycled.push(payload.positions.buffer, payload.velocities.buffer);
+                return null;
+            }
+            if (current) recycled.push(current.positions.buffer, current.velocities.buffer);
+            current = { positions: payload.positions, velocities: payload.velocities, count: payload.count, origin: payload.origin };
+            return current;
+        },
+
+        takeRecycled() {
+            const buffers = recycled;
+            recycled = [];
+            return buffers;
+        }
+    };
+}
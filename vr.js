@@ -0,0 +1,199 @@
+// vr.js
+// Immersive VR: the system around the player at true scale (1 scene unit = 1 m) under the
+// Milky Way, flown through with the thumbsticks or jumped around by teleporting to a body.
+// A Babylon GUI menu on the left controller sets time warp, selection and scale, and switches
+// the thumbsticks between flying the player and flying the ship.
+
+import { WARP_PRESETS } from './clock.js';
+
+const START_POSITION = new BABYLON.Vector3(0, 1.2, 12); // Root offset: the Sun ahead at about eye height
+const FLY_SPEED = 0.6; // Thumbstick movement speed (WebXRControllerMovement units)
+const TELEPORT_DISTANCE = 4; // Teleports stop this many body radii short of the body
+const SCALE_STEP = 1.5;
+const MIN_SCALE = 0.05;
+const MAX_SCALE = 20;
+const MENU_SIZE = { width: 0.24, height: 0.18 }; // Metres
+
+// --- Menu ---
+
+const button = (text, onClick, width = '150px') => {
+    const control = BABYLON.GUI.Button.CreateSimpleButton(text, text);
+    control.width = width;
+    control.height = '90px';
+    control.color = 'white';
+    control.fontSize = 40;
+    control.background = '#234';
+    control.cornerRadius = 12;
+    control.paddingLeft = '6px';
+    control.paddingRight = '6px';
+    control.onPointerClickObservable.add(onClick);
+    return control;
+};
+
+const label = (text, width = '340px') => {
+    const control = new BABYLON.GUI.TextBlock();
+    control.text = text;
+    control.width = width;
+    control.height = '90px';
+    control.color = 'white';
+    control.fontSize = 40;
+    return control;
+};
+
+const row = (...controls) => {
+    const panel = new BABYLON.GUI.StackPanel();
+    panel.isVertical = false;
+    panel.height = '110px';
+    controls.forEach(control => panel.addControl(control));
+    return panel;
+};
+
+/**
+ * Sets up the VR mode. Call before entering a session; it only acts in 'immersive-vr' sessions.
+ * @param {object} xr - The default XR experience (scene.createDefaultXRExperienceAsync).
+ * @param {object} sceneData - What createScene returned (root, clock, selection, cameras, input).
+ * @returns {object} VR mode: setScale(scale), setFlying(flying), and getters for active,
+ *   scale and flying.
+ */
+export function createVRMode(xr, sceneData) {
+    const { root, clock, selection, cameras, input } = sceneData;
+    const scene = root.getScene();
+    const experience = xr.baseExperience;
+    let active = false;
+    let scale = 1;
+    let flying = true;
+    let choice = 0; // Index into selection.choices shown in the menu
+
+    // Menu panel: follows the left controller, or floats below the view without one
+    const menu = BABYLON.MeshBuilder.CreatePlane('vrMenu', MENU_SIZE, scene);
+    menu.metadata = { menu: true };
+    menu.setEnabled(false);
+    const gui = BABYLON.GUI.AdvancedDynamicTexture.CreateForMesh(menu, 1024, 768);
+    const panel = new BABYLON.GUI.Rectangle();
+    panel.background = 'rgba(0, 0, 0, 0.7)';
+    panel.cornerRadius = 20;
+    panel.thickness = 0;
+    gui.addControl(panel);
+    const rows = new BABYLON.GUI.StackPanel();
+    panel.addControl(rows);
+
+    const warpLabel = label('');
+    const bodyLabel = label('');
+    const scaleLabel = label('');
+    const flyButton = button('', () => setFlying(!flying), '500px');
+    const refresh = () => {
+        const preset = WARP_PRESETS.find(p => p.factor === clock.warp);
+        warpLabel.text = clock.paused ? 'Paused' : `${clock.direction < 0 ? '◀ ' : ''}${preset ? preset.label : `${clock.warp}×`}`;
+        bodyLabel.text = selection.choices[choice].id;
+        scaleLabel.text = `${scale.toFixed(2)}×`;
+        flyButton.textChild.text = flying ? 'Sticks: fly yourself' : 'Sticks: fly the ship';
+    };
+    const stepWarp = (step) => {
+        const index = WARP_PRESETS.findIndex(p => p.factor === clock.warp);
+        const next = Math.max(0, Math.min(WARP_PRESETS.length - 1, (index < 0 ? 0 : index) + step));
+        clock.setWarp(WARP_PRESETS[next].factor);
+        refresh();
+    };
+    const stepChoice = (step) => {
+        choice = (choice + step + selection.choices.length) % selection.choices.length;
+        selection.select(selection.choices[choice]);
+        refresh();
+    };
+
+    rows.addControl(row(button('−', () => stepWarp(-1), '110px'), warpLabel, button('+', () => stepWarp(1), '110px'),
+        button('⏯', () => { clock.togglePause(); refresh(); }, '110px')));
+    rows.addControl(row(button('◀', () => stepChoice(-1), '110px'), bodyLabel, button('▶', () => stepChoice(1), '110px'),
+        button('Go', () => teleport(selection.choices[choice].id), '110px')));
+    rows.addControl(row(button('−', () => setScale(scale / SCALE_STEP), '110px'), scaleLabel, button('+', () => setScale(scale * SCALE_STEP), '110px')));
+    rows.addControl(row(flyButton));
+
+    const attachMenu = (parent) => {
+        menu.parent = parent;
+        if (parent === experience.camera) {
+            menu.position.set(0, -0.25, 0.6);
+            menu.rotation.set(0.4, 0, 0);
+        } else {
+            menu.position.set(0, 0.12, 0.05); // Above the grip, tilted towards the face
+            menu.rotation.set(0.8, 0, 0);
+        }
+    };
+    xr.input.onControllerAddedObservable.add(controller => {
+        controller.onMotionControllerInitObservable.add(motionController => {
+            if (motionController.handedness === 'left') attachMenu(controller.grip || controller.pointer);
+        });
+    });
+    xr.input.onControllerRemovedObservable.add(controller => {
+        if (menu.parent && (menu.parent === controller.grip || menu.parent === controller.pointer)) attachMenu(experience.camera);
+    });
+
+    // --- Locomotion ---
+
+    // The movement feature owns the thumbsticks while flying; otherwise the ship bindings do
+    const applyLocomotion = () => {
+        const featuresManager = experience.featuresManager;
+        const move = active && flying;
+        const enabled = !!featuresManager.getEnabledFeature(BABYLON.WebXRFeatureName.MOVEMENT);
+        input.setXREnabled(!move);
+        if (move && !enabled) {
+            featuresManager.enableFeature(BABYLON.WebXRFeatureName.MOVEMENT, 'latest', {
+                xrInput: xr.input,
+                movementSpeed: FLY_SPEED,
+                movementOrientationFollowsViewerPose: true // Push the stick where you look
+            });
+        } else if (!move && enabled) {
+            featuresManager.disableFeature(BABYLON.WebXRFeatureName.MOVEMENT);
+        }
+    };
+
+    /** Flies the player with the thumbsticks (true) or hands them to the ship controls (false). */
+    const setFlying = (value) => {
+        flying = value;
+        applyLocomotion();
+        refresh();
+    };
+
+    // Teleport: jump to a few radii from a camera target, on the side the player is on
+    const teleport = (id) => {
+        const target = cameras.targets.find(t => t.id === id);
+        if (!target) return;
+        const camera = experience.camera;
+        const focus = target.node.getAbsolutePosition();
+        const away = camera.position.subtract(focus);
+        if (away.lengthSquared() < 1e-8) away.set(0, 0, 1);
+        const distance = Math.max(target.radius * scale * TELEPORT_DISTANCE, 0.5);
+        camera.position.copyFrom(focus.add(away.normalize().scale(distance)));
+    };
+
+    /** Scales the system about the Sun. */
+    const setScale = (value) => {
+        scale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, value));
+        root.scaling.setAll(scale);
+        refresh();
+    };
+
+    experience.onStateChangedObservable.add(state => {
+        if (state === BABYLON.WebXRState.IN_XR && experience.sessionManager.sessionMode === 'immersive-vr') {
+            active = true;
+            root.position.copyFrom(START_POSITION);
+            setScale(1);
+            attachMenu(experience.camera);
+            menu.setEnabled(true);
+            const selected = selection.selected;
+            const index = selected ? selection.choices.findIndex(c => c.id === selected.id) : -1;
+            choice = index >= 0 ? index : 0;
+            setFlying(true);
+        } else if (state === BABYLON.WebXRState.NOT_IN_XR && active) {
+            active = false;
+            applyLocomotion();
+            menu.setEnabled(false);
+        }
+    });
+
+    return {
+        setScale,
+        setFlying,
+        get active() { return active; },
+        get scale() { return scale; },
+        get flying() { return flying; }
+    };
+}